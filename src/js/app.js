@@ -6,22 +6,31 @@
  */
 
 import { GameState } from './state/GameState.js';
+import { TabSync } from './state/TabSync.js';
 import { TimerEngine } from './engine/TimerEngine.js';
 import { PeriodManager } from './engine/PeriodManager.js';
 import { MoveCounter } from './engine/MoveCounter.js';
+import { RoundScheduler } from './engine/RoundScheduler.js';
+import { BughouseMatch } from './engine/BughouseMatch.js';
+import { SimulMatch, SIMUL_MASTER_SIDE, SIMUL_OPPONENT_SIDE } from './engine/SimulMatch.js';
 import { ClockDisplay } from './ui/ClockDisplay.js';
 import { StatusBar } from './ui/StatusBar.js';
 import { SettingsPanel } from './ui/SettingsPanel.js';
 import { CorrectionMode } from './ui/CorrectionMode.js';
+import { ResumePrompt } from './ui/ResumePrompt.js';
+import { SimulView } from './ui/SimulView.js';
 import { SoundManager } from './ui/SoundManager.js';
+import { NotificationManager } from './ui/NotificationManager.js';
 import { ThemeManager } from './ui/ThemeManager.js';
 import { RotationManager } from './ui/RotationManager.js';
 import { InputHandler } from './input/InputHandler.js';
 import { MotionSensor } from './input/MotionSensor.js';
 import { StorageManager } from './storage/StorageManager.js';
-import { getPreset } from './presets/presets.js';
-import { GameStatus, Player, FlagState, TimingMethodType, CLOCK_FONTS, Limits, ClockFaceStyle } from './utils/constants.js';
+import { getPreset, withMoveLimit } from './presets/presets.js';
+import { GameStatus, Player, FlagState, TimingMethodType, CLOCK_FONTS, Limits, ClockFaceStyle, RoundPhase, ArbiterAction, ARBITER_BONUS_CHOICES_MS, SoundConfig, TabRole } from './utils/constants.js';
 
+/** Statuses of a game worth resuming after a reload (not over, not yet started) */
+const RESUMABLE_STATUSES = [GameStatus.RUNNING, GameStatus.PAUSED, GameStatus.CHALLENGE, GameStatus.CORRECTING];
 
 export class App {
   constructor() {
@@ -30,16 +39,25 @@ export class App {
     this.timerEngine = new TimerEngine();
     this.periodManager = new PeriodManager(this.gameState);
     this.moveCounter = new MoveCounter();
+    this.roundScheduler = new RoundScheduler(this.gameState);
     this.soundManager = new SoundManager();
+    this.notificationManager = new NotificationManager();
     this.themeManager = new ThemeManager();
     this.rotationManager = new RotationManager();
     this.inputHandler = new InputHandler();
+    // Which tab runs the clock when the app is open in several
+    this.tabSync = new TabSync();
+
+    // Linked boards (BughouseMatch or SimulMatch) when such an option is selected
+    this.match = null;
 
     // UI components (initialized in init())
     this.clockDisplay = null;
     this.statusBar = null;
     this.settingsPanel = null;
     this.correctionMode = null;
+    this.resumePrompt = null;
+    this.simulView = null;
 
     // Motion sensor (lazy init)
     this.motionSensor = null;
@@ -48,6 +66,11 @@ export class App {
     this._showingMoves = false;
     this._resetPending = false;
     this._resetConfirmTimer = null;
+    this._saveDue = false;
+    this._lastSaveAt = 0;
+    this._resumeChecked = false;
+    // Mirror of an owner tab that runs linked boards, which cannot be mirrored
+    this._ownerClockHidden = false;
 
     // Bind methods
     this._onTick = this._onTick.bind(this);
@@ -68,6 +91,8 @@ export class App {
     this.statusBar = new StatusBar(document.getElementById('status-bar'));
     this.settingsPanel = new SettingsPanel(document.getElementById('settings-panel'));
     this.correctionMode = new CorrectionMode(document.getElementById('correction-overlay'));
+    this.resumePrompt = new ResumePrompt(document.getElementById('resume-overlay'));
+    this.simulView = new SimulView(document.getElementById('simul-view'));
 
     // Wire up input handling
     this._setupInput();
@@ -79,10 +104,13 @@ export class App {
       (styleId) => this._setClockFace(styleId),
       (enabled) => this._setMotionEnabled(enabled),
       (degrees) => this._setMotionThreshold(degrees),
+      (enabled) => this._setNotificationsEnabled(enabled),
     );
 
     // Set up timer engine
     this.timerEngine.setTickCallback(this._onTick);
+    this.timerEngine.setNextEventCallback(() => this._getMsToNextEvent());
+    this.notificationManager.setEnabled(StorageManager.loadNotificationsEnabled());
 
     // Load saved clock face style
     const savedFace = StorageManager.loadClockFace();
@@ -106,9 +134,25 @@ export class App {
     const lastOption = StorageManager.loadLastOption();
     this._loadOption(lastOption);
 
+    // Save the game on every change, and as the page goes away
+    this.gameState.onChange(() => { this._saveDue = true; });
+    window.addEventListener('pagehide', () => {
+      this._saveOnLeave();
+      this.tabSync.release();
+    });
+    window.addEventListener('pageshow', (e) => {
+      if (e.persisted) this.tabSync.start(); // Back from the back/forward cache
+    });
+
+    // Find out whether another tab runs the clock (nothing is saved until
+    // this tab owns it, so the saved game survives until then)
+    this.tabSync.setCallbacks((role) => this._onTabRoleChange(role), (state) => this._showOwnerState(state));
+    this.tabSync.start();
+
     // Re-acquire wake lock when returning to foreground
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'visible') this._requestWakeLock();
+      else this._saveOnLeave();
     });
 
     // Register service worker for PWA support
@@ -175,6 +219,15 @@ export class App {
     }
   }
 
+  /**
+   * Enable or disable system notifications while the page is hidden.
+   * @param {boolean} enabled
+   */
+  _setNotificationsEnabled(enabled) {
+    StorageManager.saveNotificationsEnabled(enabled);
+    this.notificationManager.setEnabled(enabled);
+  }
+
   /**
    * Set up all input event handlers.
    */
@@ -183,7 +236,8 @@ export class App {
     const faces = this.clockDisplay.getClockFaces();
 
     // Bind clock faces for tap
-    input.bindClockFaces(faces.left, faces.right);
+    input.bindClockFaces(faces);
+    input.bindBerserkButtons(this.clockDisplay.getBerserkButtons());
 
     // Bind keyboard
     input.bindKeyboard();
@@ -196,6 +250,8 @@ export class App {
     const themeBtn = document.getElementById('btn-theme');
 
     if (pauseBtn) input.bindButton(pauseBtn, 'togglePause', 'enterCorrection');
+    const challengeBtn = document.getElementById('btn-challenge');
+    if (challengeBtn) challengeBtn.addEventListener('click', () => this._toggleChallengeHold());
     if (settingsBtn) settingsBtn.addEventListener('click', () => this._openSettings());
     if (resetBtn) resetBtn.addEventListener('click', () => this._confirmReset());
     if (soundBtn) soundBtn.addEventListener('click', () => this._toggleSound());
@@ -204,10 +260,16 @@ export class App {
     const rotateBtn = document.getElementById('btn-rotate');
     if (rotateBtn) rotateBtn.addEventListener('click', () => this._toggleRotation());
 
+    const takeOverBtn = document.getElementById('btn-takeover');
+    if (takeOverBtn) takeOverBtn.addEventListener('click', () => this.tabSync.takeOver());
+
     // Event handlers
     input.on('clockTap', (side) => this._handleClockTap(side));
     input.on('switchTurn', () => this._handleSwitchTurn());
     input.on('togglePause', () => this._handleTogglePause());
+    input.on('toggleChallenge', () => this._toggleChallengeHold());
+    input.on('toggleBerserk', (side) => this._toggleBerserk(side));
+    input.on('endBoard', (board) => this._endSimulBoard(board));
     input.on('toggleSound', () => this._toggleSound());
     input.on('toggleFreeze', () => this._toggleFreeze());
     input.on('showMoves', (show) => this._showMoves(show));
@@ -227,17 +289,24 @@ export class App {
    */
   _handleClockTap(side) {
     const gs = this.gameState;
+    if (this.resumePrompt.isActive() || this._isReadOnly()) return;
 
     // Wake lock must be requested before AudioContext init — Safari's
     // transient user-activation is consumed by the first privileged API call.
     this._requestWakeLock();
     this.soundManager.init();
 
+    if (this.match) {
+      this._handleMatchTap(side);
+      return;
+    }
+
     if (gs.status === GameStatus.IDLE) {
       // First tap: start the game. Tapping a side means "I'm done"
       // so the opponent's clock starts
       gs.startGame(side);
       this.periodManager.init();
+      this.roundScheduler.start();
 
       // Start turn for the now-active player
       this.periodManager.onTurnStart(gs.activePlayer);
@@ -261,11 +330,33 @@ export class App {
     }
   }
 
+  /**
+   * Handle a tap on linked boards: the first tap starts every board, later
+   * taps end the turn on the tapped board only (or, in a simul, take the
+   * master to the tapped board).
+   * @param {string} key - Bughouse seat (e.g. 'a-left') or simul board number
+   */
+  _handleMatchTap(key) {
+    this.timerEngine.sync();
+    const result = this.match.tap(key);
+    if (result.started) {
+      this.soundManager.resetBeepState();
+      this.timerEngine.start();
+    }
+    if (result.periodTransition && this.gameState.soundEnabled) {
+      this.soundManager.playPeriodBeep();
+    }
+    if (result.switched) this.soundManager.resetBeepState();
+    this._updateDisplay();
+  }
+
   /**
    * Handle spacebar/enter to switch turns.
    */
   _handleSwitchTurn() {
     const gs = this.gameState;
+    // Linked boards need to know which board moved: only the faces switch turns
+    if (this.match || this.resumePrompt.isActive() || this._isReadOnly()) return;
 
     this._requestWakeLock();
     this.soundManager.init();
@@ -274,6 +365,7 @@ export class App {
       // Start with left player's clock (right player goes first)
       gs.startGame(Player.LEFT);
       this.periodManager.init();
+      this.roundScheduler.start();
       this.periodManager.onTurnStart(gs.activePlayer);
       this.soundManager.resetBeepState();
       this.timerEngine.start();
@@ -291,6 +383,10 @@ export class App {
    */
   _switchTurn() {
     const gs = this.gameState;
+
+    // Charge the time up to the tap; the flag may have fallen just before it
+    this.timerEngine.sync();
+    if (gs.status !== GameStatus.RUNNING) return;
     const previousActive = gs.activePlayer;
 
     // End turn for current player
@@ -300,6 +396,12 @@ export class App {
     // Switch turns in game state (this increments the move counter on player state too)
     gs.switchTurn();
 
+    // Move-based time control: the next period starts once the Nth move is completed
+    const moveResult = this.periodManager.onMoveCompleted(previousActive);
+    if (moveResult.periodTransition && gs.soundEnabled) {
+      this.soundManager.playPeriodBeep();
+    }
+
     // Start turn for new active player
     this.periodManager.onTurnStart(gs.activePlayer);
     this.soundManager.resetBeepState();
@@ -312,8 +414,25 @@ export class App {
    */
   _handleTogglePause() {
     const gs = this.gameState;
+    if (this._isReadOnly()) return;
+
+    if (this.match) {
+      // Arbiter pause stops (and resumes) every board
+      const status = this.match.getStatus();
+      if (status !== GameStatus.RUNNING && status !== GameStatus.PAUSED) return;
+      this.timerEngine.sync();
+      this.match.togglePause();
+      if (status === GameStatus.RUNNING) this.timerEngine.stop();
+      else this.timerEngine.start();
+      this._updateDisplay();
+      return;
+    }
+
+    // Breaks of a round schedule end by themselves
+    if (this.roundScheduler.isInBreak()) return;
 
     if (gs.status === GameStatus.RUNNING) {
+      this.timerEngine.sync();
       gs.pause();
       this.timerEngine.stop();
       this._updateDisplay();
@@ -324,22 +443,279 @@ export class App {
     }
   }
 
+  /**
+   * Start or end a challenge hold (Scrabble word challenge).
+   * Both clocks stop; this is not a normal pause, so settings and
+   * correction mode stay locked.
+   */
+  _toggleChallengeHold() {
+    const gs = this.gameState;
+    if (this.match || this._isReadOnly()) return;
+
+    if (gs.status === GameStatus.RUNNING) {
+      this.timerEngine.sync();
+      gs.startChallengeHold();
+      this.timerEngine.stop();
+      this._updateDisplay();
+    } else if (gs.status === GameStatus.CHALLENGE) {
+      gs.endChallengeHold();
+      this.timerEngine.start();
+      this._updateDisplay();
+    }
+  }
+
+  /**
+   * Toggle berserk for one player (before their first move).
+   * @param {string} side
+   */
+  _toggleBerserk(side) {
+    if (this._isReadOnly() || !this.gameState.toggleBerserk(side)) return;
+    this.periodManager.applyBerserk(side);
+    this._updateDisplay();
+  }
+
+  /**
+   * Store the final times (and overtime penalties) of the current game.
+   */
+  _recordResult() {
+    const gs = this.gameState;
+    if (this.match) {
+      if (this.match.hasBeenStarted()) StorageManager.saveLastResult(this.match.createResult());
+      return;
+    }
+    if (!gs.hasBeenStarted) return;
+
+    const result = gs.createResult();
+    for (const side of gs.getSides()) {
+      result[side].penaltyPoints = this.periodManager.getPenaltyPoints(side) ?? 0;
+    }
+    StorageManager.saveLastResult(result);
+  }
+
+  /**
+   * Save the game in progress if it changed or the last save is older than
+   * GAME_SAVE_INTERVAL_MS (called with every display update).
+   */
+  _autoSave() {
+    if (!this._saveDue && Date.now() - this._lastSaveAt < Limits.GAME_SAVE_INTERVAL_MS) return;
+    this._saveGame();
+  }
+
+  /**
+   * Save the game in progress, or forget the saved one once there is no
+   * game to resume, and send it to the mirror tabs. Linked boards and round
+   * schedules are not saved; linked boards are not mirrored either.
+   */
+  _saveGame() {
+    // Until the player chooses, the saved game must survive; only the owner tab saves
+    if (this.resumePrompt.isActive() || !this.tabSync.isOwner()) return;
+    this._saveDue = false;
+    this._lastSaveAt = Date.now();
+
+    const gs = this.gameState;
+    const saved = this.match ? null : {
+      savedAt: Date.now(),
+      game: gs.snapshot(),
+      periods: this.periodManager.getState(),
+    };
+    this.tabSync.publish(saved);
+
+    if (!saved || this.roundScheduler.isEnabled() || !RESUMABLE_STATUSES.includes(gs.status)) {
+      StorageManager.clearSavedGame();
+      return;
+    }
+    StorageManager.saveGame(saved);
+  }
+
+  /**
+   * Save the game as the page is hidden or goes away. While the page is
+   * hidden the clock only ticks at its next event, so the last tick can be
+   * long ago: charge the time up to now first.
+   */
+  _saveOnLeave() {
+    this.timerEngine.sync();
+    this._saveGame();
+  }
+
+  /**
+   * Offer to resume a game interrupted by a reload or crash.
+   */
+  _offerResume() {
+    const saved = StorageManager.loadSavedGame();
+    if (saved && RESUMABLE_STATUSES.includes(saved.game.status)) {
+      this.resumePrompt.show(saved, () => this._resumeGame(saved), () => StorageManager.clearSavedGame());
+    }
+  }
+
+  /**
+   * Load a saved or published game (see _saveGame) into this tab.
+   * @param {object} saved
+   */
+  _restoreGame(saved) {
+    this._selectOption(saved.game.optionConfig, saved.game.selectedOption);
+    this._applySnapshot(saved);
+  }
+
+  /**
+   * Apply the clocks of a saved or published game to the option already
+   * selected.
+   * @param {object} saved
+   */
+  _applySnapshot(saved) {
+    const gs = this.gameState;
+    gs.restore(saved.game);
+    this.periodManager.restoreState(saved.periods);
+    for (const side of gs.getSides()) {
+      this.moveCounter.setMoves(side, gs.getPlayer(side).moves);
+    }
+  }
+
+  /**
+   * Resume a saved game. If its clock was running, the time since it was
+   * saved is charged to the player to move, as if the page had stayed open.
+   * @param {object} saved - As stored by StorageManager.saveGame
+   */
+  _resumeGame(saved) {
+    const gs = this.gameState;
+    this._restoreGame(saved);
+    this.soundManager.setEnabled(gs.soundEnabled);
+
+    if (gs.status === GameStatus.RUNNING) {
+      const now = Date.now();
+      this.soundManager.resetBeepState();
+      if (now > saved.savedAt) this._onTick(now - saved.savedAt, now);
+      if (gs.status === GameStatus.RUNNING) this.timerEngine.start();
+    }
+    this._updateDisplay();
+  }
+
+  /**
+   * Whether another tab runs the clock, so this one must not change the
+   * game. A mirror says how to take the clock over.
+   * @returns {boolean}
+   */
+  _isReadOnly() {
+    if (this.tabSync.isOwner()) return false;
+    if (this.tabSync.isMirror()) this._flashMessage('Clock runs in another tab');
+    return true;
+  }
+
+  /**
+   * Handle this tab becoming the owner of the clock or a mirror.
+   * @param {string} role - TabRole value
+   */
+  _onTabRoleChange(role) {
+    if (role === TabRole.OWNER) {
+      // A tab that owns the clock from the start may resume a saved game
+      if (!this._resumeChecked) this._offerResume();
+      this.soundManager.setEnabled(this.gameState.soundEnabled);
+      this._ownerClockHidden = false;
+      this._saveDue = true;
+    } else {
+      // The clock was taken over: close whatever would change the game here
+      if (this._resetPending) this._cancelResetConfirmation();
+      if (this.correctionMode.isActive()) this.correctionMode.exit();
+      if (this.settingsPanel.isVisible()) this.settingsPanel.hide();
+      if (this.resumePrompt.isActive()) this.resumePrompt.hide();
+    }
+    this._resumeChecked = true;
+    this._updateDisplay();
+  }
+
+  /**
+   * Show the owner tab's game in this mirror. A running clock runs on here
+   * from the time the owner sent it, until the next update.
+   * @param {object|null} state - As published by _saveGame (null for linked boards)
+   */
+  _showOwnerState(state) {
+    // Show no clock rather than a stale one that never matches the owner's
+    this._ownerClockHidden = !state;
+    if (!state) {
+      this.timerEngine.stop();
+      this._updateDisplay();
+      return;
+    }
+    const gs = this.gameState;
+    const { game } = state;
+
+    // Set up the clock faces only when the owner changed the option
+    if (this.match || game.selectedOption !== gs.selectedOption ||
+      JSON.stringify(game.optionConfig) !== JSON.stringify(gs.optionConfig)) {
+      this._selectOption(game.optionConfig, game.selectedOption);
+    }
+
+    // Hand the running clock's time so far to the old state, so the next
+    // frame does not count it again after the catch-up below
+    this.timerEngine.sync();
+    this._applySnapshot(state);
+
+    if (gs.status === GameStatus.RUNNING) {
+      const now = Date.now();
+      if (now > state.savedAt) this.periodManager.onTick(now - state.savedAt, gs.activePlayer, now);
+      this.timerEngine.start();
+    } else {
+      this.timerEngine.stop();
+    }
+    this._updateDisplay();
+  }
+
+  /**
+   * Timer tick callback in a mirror: only runs the clock on for display,
+   * without sounds, notifications or saving.
+   * @param {number} deltaMs
+   * @param {number} tickAtMs
+   */
+  _onMirrorTick(deltaMs, tickAtMs) {
+    const gs = this.gameState;
+    if (gs.status === GameStatus.RUNNING && gs.activePlayer) {
+      this.periodManager.onTick(deltaMs, gs.activePlayer, tickAtMs);
+    }
+    this._updateDisplay();
+  }
+
   /**
    * Timer tick callback.
    * @param {number} deltaMs
+   * @param {number} tickAtMs - Wall-clock time at the end of the tick
    */
-  _onTick(deltaMs) {
+  _onTick(deltaMs, tickAtMs) {
+    if (!this.tabSync.isOwner()) {
+      this._onMirrorTick(deltaMs, tickAtMs);
+      return;
+    }
+    if (this.match) {
+      this._onMatchTick(deltaMs, tickAtMs);
+      return;
+    }
+    if (this.roundScheduler.isEnabled()) {
+      this._onRoundTick(deltaMs, tickAtMs);
+      return;
+    }
+    this._onClockTick(deltaMs, tickAtMs);
+  }
+
+  /**
+   * Advance the running clock of the game.
+   * @param {number} deltaMs
+   * @param {number} tickAtMs - Wall-clock time at the end of the charged time
+   */
+  _onClockTick(deltaMs, tickAtMs) {
     const gs = this.gameState;
     if (gs.status !== GameStatus.RUNNING || !gs.activePlayer) return;
 
-    const result = this.periodManager.onTick(deltaMs, gs.activePlayer);
+    const side = gs.activePlayer;
     const activeState = gs.getActivePlayerState();
+    const before = activeState ? { timeMs: activeState.timeMs, flagState: activeState.flagState } : null;
+    const result = this.periodManager.onTick(deltaMs, side, tickAtMs);
 
     // Check sound
     if (gs.soundEnabled && activeState) {
       const method = this.periodManager.getMethod(gs.activePlayer);
+      const moveLimitMs = this.periodManager.getMoveLimitRemainingMs(gs.activePlayer);
       if (method && method.getType() !== TimingMethodType.UPCOUNT) {
-        this.soundManager.checkAndBeep(activeState.timeMs);
+        this.soundManager.checkAndBeep(moveLimitMs === null ? activeState.timeMs : Math.min(activeState.timeMs, moveLimitMs));
+      } else if (moveLimitMs !== null) {
+        this.soundManager.checkAndBeep(moveLimitMs);
       }
 
       // Byo-yomi moment expired beep
@@ -351,12 +727,13 @@ export class App {
     if (result.expired) {
       // Set flag on the expired player regardless of freeze mode
       if (activeState && activeState.flagState === FlagState.NONE) {
-        activeState.setFlag(FlagState.BLINKING);
+        activeState.setFlag(FlagState.BLINKING, tickAtMs);
       }
 
-      if (gs.freezeEnabled && gs.isInFinalPeriod(gs.activePlayer)) {
+      if (gs.freezeEnabled && (result.moveLimitExpired || gs.isInFinalPeriod(gs.activePlayer))) {
         gs.freeze();
         this.timerEngine.stop();
+        this._recordResult();
       }
       // If not freeze, the clock continues (opponent can still play)
     }
@@ -368,20 +745,168 @@ export class App {
       this.soundManager.resetBeepState();
     }
 
+    if (before) this._notifyClockEvent(side, result, before);
     this._updateDisplay();
   }
 
+  /**
+   * Show a system notification for a clock event while the page is hidden
+   * (NotificationManager only notifies then).
+   * @param {string} side
+   * @param {object} result - PeriodManager.onTick result
+   * @param {{ timeMs: number, flagState: string }} before - The player's clock before the tick
+   */
+  _notifyClockEvent(side, result, before) {
+    const player = this.gameState.getPlayer(side);
+    const who = player.color ? `${player.color[0].toUpperCase()}${player.color.slice(1)}` : `${side[0].toUpperCase()}${side.slice(1)}`;
+    const warningMs = SoundConfig.WARNING_TIME_MS;
+
+    if (player.flagState === FlagState.BLINKING && before.flagState !== FlagState.BLINKING) {
+      this.notificationManager.notify(`${who}: time is up`);
+    } else if (result.periodTransition) {
+      this.notificationManager.notify(`${who}: next time control`);
+    } else if (result.momentExpired) {
+      this.notificationManager.notify(`${who}: byo-yomi period used`);
+    } else if (before.timeMs > warningMs && player.timeMs <= warningMs && !result.expired) {
+      this.notificationManager.notify(`${who}: ${warningMs / 1000} seconds left`);
+    }
+  }
+
+  /**
+   * Get the time until the clock next has to act: a beep, a byo-yomi
+   * moment, a flag or a round bell. Lets the timer wake up for it while
+   * the page is hidden.
+   * @returns {number|null} ms from now, or null if nothing is due
+   */
+  _getMsToNextEvent() {
+    const times = [];
+    if (this.match) {
+      for (const { gameState, periodManager } of Object.values(this.match.boards)) {
+        if (gameState.status !== GameStatus.RUNNING) continue;
+        times.push(this._getMsToPlayerEvent(periodManager, gameState.activePlayer));
+      }
+    } else {
+      const rounds = this.roundScheduler;
+      if (rounds.isEnabled() && (rounds.phase === RoundPhase.ROUND || rounds.phase === RoundPhase.BREAK)) {
+        times.push(rounds.remainingMs);
+      }
+      if (this.gameState.status === GameStatus.RUNNING && this.gameState.activePlayer) {
+        times.push(this._getMsToPlayerEvent(this.periodManager, this.gameState.activePlayer));
+      }
+    }
+
+    const due = times.filter((ms) => ms !== null);
+    return due.length > 0 ? Math.min(...due) : null;
+  }
+
+  /**
+   * Get the time until the next beep or flag of a player whose clock runs.
+   * @param {PeriodManager} periodManager
+   * @param {string} side
+   * @returns {number|null} ms from now, or null if nothing is due
+   */
+  _getMsToPlayerEvent(periodManager, side) {
+    const player = periodManager.gameState.getPlayer(side);
+    const times = [periodManager.getMsUntil(side, 0)];
+
+    const beepAt = this.soundManager.getNextBeepAt(player.timeMs);
+    if (beepAt !== null) times.push(periodManager.getMsUntil(side, beepAt));
+
+    // The per-move limit runs in plain time next to the method
+    const moveLimitMs = periodManager.getMoveLimitRemainingMs(side);
+    if (moveLimitMs !== null && moveLimitMs > 0) {
+      times.push(moveLimitMs);
+      const limitBeepAt = this.soundManager.getNextBeepAt(moveLimitMs);
+      if (limitBeepAt !== null) times.push(moveLimitMs - limitBeepAt);
+    }
+
+    const due = times.filter((ms) => ms !== null);
+    return due.length > 0 ? Math.min(...due) : null;
+  }
+
+  /**
+   * Advance the round schedule and the clock: rings the bell at each change
+   * and holds the clock during breaks. A tick that rings the bell is split
+   * there, so the clock runs exactly to the end of a round and from the end
+   * of a break.
+   * @param {number} deltaMs
+   * @param {number} tickAtMs - Wall-clock time at the end of the tick
+   */
+  _onRoundTick(deltaMs, tickAtMs) {
+    const rounds = this.roundScheduler;
+    const { beforeMs, afterMs } = rounds.splitTick(deltaMs);
+    if (beforeMs > 0) this._onClockTick(beforeMs, tickAtMs - (deltaMs - beforeMs));
+
+    const result = rounds.onTick(deltaMs);
+    if (result.bell) this.soundManager.playBell();
+    // After the last round the clock stays paused
+    if (result.phaseChanged && rounds.phase === RoundPhase.DONE) this.timerEngine.stop();
+
+    if (afterMs > 0) this._onClockTick(afterMs, tickAtMs);
+    if (result.phaseChanged || rounds.isInBreak()) this._updateDisplay();
+  }
+
+  /**
+   * Timer tick callback for linked boards: every board runs off the same tick.
+   * @param {number} deltaMs
+   * @param {number} tickAtMs - Wall-clock time at the end of the tick
+   */
+  _onMatchTick(deltaMs, tickAtMs) {
+    const result = this.match.tick(deltaMs, tickAtMs);
+
+    if (this.gameState.soundEnabled && result.lowestTimeMs !== null) {
+      this.soundManager.checkAndBeep(result.lowestTimeMs);
+    }
+
+    if (result.frozen && this.match.getStatus() === GameStatus.FROZEN) {
+      // Bughouse: a flag on either board; simul: the last board has ended
+      this.timerEngine.stop();
+      this._recordResult();
+      this.notificationManager.notify('Time is up');
+    }
+
+    if (result.periodTransition) {
+      if (this.gameState.soundEnabled) {
+        this.soundManager.playPeriodBeep();
+      }
+      this.soundManager.resetBeepState();
+    }
+
+    this._updateDisplay();
+  }
+
+  /**
+   * Stop a simul board whose game has ended over the board.
+   * @param {string} board - Board number
+   */
+  _endSimulBoard(board) {
+    if (this._isReadOnly() || !(this.match instanceof SimulMatch) || !this.match.finishBoard(board)) return;
+    if (this.match.getStatus() === GameStatus.FROZEN) {
+      this.timerEngine.stop();
+      this._recordResult();
+    }
+    this._updateDisplay();
+  }
+
+  /**
+   * Get the game status, combined over all boards of a linked match.
+   * @returns {string} GameStatus value
+   */
+  _getGameStatus() {
+    return this.match ? this.match.getStatus() : this.gameState.status;
+  }
+
   /**
    * Open the settings panel.
    */
   _openSettings() {
+    if (this._isReadOnly()) return;
     if (this._resetPending) this._cancelResetConfirmation();
-    const gs = this.gameState;
+    const status = this._getGameStatus();
     // Only allow settings when idle or paused
-    if (gs.status === GameStatus.RUNNING) {
-      gs.pause();
-      this.timerEngine.stop();
-      this._updateDisplay();
+    if (status === GameStatus.CHALLENGE) return;
+    if (status === GameStatus.RUNNING) {
+      this._handleTogglePause();
     }
     this.settingsPanel.show();
   }
@@ -395,7 +920,34 @@ export class App {
     this.gameState.selectedOption = optionNumber;
     this.gameState.initGame(config);
     this.moveCounter.reset();
-    StorageManager.saveLastOption(optionNumber);
+
+    if (config.bughouse) this.match = new BughouseMatch();
+    else if (config.simulBoards) this.match = new SimulMatch(config.simulBoards);
+    else this.match = null;
+    if (this.match) this.match.init(config);
+    this.timerEngine.stop();
+    this.roundScheduler.configure(this.match ? null : config.rounds ?? null);
+
+    // A simul replaces the clock faces with a grid of mini clocks
+    const simul = this.match instanceof SimulMatch;
+    document.getElementById('clock-container').classList.toggle('hidden', simul);
+    if (simul) {
+      this.simulView.build(this.match.getBoardIds());
+      this.simulView.show();
+      this.inputHandler.bindClockFaces(this.simulView.getBoardElements());
+      this.inputHandler.bindEndBoardButtons(this.simulView.getEndButtons());
+    } else {
+      this.simulView.hide();
+      if (this.match) {
+        const seats = this.match.getSeats();
+        const teams = Object.fromEntries(seats.map((seat) => [seat, this.match.getTeam(seat)]));
+        if (this.clockDisplay.setSeats(seats, teams)) this._rebindClockFaces();
+      } else if (this.clockDisplay.setSeats(this.gameState.getSides())) {
+        this._rebindClockFaces();
+      }
+    }
+    // 0 = one-off setup (Armageddon); a mirror only shows the owner's option
+    if (optionNumber >= 1 && this.tabSync.isOwner()) StorageManager.saveLastOption(optionNumber);
     this._updateDisplay();
   }
 
@@ -405,7 +957,7 @@ export class App {
    */
   _loadOption(optionNumber) {
     if (optionNumber >= 1 && optionNumber <= Limits.TOTAL_PRESETS) {
-      const preset = getPreset(optionNumber);
+      const preset = this._getPreset(optionNumber);
       if (preset) {
         this._selectOption(preset, optionNumber);
         return;
@@ -422,7 +974,7 @@ export class App {
     }
 
     // Fallback to option 1
-    const preset = getPreset(1);
+    const preset = this._getPreset(1);
     if (preset) {
       this._selectOption(preset, 1);
     }
@@ -433,19 +985,30 @@ export class App {
    * @param {number} num
    */
   _quickPreset(num) {
-    if (this.gameState.status !== GameStatus.IDLE) return;
+    if (this._isReadOnly() || this._getGameStatus() !== GameStatus.IDLE) return;
     if (this.settingsPanel.isVisible()) return;
 
-    const preset = getPreset(num);
+    const preset = this._getPreset(num);
     if (preset) {
       this._selectOption(preset, num);
     }
   }
 
+  /**
+   * Get a preset with the per-move limit set for presets in settings.
+   * @param {number} num - Option number
+   * @returns {object|null}
+   */
+  _getPreset(num) {
+    const preset = getPreset(num);
+    return preset && withMoveLimit(preset, StorageManager.loadPresetMoveLimit());
+  }
+
   /**
    * Toggle sound.
    */
   _toggleSound() {
+    if (this._isReadOnly()) return;
     this.gameState.toggleSound();
     this.soundManager.setEnabled(this.gameState.soundEnabled);
     this._updateDisplay();
@@ -455,6 +1018,7 @@ export class App {
    * Toggle freeze mode.
    */
   _toggleFreeze() {
+    if (this._isReadOnly()) return;
     this.gameState.toggleFreeze();
     this._updateDisplay();
   }
@@ -464,13 +1028,17 @@ export class App {
    */
   _confirmReset() {
     const gs = this.gameState;
-    if (gs.status === GameStatus.IDLE) return;
+    const status = this._getGameStatus();
+    if (status === GameStatus.IDLE || this._isReadOnly()) return;
 
     if (this._resetPending) {
       // Second tap — execute reset
       this._cancelResetConfirmation();
       this.timerEngine.stop();
+      if (status !== GameStatus.FROZEN) this._recordResult(); // Frozen games are already recorded
+      if (this.match) this.match.reset();
       gs.reset();
+      this.roundScheduler.reset();
       this.moveCounter.reset();
       this._updateDisplay();
       return;
@@ -525,7 +1093,7 @@ export class App {
     }
 
     // Escape can also pause
-    if (this.gameState.status === GameStatus.RUNNING) {
+    if (this._getGameStatus() === GameStatus.RUNNING) {
       this._handleTogglePause();
     }
   }
@@ -550,7 +1118,19 @@ export class App {
    */
   _enterCorrection() {
     const gs = this.gameState;
-    if (gs.status !== GameStatus.PAUSED && gs.status !== GameStatus.FROZEN) return;
+    const status = this._getGameStatus();
+    if (status !== GameStatus.PAUSED && status !== GameStatus.FROZEN) return;
+    if (this._isReadOnly()) return;
+    if (this.match || gs.getPlayerCount() > 2) {
+      // The correction screen edits a single left/right pair only
+      this._flashMessage('Correction needs a 2-player game');
+      return;
+    }
+    if (this.roundScheduler.isInBreak()) {
+      // The clock state saved for the break is restored when it ends
+      this._flashMessage('Correction after the break');
+      return;
+    }
 
     gs.enterCorrectionMode();
 
@@ -562,7 +1142,8 @@ export class App {
         rightMoves: gs.right.moves,
         leftPeriod: gs.left.currentPeriod,
         rightPeriod: gs.right.currentPeriod,
-        totalPeriods: gs.optionConfig ? gs.optionConfig.periods.length : 1,
+        totalPeriods: this._getTotalPeriods(),
+        actions: this._getCorrectionActions(),
       },
       (corrected) => {
         // Apply corrections
@@ -577,21 +1158,14 @@ export class App {
         this.moveCounter.setMoves('left', corrected.leftMoves);
         this.moveCounter.setMoves('right', corrected.rightMoves);
 
-        // Clamp period indices to valid range
+        // Clamp period indices to each player's period list
         if (gs.optionConfig) {
-          const maxPeriod = gs.optionConfig.periods.length - 1;
-          gs.left.currentPeriod = Math.max(0, Math.min(corrected.leftPeriod, maxPeriod));
-          gs.right.currentPeriod = Math.max(0, Math.min(corrected.rightPeriod, maxPeriod));
+          gs.left.currentPeriod = Math.max(0, Math.min(corrected.leftPeriod, gs.getPeriods(Player.LEFT).length - 1));
+          gs.right.currentPeriod = Math.max(0, Math.min(corrected.rightPeriod, gs.getPeriods(Player.RIGHT).length - 1));
 
           // Sync period methods
-          const leftPeriodConfig = gs.optionConfig.periods[gs.left.currentPeriod];
-          const rightPeriodConfig = gs.optionConfig.periods[gs.right.currentPeriod];
-          if (leftPeriodConfig) {
-            this.periodManager.activeMethods.set('left', PeriodManager.createMethod(leftPeriodConfig));
-          }
-          if (rightPeriodConfig) {
-            this.periodManager.activeMethods.set('right', PeriodManager.createMethod(rightPeriodConfig));
-          }
+          this.periodManager.rebuildMethod(Player.LEFT);
+          this.periodManager.rebuildMethod(Player.RIGHT);
         }
 
         gs.exitCorrectionMode();
@@ -604,6 +1178,72 @@ export class App {
     );
   }
 
+  /**
+   * Show a status bar message for two seconds.
+   * @param {string} text
+   */
+  _flashMessage(text) {
+    this.statusBar.showMessage(text);
+    setTimeout(() => {
+      this.statusBar.clearMessage();
+      this._updateDisplay();
+    }, 2000);
+  }
+
+  /**
+   * Get the number of periods to display (the longest list in odds games).
+   * @returns {number}
+   */
+  _getTotalPeriods() {
+    const gs = this.gameState;
+    if (!gs.optionConfig) return 1;
+    return Math.max(...gs.getSides().map((side) => gs.getPeriods(side).length));
+  }
+
+  /**
+   * Build the arbiter actions offered in correction mode.
+   * @returns {Array<{ label: string, onSelect: Function, choices?: Array<{ label: string, value: number }> }>}
+   */
+  _getCorrectionActions() {
+    const gs = this.gameState;
+    const actions = [];
+
+    // Manual Canadian byo-yomi reload (override for the automatic block reload)
+    for (const side of [Player.LEFT, Player.RIGHT]) {
+      if (this.periodManager.getMethodType(side) === TimingMethodType.CANADIAN_BYO) {
+        actions.push({
+          label: `Reload ${side} byo-yomi`,
+          onSelect: () => {
+            gs.exitCorrectionMode();
+            this.periodManager.reloadCanadianByo(side);
+            gs.logIntervention(ArbiterAction.BYO_RELOAD, { side });
+            this._updateDisplay();
+          },
+        });
+      }
+    }
+
+    // FIDE Guidelines III: the arbiter may add an increment (or delay) to a
+    // sudden-death game for both players, keeping their times
+    if (this.periodManager.canAddIncrement()) {
+      const choices = ARBITER_BONUS_CHOICES_MS.map((ms) => ({ label: `${ms / 1000} s`, value: ms }));
+      for (const [method, label] of [[TimingMethodType.FISCHER, 'Add increment'], [TimingMethodType.US_DELAY, 'Add delay']]) {
+        actions.push({
+          label,
+          choices,
+          onSelect: (bonusMs) => {
+            gs.exitCorrectionMode();
+            this.periodManager.addIncrement(method, bonusMs);
+            gs.logIntervention(ArbiterAction.INCREMENT_ADDED, { method, bonusMs });
+            this._updateDisplay();
+          },
+        });
+      }
+    }
+
+    return actions;
+  }
+
   /**
    * Show/hide move count.
    * @param {boolean} show
@@ -641,7 +1281,7 @@ export class App {
    */
   _rebindClockFaces() {
     const faces = this.clockDisplay.getClockFaces();
-    this.inputHandler.bindClockFaces(faces.left, faces.right);
+    this.inputHandler.bindClockFaces(faces);
   }
 
   /**
@@ -665,59 +1305,168 @@ export class App {
    */
   _updateDisplay() {
     const gs = this.gameState;
-
-    // Update clock display
-    this.clockDisplay.update({
-      leftTimeMs: gs.left.timeMs,
-      rightTimeMs: gs.right.timeMs,
-      activePlayer: gs.activePlayer,
-      gameStatus: gs.status,
-      leftColor: gs.left.color,
-      rightColor: gs.right.color,
-      leftFlagState: gs.left.flagState,
-      rightFlagState: gs.right.flagState,
-      leftMoves: gs.left.moves,
-      rightMoves: gs.right.moves,
-      showMoves: this._showingMoves,
-      leftByoMoments: gs.left.byoMomentsRemaining,
-      rightByoMoments: gs.right.byoMomentsRemaining,
-      leftMethod: this.periodManager.getMethodType('left'),
-      rightMethod: this.periodManager.getMethodType('right'),
-    });
-
-    // Update status bar
-    const activePlayer = gs.getActivePlayerState();
-    const whitePlayer = gs.left.color === 'white' ? 'left' : 'right';
+    const status = this._getGameStatus();
+
+    // Update clock display (per-seat fields are prefixed by the seat)
+    let clockState;
+    if (this.match instanceof SimulMatch) {
+      this._updateSimulView();
+    } else if (this.match) {
+      clockState = { activeSides: [], gameStatus: status, drawOddsSide: null, showMoves: this._showingMoves };
+      for (const [board, { gameState, periodManager }] of Object.entries(this.match.boards)) {
+        for (const side of gameState.getSides()) {
+          const seat = BughouseMatch.getSeat(board, side);
+          if (gameState.activePlayer === side) clockState.activeSides.push(seat);
+          Object.assign(clockState, this._getSeatDisplayState(gameState, periodManager, side, seat));
+        }
+      }
+    } else {
+      clockState = {
+        activePlayer: gs.activePlayer,
+        gameStatus: gs.status,
+        drawOddsSide: gs.getDrawOddsSide(),
+        showMoves: this._showingMoves,
+      };
+      for (const side of gs.getSides()) {
+        Object.assign(clockState, this._getSeatDisplayState(gs, this.periodManager, side, side));
+      }
+    }
+    if (clockState) this.clockDisplay.update(clockState);
+
+    // Update status bar (linked boards: the first board, all share the time control)
+    const board = this.match
+      ? Object.values(this.match.boards)[0]
+      : { gameState: gs, periodManager: this.periodManager, moveCounter: this.moveCounter };
+    const view = board.gameState;
+    const pm = board.periodManager;
+    const activePlayer = view.getActivePlayerState();
+    const whitePlayer = view.left.color === 'white' ? 'left' : 'right';
+    const moveNumber = view.getPlayerCount() > 2
+      ? board.moveCounter.getRoundNumber()
+      : board.moveCounter.getChessMoveNumber(whitePlayer);
     this.statusBar.update({
-      leftMethod: this.periodManager.getMethodType('left'),
-      rightMethod: this.periodManager.getMethodType('right'),
-      leftPeriod: gs.left.currentPeriod,
-      rightPeriod: gs.right.currentPeriod,
-      totalPeriods: gs.optionConfig ? gs.optionConfig.periods.length : 1,
+      showSides: view.getPlayerCount() === 2,
+      leftMethod: pm.getMethodType('left'),
+      rightMethod: pm.getMethodType('right'),
+      leftPeriod: view.left.currentPeriod,
+      rightPeriod: view.right.currentPeriod,
+      totalPeriods: this._getTotalPeriods(),
+      periodsRepeat: view.getRepeatStartIndex(Player.LEFT) >= 0 || view.getRepeatStartIndex(Player.RIGHT) >= 0,
+      leftPeriodRepeat: view.left.periodRepeat,
+      rightPeriodRepeat: view.right.periodRepeat,
       freezeEnabled: gs.freezeEnabled,
       soundEnabled: gs.soundEnabled,
       optionNumber: gs.selectedOption,
-      moveNumber: this.moveCounter.getChessMoveNumber(whitePlayer),
-      gameStatus: gs.status,
+      moveNumber,
+      gameStatus: status,
       delayRemainingMs: activePlayer ? activePlayer.delayRemainingMs : 0,
+      leftMovesToControl: pm.getMovesToTimeControl('left'),
+      rightMovesToControl: pm.getMovesToTimeControl('right'),
+      round: this.roundScheduler.getStatus(),
     });
 
     // Update button states
     const pauseBtn = document.getElementById('btn-pause');
     if (pauseBtn) {
-      const isPaused = gs.status === GameStatus.PAUSED;
-      const isRunning = gs.status === GameStatus.RUNNING;
+      const isPaused = status === GameStatus.PAUSED;
+      const isRunning = status === GameStatus.RUNNING;
       pauseBtn.textContent = isPaused ? '\u25B6' : '\u23F8'; // Play or Pause icon
       pauseBtn.title = isPaused ? 'Resume (P)' : 'Pause (P)';
       pauseBtn.disabled = !isRunning && !isPaused;
     }
 
+    const challengeBtn = document.getElementById('btn-challenge');
+    if (challengeBtn) {
+      const inHold = gs.status === GameStatus.CHALLENGE;
+      challengeBtn.classList.toggle('active', inHold);
+      challengeBtn.title = inHold ? 'End challenge hold (C)' : 'Challenge hold (C)';
+      challengeBtn.disabled = (this.match !== null || gs.status !== GameStatus.RUNNING) && !inHold;
+    }
+
     const soundBtn = document.getElementById('btn-sound');
     if (soundBtn) {
       soundBtn.textContent = gs.soundEnabled ? '\u266B' : '\u266A';
       soundBtn.title = gs.soundEnabled ? 'Sound ON (S)' : 'Sound OFF (S)';
       soundBtn.classList.toggle('active', gs.soundEnabled);
     }
+
+    const mirror = this.tabSync.isMirror();
+    const mirrorBanner = document.getElementById('mirror-banner');
+    if (mirrorBanner) mirrorBanner.classList.toggle('hidden', !mirror);
+    const mirrorText = document.getElementById('mirror-banner-text');
+    if (mirrorText) {
+      mirrorText.textContent = mirror && this._ownerClockHidden
+        ? 'The clock runs in another tab (linked boards are not mirrored)'
+        : 'Read-only: the clock runs in another tab';
+    }
+    const appEl = document.getElementById('app');
+    if (appEl) appEl.classList.toggle('owner-clock-hidden', mirror && this._ownerClockHidden);
+
+    this._autoSave();
+  }
+
+  /**
+   * Update the simul mini clocks and summary.
+   */
+  _updateSimulView() {
+    const boards = {};
+    for (const [board, { gameState, periodManager }] of Object.entries(this.match.boards)) {
+      const master = gameState.getPlayer(SIMUL_MASTER_SIDE);
+      const opponent = gameState.getPlayer(SIMUL_OPPONENT_SIDE);
+      let activeSide = null;
+      if (this.match.isClockRunning(board)) {
+        if (gameState.activePlayer === SIMUL_MASTER_SIDE) activeSide = 'master';
+        else if (gameState.activePlayer === SIMUL_OPPONENT_SIDE) activeSide = 'opponent';
+      }
+      boards[board] = {
+        masterTimeMs: periodManager.getDisplayTime(SIMUL_MASTER_SIDE),
+        opponentTimeMs: periodManager.getDisplayTime(SIMUL_OPPONENT_SIDE),
+        masterFlag: master.flagState,
+        opponentFlag: opponent.flagState,
+        activeSide,
+        masterHere: board === this.match.masterBoard,
+        status: gameState.status,
+      };
+    }
+    this.simulView.update({ boards, summary: this.match.getSummary() });
+  }
+
+  /**
+   * Build the display fields of one seat, prefixed by the seat name.
+   * @param {GameState} gs - Game state of the seat's board
+   * @param {PeriodManager} pm - Period manager of the seat's board
+   * @param {string} side - Side on that board
+   * @param {string} seat - Seat name on screen (the side, or e.g. 'a-left')
+   * @returns {object}
+   */
+  _getSeatDisplayState(gs, pm, side, seat) {
+    const player = gs.getPlayer(side);
+    return {
+      [`${seat}TimeMs`]: pm.getDisplayTime(side),
+      [`${seat}Berserk`]: player.berserk,
+      [`${seat}CanBerserk`]: gs.canToggleBerserk(side),
+      [`${seat}Color`]: player.color,
+      [`${seat}FlagState`]: player.flagState,
+      [`${seat}Moves`]: player.moves,
+      [`${seat}ByoMoments`]: player.byoMomentsRemaining,
+      [`${seat}ByoMoveGroup`]: pm.getByoMoveGroup(side),
+      [`${seat}MoveElapsedMs`]: pm.getMoveElapsedMs(side),
+      [`${seat}PenaltyPoints`]: pm.getPenaltyPoints(side),
+      [`${seat}MoveLimitMs`]: this._getMoveLimitDisplay(gs, pm, side),
+      [`${seat}Method`]: pm.getMethodType(side),
+    };
+  }
+
+  /**
+   * Get the per-move countdown to show on a clock face (active player only).
+   * @param {GameState} gs
+   * @param {PeriodManager} pm
+   * @param {string} side
+   * @returns {number|null}
+   */
+  _getMoveLimitDisplay(gs, pm, side) {
+    if (gs.activePlayer !== side || gs.status === GameStatus.IDLE) return null;
+    return pm.getMoveLimitRemainingMs(side);
   }
 
   /**
@@ -741,6 +1490,7 @@ export class App {
    */
   destroy() {
     this.timerEngine.destroy();
+    this.tabSync.destroy();
     this.soundManager.destroy();
     this.themeManager.destroy();
     this.rotationManager = null;
@@ -0,0 +1,111 @@
+/**
+ * BackgroundTimer - One-shot timer that keeps its time in a hidden tab
+ *
+ * Browsers throttle setTimeout on hidden pages (to once a minute in some
+ * cases), but timers in a dedicated worker keep firing on time. The worker
+ * is built from an inline script so it also runs from the single-file build
+ * (file://). Without worker support it falls back to setTimeout.
+ */
+
+/** Worker script: arms one timeout per message and answers with its id */
+const WORKER_SOURCE = `
+let timeoutId = null;
+self.onmessage = (e) => {
+  clearTimeout(timeoutId);
+  const { id, delayMs } = e.data;
+  if (delayMs !== null) timeoutId = setTimeout(() => self.postMessage(id), delayMs);
+};
+`;
+
+export class BackgroundTimer {
+  constructor() {
+    /** @type {Worker|null} */
+    this._worker = null;
+    /** @type {string|null} Object URL of the worker script */
+    this._workerUrl = null;
+    /** @type {boolean} Whether the worker could not be created */
+    this._workerFailed = false;
+    /** @type {number|null} Fallback setTimeout id */
+    this._timeoutId = null;
+    /** @type {number} Id of the armed timeout; answers for older ones are stale */
+    this._armedId = 0;
+    /** @type {Function|null} */
+    this._callback = null;
+  }
+
+  /**
+   * Call a function once after a delay, replacing any earlier schedule.
+   * @param {number} delayMs
+   * @param {Function} callback
+   */
+  schedule(delayMs, callback) {
+    this.cancel();
+    this._callback = callback;
+    const id = ++this._armedId;
+
+    const worker = this._getWorker();
+    if (worker) {
+      worker.postMessage({ id, delayMs });
+    } else {
+      this._timeoutId = setTimeout(() => this._fire(id), delayMs);
+    }
+  }
+
+  /**
+   * Cancel the pending call, if any.
+   */
+  cancel() {
+    if (this._callback === null) return;
+    this._callback = null;
+    this._armedId++;
+    if (this._worker) this._worker.postMessage({ id: this._armedId, delayMs: null });
+    if (this._timeoutId !== null) {
+      clearTimeout(this._timeoutId);
+      this._timeoutId = null;
+    }
+  }
+
+  /**
+   * Run the callback if the timeout that fired is still the armed one.
+   * @param {number} id
+   */
+  _fire(id) {
+    if (id !== this._armedId || this._callback === null) return;
+    const callback = this._callback;
+    this._callback = null;
+    this._timeoutId = null;
+    callback();
+  }
+
+  /**
+   * Create the worker on first use.
+   * @returns {Worker|null} Null where workers are not available
+   */
+  _getWorker() {
+    if (this._worker || this._workerFailed) return this._worker;
+    try {
+      this._workerUrl = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+      this._worker = new Worker(this._workerUrl);
+      this._worker.onmessage = (e) => this._fire(e.data);
+    } catch (e) {
+      this._workerFailed = true;
+      this._worker = null;
+    }
+    return this._worker;
+  }
+
+  /**
+   * Clean up resources.
+   */
+  destroy() {
+    this.cancel();
+    if (this._worker) {
+      this._worker.terminate();
+      this._worker = null;
+    }
+    if (this._workerUrl) {
+      URL.revokeObjectURL(this._workerUrl);
+      this._workerUrl = null;
+    }
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * BughouseMatch - Two linked chess clocks for bughouse on one device
+ *
+ * The boards start, pause and resume together. A flag in the final period
+ * on either board freezes both boards.
+ *
+ * Team partners sit on the same side: left is team 1 (White on board A,
+ * Black on board B), right is team 2 (Black on board A, White on board B).
+ */
+
+import { MultiBoardMatch } from './MultiBoardMatch.js';
+import { GameStatus, Player } from '../utils/constants.js';
+
+/** Board identifiers */
+export const BughouseBoard = Object.freeze({
+  A: 'a',
+  B: 'b',
+});
+
+export class BughouseMatch extends MultiBoardMatch {
+  constructor() {
+    super(Object.values(BughouseBoard));
+  }
+
+  /**
+   * Board A: White on the left; board B: White on the right.
+   * @param {object} config - Option configuration
+   * @param {string} board
+   * @returns {object}
+   */
+  _getBoardConfig(config, board) {
+    const blackSide = board === BughouseBoard.A ? Player.RIGHT : Player.LEFT;
+    return { ...super._getBoardConfig(config, board), blackSide };
+  }
+
+  /**
+   * Get the team of a seat (partners sit on the same side).
+   * @param {string} seat
+   * @returns {number} 1 or 2
+   */
+  getTeam(seat) {
+    return MultiBoardMatch.parseSeat(seat).side === Player.LEFT ? 1 : 2;
+  }
+
+  /**
+   * Get the combined status: frozen as soon as either board is.
+   * @returns {string} GameStatus value
+   */
+  getStatus() {
+    const statuses = Object.values(this.boards).map((b) => b.gameState.status);
+    if (statuses.includes(GameStatus.FROZEN)) return GameStatus.FROZEN;
+    return statuses[0];
+  }
+
+  /**
+   * Bughouse: a lost game on either board ends the match on both.
+   * @returns {boolean}
+   */
+  _onLostOnTime() {
+    this.freeze();
+    return true;
+  }
+
+  /**
+   * Create a result record with the final times of both boards.
+   * @returns {{ bughouse: boolean, finishedAt: number, boards: Object<string, object> }}
+   */
+  createResult() {
+    return { bughouse: true, ...super.createResult() };
+  }
+}
@@ -0,0 +1,76 @@
+/**
+ * ClockSource - Where TimerEngine gets its time, frames and visibility from
+ *
+ * This default reads the browser: performance.now(), Date.now(),
+ * requestAnimationFrame and the page visibility. Pass another source to
+ * TimerEngine to run it elsewhere (see ManualClockSource for Node and tests).
+ */
+
+import { BackgroundTimer } from './BackgroundTimer.js';
+
+export class ClockSource {
+  /**
+   * Monotonic time for measuring elapsed time.
+   * @returns {number} ms
+   */
+  now() {
+    return performance.now();
+  }
+
+  /**
+   * Wall-clock time for dating events.
+   * @returns {number} ms since the epoch
+   */
+  wallNow() {
+    return Date.now();
+  }
+
+  /**
+   * Call a function on the next frame.
+   * @param {(timestamp: number) => void} callback - Gets the frame time on the now() timebase
+   * @returns {number} Id for cancelFrame
+   */
+  requestFrame(callback) {
+    return requestAnimationFrame(callback);
+  }
+
+  /**
+   * Cancel a requested frame.
+   * @param {number} id
+   */
+  cancelFrame(id) {
+    cancelAnimationFrame(id);
+  }
+
+  /**
+   * Whether the page is hidden (no frames are drawn).
+   * @returns {boolean}
+   */
+  isHidden() {
+    return document.visibilityState === 'hidden';
+  }
+
+  /**
+   * Listen for the page being hidden or shown.
+   * @param {Function} listener
+   */
+  addVisibilityListener(listener) {
+    document.addEventListener('visibilitychange', listener);
+  }
+
+  /**
+   * Stop listening for the page being hidden or shown.
+   * @param {Function} listener
+   */
+  removeVisibilityListener(listener) {
+    document.removeEventListener('visibilitychange', listener);
+  }
+
+  /**
+   * Create the timer that wakes the engine while the page is hidden.
+   * @returns {{ schedule: Function, cancel: Function, destroy: Function }} See BackgroundTimer
+   */
+  createBackgroundTimer() {
+    return new BackgroundTimer();
+  }
+}
@@ -0,0 +1,325 @@
+/**
+ * CorrespondenceGame - Days-per-move clock for games played over weeks
+ *
+ * Nothing runs in the background: every time is computed from stored
+ * wall-clock timestamps, so the page can be closed between moves. Each move
+ * adds the time per move to the mover's bank, up to the maximum bank; the
+ * time since the turn started is taken from the bank of the player to move.
+ *
+ * Vacation days are a per-player allowance, used up in calendar time while
+ * the vacation lasts. The clock of a player on vacation does not run. A
+ * vacation ends when the player ends it, moves, or runs out of days.
+ *
+ * Every method takes the current time (`now`, ms since the epoch), so the
+ * results do not depend on when the page happens to be open.
+ */
+
+import { CorrespondenceEvent, Limits } from '../utils/constants.js';
+
+/** One day in ms */
+export const DAY_MS = 86400000;
+
+/** Colours in move order */
+const COLORS = ['white', 'black'];
+
+export class CorrespondenceGame {
+  /**
+   * @param {object} data - Stored game (see toJSON)
+   */
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.createdAt = data.createdAt;
+    this.perMoveMs = data.perMoveMs;
+    this.maxBankMs = data.maxBankMs;
+    /** @type {Object<string, { name: string, bankMs: number, vacationLeftMs: number, vacationSince: number|null, turnVacationMs: number }>} */
+    this.players = {};
+    for (const color of COLORS) {
+      this.players[color] = { ...data.players[color] };
+    }
+    /** @type {string} Colour to move */
+    this.toMove = data.toMove;
+    /** @type {number} When the current turn started */
+    this.turnStartedAt = data.turnStartedAt;
+    /** @type {number} Moves made by both players */
+    this.moveCount = data.moveCount;
+    /** @type {Array<object>} Moves, vacations and the end, oldest first */
+    this.history = data.history.map((entry) => ({ ...entry }));
+    /** @type {{ reason: string, loser?: string, at: number }|null} Set once the game is over */
+    this.result = data.result ? { ...data.result } : null;
+  }
+
+  /**
+   * Create a new game; White's first turn starts right away.
+   * @param {object} setup
+   * @param {string} [setup.name] - Game name (e.g. ladder round)
+   * @param {string} [setup.whiteName]
+   * @param {string} [setup.blackName]
+   * @param {number} setup.daysPerMove - Days added to the bank with each move
+   * @param {number} setup.maxDays - Maximum bank
+   * @param {number} [setup.vacationDays=0] - Vacation allowance per player
+   * @param {number} now - Creation time
+   * @returns {CorrespondenceGame}
+   */
+  static create(setup, now) {
+    const { daysPerMove, maxDays, vacationDays = 0 } = setup;
+    const max = Limits.MAX_CORRESPONDENCE_DAYS;
+    if (!(daysPerMove >= 1 && daysPerMove <= max) || !(maxDays >= daysPerMove && maxDays <= max)) {
+      throw new Error(`Correspondence needs 1-${max} days per move and a bank of at least that`);
+    }
+    if (!(vacationDays >= 0 && vacationDays <= max)) {
+      throw new Error(`Vacation must be 0-${max} days`);
+    }
+
+    const player = (name) => ({
+      name,
+      bankMs: daysPerMove * DAY_MS,
+      vacationLeftMs: vacationDays * DAY_MS,
+      vacationSince: null,
+      turnVacationMs: 0,
+    });
+    return new CorrespondenceGame({
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      name: setup.name || 'Correspondence',
+      createdAt: now,
+      perMoveMs: daysPerMove * DAY_MS,
+      maxBankMs: maxDays * DAY_MS,
+      players: { white: player(setup.whiteName || 'White'), black: player(setup.blackName || 'Black') },
+      toMove: 'white',
+      turnStartedAt: now,
+      moveCount: 0,
+      history: [],
+      result: null,
+    });
+  }
+
+  /**
+   * Whether the game has ended (flag or end entered).
+   * @returns {boolean}
+   */
+  isOver() {
+    return this.result !== null;
+  }
+
+  /**
+   * Latest end of a player's vacation, when the allowance runs out.
+   * @param {string} color
+   * @returns {number|null} Null when not on vacation
+   */
+  _vacationEnd(color) {
+    const p = this.players[color];
+    return p.vacationSince === null ? null : p.vacationSince + p.vacationLeftMs;
+  }
+
+  /**
+   * Time charged to the player to move since the turn started (vacations excluded).
+   * @param {number} now
+   * @returns {number}
+   */
+  _usedMs(now) {
+    const p = this.players[this.toMove];
+    let pausedMs = p.turnVacationMs;
+    if (p.vacationSince !== null) {
+      const end = Math.min(now, this._vacationEnd(this.toMove));
+      pausedMs += Math.max(0, end - Math.max(p.vacationSince, this.turnStartedAt));
+    }
+    return Math.max(0, now - this.turnStartedAt - pausedMs);
+  }
+
+  /**
+   * Get a player's remaining time.
+   * @param {string} color
+   * @param {number} now
+   * @returns {number}
+   */
+  getRemainingMs(color, now) {
+    const bankMs = this.players[color].bankMs;
+    if (this.result || color !== this.toMove) return bankMs;
+    return bankMs - this._usedMs(now);
+  }
+
+  /**
+   * Get a player's vacation days left, in ms.
+   * @param {string} color
+   * @param {number} now
+   * @returns {number}
+   */
+  getVacationLeftMs(color, now) {
+    const p = this.players[color];
+    if (p.vacationSince === null) return p.vacationLeftMs;
+    const end = Math.min(now, this._vacationEnd(color));
+    return Math.max(0, p.vacationLeftMs - (end - p.vacationSince));
+  }
+
+  /**
+   * Whether a player is on vacation.
+   * @param {string} color
+   * @param {number} now
+   * @returns {boolean}
+   */
+  isOnVacation(color, now) {
+    const end = this._vacationEnd(color);
+    return end !== null && end > now;
+  }
+
+  /**
+   * Get the time by which the player to move must move, assuming a running
+   * vacation lasts until its days run out.
+   * @param {number} now
+   * @returns {number|null} Null once the game is over
+   */
+  getDeadline(now) {
+    if (this.result) return null;
+    const remainingMs = this.getRemainingMs(this.toMove, now);
+    const vacationEnd = this.isOnVacation(this.toMove, now) ? this._vacationEnd(this.toMove) : now;
+    return vacationEnd + remainingMs;
+  }
+
+  /**
+   * Catch up with the wall clock: end vacations whose days ran out and
+   * detect a flag. Call before showing or saving the game.
+   * @param {number} now
+   * @returns {boolean} Whether anything changed
+   */
+  update(now) {
+    if (this.result) return false;
+    let changed = false;
+
+    const expired = COLORS
+      .filter((color) => this.players[color].vacationSince !== null && this._vacationEnd(color) <= now)
+      .sort((a, b) => this._vacationEnd(a) - this._vacationEnd(b));
+    for (const color of expired) {
+      this._closeVacation(color, this._vacationEnd(color));
+      changed = true;
+    }
+
+    const remainingMs = this.getRemainingMs(this.toMove, now);
+    if (remainingMs <= 0) {
+      // The clock ran without a break since the flag fell
+      const at = now + remainingMs;
+      const loser = this.toMove;
+      this.players[loser].bankMs = 0;
+      this._finish({ reason: CorrespondenceEvent.FLAG, loser, at });
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * Record the move of the player to move.
+   * @param {number} now
+   * @returns {boolean} False once the game is over (e.g. the flag fell)
+   */
+  makeMove(now) {
+    this.update(now);
+    if (this.result) return false;
+
+    const color = this.toMove;
+    const p = this.players[color];
+    const usedMs = this._usedMs(now);
+    if (p.vacationSince !== null) this._closeVacation(color, now);
+
+    p.bankMs = Math.min(this.maxBankMs, p.bankMs - usedMs + this.perMoveMs);
+    this.moveCount++;
+    this.history.push({
+      type: CorrespondenceEvent.MOVE,
+      color,
+      number: Math.ceil(this.moveCount / 2),
+      at: now,
+      usedMs,
+      bankMs: p.bankMs,
+    });
+
+    this.toMove = color === 'white' ? 'black' : 'white';
+    this.turnStartedAt = now;
+    this.players[this.toMove].turnVacationMs = 0;
+    return true;
+  }
+
+  /**
+   * Start a player's vacation.
+   * @param {string} color
+   * @param {number} now
+   * @returns {boolean} Whether the vacation started
+   */
+  startVacation(color, now) {
+    this.update(now);
+    const p = this.players[color];
+    if (this.result || p.vacationSince !== null || p.vacationLeftMs <= 0) return false;
+    p.vacationSince = now;
+    this.history.push({ type: CorrespondenceEvent.VACATION_START, color, at: now });
+    return true;
+  }
+
+  /**
+   * End a player's vacation early.
+   * @param {string} color
+   * @param {number} now
+   * @returns {boolean} Whether a vacation was running
+   */
+  endVacation(color, now) {
+    this.update(now);
+    if (this.players[color].vacationSince === null) return false;
+    this._closeVacation(color, now);
+    return true;
+  }
+
+  /**
+   * End the game (result decided over the board, resignation, draw).
+   * @param {number} now
+   * @returns {boolean} False if the game was already over
+   */
+  end(now) {
+    this.update(now);
+    if (this.result) return false;
+    this._finish({ reason: CorrespondenceEvent.END, at: now });
+    return true;
+  }
+
+  /**
+   * Close a vacation and charge its days; pauses the turn if the player is to move.
+   * @param {string} color
+   * @param {number} at - End of the vacation
+   */
+  _closeVacation(color, at) {
+    const p = this.players[color];
+    p.vacationLeftMs = Math.max(0, p.vacationLeftMs - (at - p.vacationSince));
+    if (color === this.toMove) {
+      p.turnVacationMs += Math.max(0, at - Math.max(p.vacationSince, this.turnStartedAt));
+    }
+    p.vacationSince = null;
+    this.history.push({ type: CorrespondenceEvent.VACATION_END, color, at });
+  }
+
+  /**
+   * Close any running vacation, then set and log the result.
+   * @param {{ reason: string, loser?: string, at: number }} result - reason is a CorrespondenceEvent
+   */
+  _finish(result) {
+    for (const color of COLORS) {
+      if (this.players[color].vacationSince !== null) this._closeVacation(color, result.at);
+    }
+    this.result = result;
+    this.history.push({ type: result.reason, color: result.loser ?? null, at: result.at });
+  }
+
+  /**
+   * Get the stored form of the game.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      createdAt: this.createdAt,
+      perMoveMs: this.perMoveMs,
+      maxBankMs: this.maxBankMs,
+      players: { white: { ...this.players.white }, black: { ...this.players.black } },
+      toMove: this.toMove,
+      turnStartedAt: this.turnStartedAt,
+      moveCount: this.moveCount,
+      history: this.history.map((entry) => ({ ...entry })),
+      result: this.result ? { ...this.result } : null,
+    };
+  }
+}
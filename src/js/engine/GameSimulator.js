@@ -0,0 +1,178 @@
+/**
+ * GameSimulator - Headless clock for scripted games
+ *
+ * Runs GameState and PeriodManager off a TimerEngine on a ManualClockSource,
+ * without any DOM, so a scenario ("press at 12.3 s, 40 moves, period
+ * transition") can be replayed exactly in Node: by tools, or by tests.
+ * Presses work like taps on the clock faces, and time only passes when told
+ * to. A flag freezes the clock when the option has freeze on, as in the app.
+ *
+ * Every action returns the resulting state (see getState).
+ */
+
+import { GameState } from '../state/GameState.js';
+import { PeriodManager } from './PeriodManager.js';
+import { TimerEngine } from './TimerEngine.js';
+import { ManualClockSource } from './ManualClockSource.js';
+import { FlagState, GameStatus, Player } from '../utils/constants.js';
+
+export class GameSimulator {
+  /**
+   * @param {object} optionConfig - Option as in presets.js
+   * @param {object} [options]
+   * @param {number} [options.wallStartMs=0] - Wall-clock time at the start, for flag times
+   */
+  constructor(optionConfig, { wallStartMs = 0 } = {}) {
+    this.clock = new ManualClockSource(wallStartMs);
+    this.gameState = new GameState();
+    this.gameState.initGame(optionConfig);
+    this.periodManager = new PeriodManager(this.gameState);
+    this.timerEngine = new TimerEngine(this.clock);
+    this.timerEngine.setTickCallback((deltaMs, tickAtMs) => this._onTick(deltaMs, tickAtMs));
+  }
+
+  /**
+   * Press a clock: the first press starts the game (the pressing side's
+   * opponent runs first), later presses by the player to move end the turn.
+   * Presses by anyone else are ignored, as on the clock.
+   * @param {string} [side] - Default: the player to move (Player.LEFT to start)
+   * @returns {object} State after the press
+   */
+  press(side) {
+    const gs = this.gameState;
+    if (gs.status === GameStatus.IDLE) {
+      gs.startGame(side ?? Player.LEFT);
+      this.periodManager.init();
+      this.periodManager.onTurnStart(gs.activePlayer);
+      this.timerEngine.start();
+    } else if (gs.status === GameStatus.RUNNING && (side ?? gs.activePlayer) === gs.activePlayer) {
+      // The flag may have fallen just before the press
+      this.timerEngine.sync();
+      if (gs.status === GameStatus.RUNNING) this._switchTurn();
+    }
+    return this.getState();
+  }
+
+  /**
+   * Let time pass.
+   * @param {number} ms
+   * @returns {object} State afterwards
+   */
+  advance(ms) {
+    if (ms > 0) this.clock.advance(ms);
+    return this.getState();
+  }
+
+  /**
+   * Let time pass up to a time since the simulator was created.
+   * @param {number} elapsedMs
+   * @returns {object} State afterwards
+   */
+  advanceTo(elapsedMs) {
+    return this.advance(elapsedMs - this.clock.now());
+  }
+
+  /**
+   * Play moves of equal length, pressing after each.
+   * @param {number} count
+   * @param {number} msPerMove
+   * @returns {object} State after the last move
+   */
+  playMoves(count, msPerMove) {
+    for (let i = 0; i < count && this.gameState.status === GameStatus.RUNNING; i++) {
+      this.advance(msPerMove);
+      this.press();
+    }
+    return this.getState();
+  }
+
+  /**
+   * Pause the running clock.
+   * @returns {object} State after the pause
+   */
+  pause() {
+    if (this.gameState.status === GameStatus.RUNNING) {
+      this.timerEngine.sync();
+      this.gameState.pause();
+      this.timerEngine.stop();
+    }
+    return this.getState();
+  }
+
+  /**
+   * Resume after a pause.
+   * @returns {object} State after resuming
+   */
+  resume() {
+    if (this.gameState.status === GameStatus.PAUSED) {
+      this.gameState.resume();
+      this.timerEngine.start();
+    }
+    return this.getState();
+  }
+
+  /**
+   * Run a script of steps, in order. A step may hold several actions,
+   * done in this order: at (advanceTo), advance, press, pause, resume.
+   * @param {Array<{ at?: number, advance?: number, press?: string|true, pause?: true, resume?: true }>} steps
+   *   press: the side that presses, or true for the player to move
+   * @returns {Array<object>} State after each step
+   */
+  run(steps) {
+    return steps.map((step) => {
+      if (step.at !== undefined) this.advanceTo(step.at);
+      if (step.advance !== undefined) this.advance(step.advance);
+      if (step.press !== undefined) this.press(step.press === true ? undefined : step.press);
+      if (step.pause) this.pause();
+      if (step.resume) this.resume();
+      return this.getState();
+    });
+  }
+
+  /**
+   * Get the state of the game.
+   * @returns {{ elapsedMs: number, status: string, activePlayer: string|null, players: Object<string, object> }}
+   *   players: PlayerState snapshots with the timing method in use, by side
+   */
+  getState() {
+    const gs = this.gameState;
+    const players = {};
+    for (const side of gs.getSides()) {
+      players[side] = { ...gs.getPlayer(side).snapshot(), method: this.periodManager.getMethodType(side) };
+    }
+    return { elapsedMs: this.clock.now(), status: gs.status, activePlayer: gs.activePlayer, players };
+  }
+
+  /**
+   * End the turn of the player to move (as App._switchTurn).
+   */
+  _switchTurn() {
+    const gs = this.gameState;
+    const previousActive = gs.activePlayer;
+    this.periodManager.onTurnEnd(previousActive);
+    gs.switchTurn();
+    this.periodManager.onMoveCompleted(previousActive);
+    this.periodManager.onTurnStart(gs.activePlayer);
+  }
+
+  /**
+   * Timer tick callback (as App._onTick, without sound or display).
+   * @param {number} deltaMs
+   * @param {number} tickAtMs
+   */
+  _onTick(deltaMs, tickAtMs) {
+    const gs = this.gameState;
+    if (gs.status !== GameStatus.RUNNING || !gs.activePlayer) return;
+
+    const side = gs.activePlayer;
+    const result = this.periodManager.onTick(deltaMs, side, tickAtMs);
+    if (!result.expired) return;
+
+    const player = gs.getPlayer(side);
+    if (player.flagState === FlagState.NONE) player.setFlag(FlagState.BLINKING, tickAtMs);
+    if (gs.freezeEnabled && (result.moveLimitExpired || gs.isInFinalPeriod(side))) {
+      gs.freeze();
+      this.timerEngine.stop();
+    }
+  }
+}
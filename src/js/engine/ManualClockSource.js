@@ -0,0 +1,146 @@
+/**
+ * ManualClockSource - Clock source whose time only moves when told to
+ *
+ * For running TimerEngine without a browser (Node, tests, GameSimulator).
+ * Time starts at 0 on the now() timebase and at a given wall-clock time.
+ * advance() moves both forward, fires any background timers that fall due
+ * on the way (at their exact time) and then runs one frame, like a page
+ * whose main thread was busy for that long.
+ */
+
+import { ClockSource } from './ClockSource.js';
+
+export class ManualClockSource extends ClockSource {
+  /**
+   * @param {number} [wallStartMs=0] - Wall-clock time at time 0 (ms since the epoch)
+   */
+  constructor(wallStartMs = 0) {
+    super();
+    /** @type {number} Current time on the now() timebase */
+    this._nowMs = 0;
+    /** @type {number} How far the wall clock runs ahead (suspensions) */
+    this._wallOffsetMs = wallStartMs;
+    /** @type {Map<number, Function>} Requested frames by id */
+    this._frames = new Map();
+    /** @type {number} */
+    this._nextFrameId = 1;
+    /** @type {boolean} */
+    this._hidden = false;
+    /** @type {Set<Function>} */
+    this._visibilityListeners = new Set();
+    /** @type {Array<{ dueMs: number|null, callback: Function|null }>} Background timers created so far */
+    this._timers = [];
+  }
+
+  now() {
+    return this._nowMs;
+  }
+
+  wallNow() {
+    return this._wallOffsetMs + this._nowMs;
+  }
+
+  requestFrame(callback) {
+    const id = this._nextFrameId++;
+    this._frames.set(id, callback);
+    return id;
+  }
+
+  cancelFrame(id) {
+    this._frames.delete(id);
+  }
+
+  isHidden() {
+    return this._hidden;
+  }
+
+  addVisibilityListener(listener) {
+    this._visibilityListeners.add(listener);
+  }
+
+  removeVisibilityListener(listener) {
+    this._visibilityListeners.delete(listener);
+  }
+
+  createBackgroundTimer() {
+    const timer = { dueMs: null, callback: null };
+    this._timers.push(timer);
+    return {
+      schedule: (delayMs, callback) => {
+        timer.dueMs = this._nowMs + delayMs;
+        timer.callback = callback;
+      },
+      cancel: () => {
+        timer.dueMs = null;
+        timer.callback = null;
+      },
+      destroy: () => {
+        timer.dueMs = null;
+        timer.callback = null;
+        this._timers = this._timers.filter((t) => t !== timer);
+      },
+    };
+  }
+
+  /**
+   * Hide or show the page and tell the visibility listeners.
+   * @param {boolean} hidden
+   */
+  setHidden(hidden) {
+    if (this._hidden === hidden) return;
+    this._hidden = hidden;
+    for (const listener of [...this._visibilityListeners]) listener();
+  }
+
+  /**
+   * Let time pass: background timers fire when due, then one frame runs
+   * (unless the page is hidden).
+   * @param {number} ms
+   * @param {object} [options]
+   * @param {boolean} [options.frame=true] - false: no frame yet, as for a tap between frames
+   */
+  advance(ms, { frame = true } = {}) {
+    const targetMs = this._nowMs + ms;
+    for (let timer = this._nextTimer(targetMs); timer; timer = this._nextTimer(targetMs)) {
+      this._nowMs = Math.max(this._nowMs, timer.dueMs);
+      const callback = timer.callback;
+      timer.dueMs = null;
+      timer.callback = null;
+      callback();
+    }
+    this._nowMs = targetMs;
+    if (frame && !this._hidden) this._runFrames();
+  }
+
+  /**
+   * Let wall-clock time pass while the now() timebase stands still, as when
+   * the OS suspends a hidden page.
+   * @param {number} ms
+   */
+  suspend(ms) {
+    this._wallOffsetMs += ms;
+  }
+
+  /**
+   * Get the earliest background timer due by a time.
+   * @param {number} byMs
+   * @returns {{ dueMs: number, callback: Function }|null}
+   */
+  _nextTimer(byMs) {
+    let next = null;
+    for (const timer of this._timers) {
+      if (timer.dueMs === null || timer.dueMs > byMs) continue;
+      if (!next || timer.dueMs < next.dueMs) next = timer;
+    }
+    return next;
+  }
+
+  /**
+   * Run the frames requested so far; frames they request wait for the next advance.
+   */
+  _runFrames() {
+    const frames = [...this._frames.values()];
+    this._frames.clear();
+    for (const callback of frames) callback(this._nowMs);
+  }
+}
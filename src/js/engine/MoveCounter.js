@@ -8,22 +8,16 @@
 
 export class MoveCounter {
   constructor() {
-    /** @type {number} */
-    this.leftMoves = 0;
-    /** @type {number} */
-    this.rightMoves = 0;
+    /** @type {Object<string, number>} Moves per seat */
+    this._moves = {};
   }
 
   /**
    * Record a move for a player.
-   * @param {string} side - 'left' or 'right'
+   * @param {string} side - Seat ('left', 'right', 'top' or 'bottom')
    */
   recordMove(side) {
-    if (side === 'left') {
-      this.leftMoves++;
-    } else {
-      this.rightMoves++;
-    }
+    this._moves[side] = this.getMoves(side) + 1;
   }
 
   /**
@@ -32,7 +26,7 @@ export class MoveCounter {
    * @returns {number}
    */
   getMoves(side) {
-    return side === 'left' ? this.leftMoves : this.rightMoves;
+    return this._moves[side] || 0;
   }
 
   /**
@@ -41,19 +35,14 @@ export class MoveCounter {
    * @param {number} count
    */
   setMoves(side, count) {
-    if (side === 'left') {
-      this.leftMoves = Math.max(0, count);
-    } else {
-      this.rightMoves = Math.max(0, count);
-    }
+    this._moves[side] = Math.max(0, count);
   }
 
   /**
    * Reset all move counts.
    */
   reset() {
-    this.leftMoves = 0;
-    this.rightMoves = 0;
+    this._moves = {};
   }
 
   /**
@@ -62,8 +51,16 @@ export class MoveCounter {
    * @returns {number} Chess move number
    */
   getChessMoveNumber(whiteColor) {
-    const whiteMoves = whiteColor === 'left' ? this.leftMoves : this.rightMoves;
     // Chess move number = white's move count (white moves first)
-    return whiteMoves;
+    return this.getMoves(whiteColor);
+  }
+
+  /**
+   * Get the round number in a 3-4 player game (the first mover's move count,
+   * i.e. the highest count of all seats).
+   * @returns {number}
+   */
+  getRoundNumber() {
+    return Math.max(0, ...Object.values(this._moves));
   }
 }
@@ -0,0 +1,255 @@
+/**
+ * MultiBoardMatch - Base class for several two-player boards on one screen
+ *
+ * Each board runs its own GameState/PeriodManager/MoveCounter; the app's
+ * single TimerEngine ticks all of them. Seats are named `<board>-<side>`
+ * (e.g. 'a-left'). Subclasses decide the board configs, what a tap refers
+ * to, and what a flag does to the other boards.
+ */
+
+import { GameState } from '../state/GameState.js';
+import { PeriodManager } from './PeriodManager.js';
+import { MoveCounter } from './MoveCounter.js';
+import { GameStatus, Player, FlagState } from '../utils/constants.js';
+
+export class MultiBoardMatch {
+  /**
+   * @param {Array<string>} boardIds - Board identifiers, in display order
+   */
+  constructor(boardIds) {
+    /** @type {Object<string, { gameState: GameState, periodManager: PeriodManager, moveCounter: MoveCounter }>} */
+    this.boards = {};
+    for (const board of boardIds) {
+      const gameState = new GameState();
+      this.boards[board] = {
+        gameState,
+        periodManager: new PeriodManager(gameState),
+        moveCounter: new MoveCounter(),
+      };
+    }
+  }
+
+  /**
+   * Set up every board from the same option.
+   * @param {object} config - Option configuration
+   */
+  init(config) {
+    for (const [board, { gameState, periodManager, moveCounter }] of Object.entries(this.boards)) {
+      gameState.initGame(this._getBoardConfig(config, board));
+      periodManager.init();
+      moveCounter.reset();
+    }
+  }
+
+  /**
+   * Get the config of one board (no berserk on linked boards).
+   * @param {object} config - Option configuration
+   * @param {string} board
+   * @returns {object}
+   */
+  _getBoardConfig(config, board) {
+    return { ...config, berserk: false };
+  }
+
+  /**
+   * Build a seat name.
+   * @param {string} board
+   * @param {string} side - Player.LEFT or Player.RIGHT
+   * @returns {string}
+   */
+  static getSeat(board, side) {
+    return `${board}-${side}`;
+  }
+
+  /**
+   * Split a seat name into board and side.
+   * @param {string} seat
+   * @returns {{ board: string, side: string }}
+   */
+  static parseSeat(seat) {
+    const [board, side] = seat.split('-');
+    return { board, side };
+  }
+
+  /**
+   * Get all seats, board by board (left, then right).
+   * @returns {Array<string>}
+   */
+  getSeats() {
+    const seats = [];
+    for (const board of Object.keys(this.boards)) {
+      seats.push(MultiBoardMatch.getSeat(board, Player.LEFT), MultiBoardMatch.getSeat(board, Player.RIGHT));
+    }
+    return seats;
+  }
+
+  /**
+   * Get the combined status: running while any board runs, paused while any
+   * board is paused, idle before the start and frozen once all boards ended.
+   * @returns {string} GameStatus value
+   */
+  getStatus() {
+    const statuses = Object.values(this.boards).map((b) => b.gameState.status);
+    if (statuses.includes(GameStatus.RUNNING)) return GameStatus.RUNNING;
+    if (statuses.includes(GameStatus.PAUSED)) return GameStatus.PAUSED;
+    if (statuses.every((status) => status === GameStatus.IDLE)) return GameStatus.IDLE;
+    return GameStatus.FROZEN;
+  }
+
+  /**
+   * Whether the running clock of a board counts down.
+   * @param {string} board
+   * @returns {boolean}
+   */
+  isClockRunning(board) {
+    return this.boards[board].gameState.status === GameStatus.RUNNING;
+  }
+
+  /**
+   * Start every board at once with White's clock running.
+   */
+  start() {
+    for (const { gameState, periodManager } of Object.values(this.boards)) {
+      periodManager.init();
+      gameState.startClockOf(gameState.left.color === 'white' ? Player.LEFT : Player.RIGHT);
+      periodManager.onTurnStart(gameState.activePlayer);
+    }
+  }
+
+  /**
+   * Resolve what a tap refers to into a seat.
+   * @param {string} key - Tapped element key
+   * @returns {string} Seat name
+   */
+  _resolveSeat(key) {
+    return key;
+  }
+
+  /**
+   * Handle a tap: starts the match when idle, otherwise ends the turn of the
+   * tapped seat if its clock is running.
+   * @param {string} key - Tapped element key (see _resolveSeat)
+   * @returns {{ started: boolean, switched: boolean, periodTransition: boolean }}
+   */
+  tap(key) {
+    const result = { started: false, switched: false, periodTransition: false };
+    const status = this.getStatus();
+
+    if (status === GameStatus.IDLE) {
+      this.start();
+      result.started = true;
+      return result;
+    }
+    if (status !== GameStatus.RUNNING) return result;
+
+    const seat = this._resolveSeat(key);
+    if (!seat) return result;
+    const { board, side } = MultiBoardMatch.parseSeat(seat);
+    if (!this.boards[board]) return result;
+    const { gameState, periodManager, moveCounter } = this.boards[board];
+    if (gameState.status !== GameStatus.RUNNING || gameState.activePlayer !== side) return result;
+
+    periodManager.onTurnEnd(side);
+    moveCounter.recordMove(side);
+    gameState.switchTurn();
+    result.periodTransition = periodManager.onMoveCompleted(side).periodTransition;
+    periodManager.onTurnStart(gameState.activePlayer);
+    result.switched = true;
+    return result;
+  }
+
+  /**
+   * Advance the clock of every board whose clock runs (see isClockRunning).
+   * @param {number} deltaMs
+   * @param {number} [endAt=Date.now()] - Wall-clock time at the end of the tick
+   * @returns {{ expired: boolean, frozen: boolean, periodTransition: boolean, lowestTimeMs: number|null }}
+   */
+  tick(deltaMs, endAt = Date.now()) {
+    const summary = { expired: false, frozen: false, periodTransition: false, lowestTimeMs: null };
+    const lost = [];
+
+    for (const [board, { gameState, periodManager }] of Object.entries(this.boards)) {
+      if (!this.isClockRunning(board)) continue;
+
+      const side = gameState.activePlayer;
+      const result = periodManager.onTick(deltaMs, side, endAt);
+      const player = gameState.getPlayer(side);
+
+      if (result.periodTransition) summary.periodTransition = true;
+      if (summary.lowestTimeMs === null || player.timeMs < summary.lowestTimeMs) {
+        summary.lowestTimeMs = player.timeMs;
+      }
+
+      if (result.expired) {
+        summary.expired = true;
+        if (player.flagState === FlagState.NONE) {
+          player.setFlag(FlagState.BLINKING, endAt);
+        }
+        if (result.moveLimitExpired || gameState.isInFinalPeriod(side)) lost.push(board);
+      }
+    }
+
+    if (lost.length > 0) summary.frozen = this._onLostOnTime(lost);
+    return summary;
+  }
+
+  /**
+   * Handle boards lost on time in this tick.
+   * @param {Array<string>} boards
+   * @returns {boolean} Whether any board was frozen
+   */
+  _onLostOnTime(boards) {
+    return false;
+  }
+
+  /**
+   * Freeze every board.
+   */
+  freeze() {
+    for (const { gameState } of Object.values(this.boards)) {
+      gameState.freeze();
+    }
+  }
+
+  /**
+   * Arbiter pause: stop every running board, or resume every paused one.
+   */
+  togglePause() {
+    const running = this.getStatus() === GameStatus.RUNNING;
+    for (const { gameState } of Object.values(this.boards)) {
+      if (running) gameState.pause();
+      else gameState.resume();
+    }
+  }
+
+  /**
+   * Reset every board to its starting times.
+   */
+  reset() {
+    for (const { gameState, periodManager, moveCounter } of Object.values(this.boards)) {
+      gameState.reset();
+      periodManager.init();
+      moveCounter.reset();
+    }
+  }
+
+  /**
+   * Whether the match has been started.
+   * @returns {boolean}
+   */
+  hasBeenStarted() {
+    return Object.values(this.boards).some((b) => b.gameState.hasBeenStarted);
+  }
+
+  /**
+   * Create a result record with the final times of every board.
+   * @returns {{ finishedAt: number, boards: Object<string, object> }}
+   */
+  createResult() {
+    const boards = {};
+    for (const [board, { gameState }] of Object.entries(this.boards)) {
+      boards[board] = gameState.createResult();
+    }
+    return { finishedAt: Date.now(), boards };
+  }
+}
@@ -17,6 +17,9 @@ import { UsDelayMethod } from './methods/UsDelayMethod.js';
 import { ByoYomiMethod } from './methods/ByoYomiMethod.js';
 import { CanadianByoYomiMethod } from './methods/CanadianByoYomiMethod.js';
 import { UpcountMethod } from './methods/UpcountMethod.js';
+import { HourglassMethod } from './methods/HourglassMethod.js';
+import { DelayIncrementMethod } from './methods/DelayIncrementMethod.js';
+import { JapaneseRoundingMethod } from './methods/JapaneseRoundingMethod.js';
 
 export class PeriodManager {
   /**
@@ -28,8 +31,11 @@ export class PeriodManager {
     /** @type {Map<string, import('./TimingMethod.js').TimingMethod>} Active timing method per player side */
     this.activeMethods = new Map();
 
-    /** @type {number} Track moves at start of period for move-based transitions */
-    this._periodStartMoves = { left: 0, right: 0 };
+    /** @type {Object<string, number>} Track moves at start of period for move-based transitions */
+    this._periodStartMoves = {};
+
+    /** @type {Object<string, number>} Time spent on the current move per seat (per-move limit) */
+    this._moveTimeMs = {};
   }
 
   /**
@@ -53,11 +59,64 @@ export class PeriodManager {
         return new CanadianByoYomiMethod(periodConfig);
       case TimingMethodType.UPCOUNT:
         return new UpcountMethod(periodConfig);
+      case TimingMethodType.HOURGLASS:
+        return new HourglassMethod(periodConfig);
+      case TimingMethodType.DELAY_INCREMENT:
+        return new DelayIncrementMethod(periodConfig);
+      case TimingMethodType.JP_ROUNDING:
+        return new JapaneseRoundingMethod(periodConfig);
       default:
         return new TimeMethod(periodConfig);
     }
   }
 
+  /**
+   * Create the timing method of one player, without increment if they went berserk.
+   * @param {string} side
+   * @param {object} periodConfig
+   * @returns {import('./TimingMethod.js').TimingMethod}
+   */
+  _createMethodFor(side, periodConfig) {
+    const player = this.gameState.getPlayer(side);
+    if (player && player.berserk) {
+      if (periodConfig.method === TimingMethodType.FISCHER) {
+        return PeriodManager.createMethod({ ...periodConfig, delayMs: 0 });
+      }
+      if (periodConfig.method === TimingMethodType.DELAY_INCREMENT) {
+        return PeriodManager.createMethod({ ...periodConfig, incrementMs: 0 });
+      }
+    }
+    return PeriodManager.createMethod(periodConfig);
+  }
+
+  /**
+   * Re-create a player's timing method after a berserk toggle.
+   * @param {string} side
+   */
+  applyBerserk(side) {
+    const gs = this.gameState;
+    const method = this._createMethodFor(side, gs.getCurrentPeriodConfig(side));
+    this.activeMethods.set(side, method);
+
+    // Berserk before the first move while the clock already runs
+    if (gs.activePlayer === side) {
+      method.onTurnStart(gs.getPlayer(side));
+    }
+  }
+
+  /**
+   * Re-create a player's timing method for their current period, after a
+   * correction changed the period or times (a berserk player stays without
+   * increment).
+   * @param {string} side
+   */
+  rebuildMethod(side) {
+    const periodConfig = this.gameState.getCurrentPeriodConfig(side);
+    if (periodConfig) {
+      this.activeMethods.set(side, this._createMethodFor(side, periodConfig));
+    }
+  }
+
   /**
    * Initialize timing methods for both players based on current game config.
    */
@@ -66,10 +125,41 @@ export class PeriodManager {
     if (!config || !config.periods || !config.periods.length) return;
 
     this.activeMethods.clear();
-    const firstPeriod = config.periods[0];
-    this.activeMethods.set('left', PeriodManager.createMethod(firstPeriod));
-    this.activeMethods.set('right', PeriodManager.createMethod(firstPeriod));
-    this._periodStartMoves = { left: 0, right: 0 };
+    // Each player starts with the first period of their own list (odds games)
+    for (const side of this.gameState.getSides()) {
+      this.activeMethods.set(side, this._createMethodFor(side, this.gameState.getPeriods(side)[0]));
+    }
+    this._periodStartMoves = {};
+    this._moveTimeMs = {};
+  }
+
+  /**
+   * Get the state kept here and in the timing methods, to save a running
+   * game (the methods themselves follow from each player's current period).
+   * @returns {{ periodStartMoves: Object<string, number>, moveTimeMs: Object<string, number>, methods: Object<string, object> }}
+   */
+  getState() {
+    const methods = {};
+    for (const [side, method] of this.activeMethods) {
+      methods[side] = method.getState();
+    }
+    return { periodStartMoves: { ...this._periodStartMoves }, moveTimeMs: { ...this._moveTimeMs }, methods };
+  }
+
+  /**
+   * Re-create the timing methods for the players' current periods and
+   * restore the saved state (see getState). Restore the GameState first.
+   * @param {object} state
+   */
+  restoreState(state) {
+    this.activeMethods.clear();
+    for (const side of this.gameState.getSides()) {
+      const method = this._createMethodFor(side, this.gameState.getCurrentPeriodConfig(side));
+      method.restoreState(state.methods[side] || {});
+      this.activeMethods.set(side, method);
+    }
+    this._periodStartMoves = { ...state.periodStartMoves };
+    this._moveTimeMs = { ...state.moveTimeMs };
   }
 
   /**
@@ -88,6 +178,7 @@ export class PeriodManager {
   onTurnStart(side) {
     const method = this.getMethod(side);
     const player = this.gameState.getPlayer(side);
+    this._moveTimeMs[side] = 0;
     if (method && player) {
       method.onTurnStart(player);
     }
@@ -97,9 +188,11 @@ export class PeriodManager {
    * Handle a timer tick for the active player.
    * @param {number} deltaMs
    * @param {string} side
-   * @returns {{ expired: boolean, periodTransition: boolean }}
+   * @param {number} [endAt=Date.now()] - Wall-clock time at the end of the tick;
+   *   a flag that fell during the tick is dated back to the moment it fell
+   * @returns {{ expired: boolean, periodTransition: boolean, moveLimitExpired?: boolean, momentExpired?: boolean }}
    */
-  onTick(deltaMs, side) {
+  onTick(deltaMs, side, endAt = Date.now()) {
     const method = this.getMethod(side);
     const player = this.gameState.getPlayer(side);
 
@@ -107,20 +200,92 @@ export class PeriodManager {
       return { expired: false, periodTransition: false };
     }
 
-    const result = method.onTick(deltaMs, player);
+    const result = this._tickMethod(method, deltaMs, side);
+    const moveLimitExceeded = this._countMoveTime(deltaMs, side);
 
     if (result.expired) {
-      return this._handleExpiry(side);
+      return this._handleExpiry(side, result.overshootMs || 0, endAt);
     }
 
-    // Check for move-based period transition (Fischer with movesRequired > 0)
-    if (method instanceof FischerMethod && method.isPeriodCompleteByMoves(player, this._periodStartMoves[side] || 0)) {
-      return this._transitionToNextPeriod(side, true);
+    if (moveLimitExceeded) {
+      // Exceeding the move limit loses the game like a final-period flag
+      const overshootMs = this._moveTimeMs[side] - this.getMoveLimitMs();
+      player.setFlag(FlagState.BLINKING, endAt - overshootMs);
+      return { expired: true, periodTransition: false, moveLimitExpired: true };
     }
 
+    if (result.momentExpired) {
+      return { expired: false, periodTransition: false, momentExpired: true };
+    }
     return { expired: false, periodTransition: false };
   }
 
+  /**
+   * Get how long a player's running clock takes to come down to a given
+   * time (see TimingMethod.getMsUntil).
+   * @param {string} side
+   * @param {number} remainingMs
+   * @returns {number|null} ms from now, or null if the clock does not get there
+   */
+  getMsUntil(side, remainingMs) {
+    const method = this.getMethod(side);
+    const player = this.gameState.getPlayer(side);
+    return method && player ? method.getMsUntil(player, remainingMs) : null;
+  }
+
+  /**
+   * Run a tick through a player's timing method.
+   * @param {TimingMethod} method
+   * @param {number} deltaMs
+   * @param {string} side
+   * @returns {{ expired: boolean, remainingMs: number, overshootMs?: number }}
+   */
+  _tickMethod(method, deltaMs, side) {
+    const result = method.onTick(deltaMs, this.gameState.getPlayer(side));
+
+    // Hourglass: time spent by the active player flows to the opponent
+    if (result.transferMs > 0) {
+      this.gameState.getOpponent(side).timeMs += result.transferMs;
+    }
+    return result;
+  }
+
+  /**
+   * Get the per-move time limit of the current option.
+   * @returns {number} Limit in ms (0 = no limit)
+   */
+  getMoveLimitMs() {
+    const config = this.gameState.optionConfig;
+    return (config && config.moveLimitMs) || 0;
+  }
+
+  /**
+   * Get the time left for the current move under the per-move limit.
+   * @param {string} side
+   * @returns {number|null} Remaining ms, or null if the option has no move limit
+   */
+  getMoveLimitRemainingMs(side) {
+    const limitMs = this.getMoveLimitMs();
+    if (limitMs <= 0) return null;
+    return Math.max(0, limitMs - (this._moveTimeMs[side] || 0));
+  }
+
+  /**
+   * Count the time spent on the current move against the per-move limit,
+   * which applies on top of whatever method is active.
+   * @param {number} deltaMs
+   * @param {string} side
+   * @returns {boolean} Whether the limit was exceeded during this tick
+   */
+  _countMoveTime(deltaMs, side) {
+    const limitMs = this.getMoveLimitMs();
+    if (limitMs <= 0) return false;
+
+    const before = this._moveTimeMs[side] || 0;
+    this._moveTimeMs[side] = before + deltaMs;
+    return before < limitMs && this._moveTimeMs[side] >= limitMs;
+  }
+
   /**
    * Handle turn end for a player.
    * @param {string} side
@@ -133,51 +298,104 @@ export class PeriodManager {
     }
   }
 
+  /**
+   * Handle a completed move (call after GameState.switchTurn has counted it).
+   * Move-based periods end when the Nth move is completed (FIDE): the next
+   * period's time is added to this player immediately, for any countdown method.
+   * @param {string} side - The player who just completed a move
+   * @returns {{ expired: boolean, periodTransition: boolean }}
+   */
+  onMoveCompleted(side) {
+    const method = this.getMethod(side);
+    const player = this.gameState.getPlayer(side);
+
+    if (!method || !player || this.gameState.isInFinalPeriod(side)) {
+      return { expired: false, periodTransition: false };
+    }
+
+    if (method.isPeriodCompleteByMoves(player, this._periodStartMoves[side] || 0)) {
+      return this._transitionToNextPeriod(side, true);
+    }
+
+    return { expired: false, periodTransition: false };
+  }
+
+  /**
+   * Get the number of moves a player still has to make before the next
+   * time control.
+   * @param {string} side
+   * @returns {number} Moves remaining (0 = no move-based control in this period)
+   */
+  getMovesToTimeControl(side) {
+    const method = this.getMethod(side);
+    const player = this.gameState.getPlayer(side);
+
+    if (!method || !method.hasMoveControl() || this.gameState.isInFinalPeriod(side)) {
+      return 0;
+    }
+
+    const movesInPeriod = player.moves - (this._periodStartMoves[side] || 0);
+    return Math.max(0, method.movesRequired - movesInPeriod);
+  }
+
   /**
    * Handle time expiry for a player.
    * @param {string} side
+   * @param {number} overshootMs - How far the tick ran past zero
+   * @param {number} endAt - Wall-clock time at the end of the tick
    * @returns {{ expired: boolean, periodTransition: boolean }}
    */
-  _handleExpiry(side) {
+  _handleExpiry(side, overshootMs, endAt) {
     const player = this.gameState.getPlayer(side);
     const isLastPeriod = this.gameState.isInFinalPeriod(side);
 
     if (isLastPeriod) {
-      // Final period: blinking flag, game over (or freeze)
-      player.setFlag(FlagState.BLINKING);
+      // Final period: blinking flag, game over (or freeze). Without freeze
+      // the clock keeps running at zero; the flag keeps its first time.
+      if (player.flagState !== FlagState.BLINKING) player.setFlag(FlagState.BLINKING, endAt - overshootMs);
       return { expired: true, periodTransition: false };
     }
 
     // Non-final period: transition to next period
-    return this._transitionToNextPeriod(side, false);
+    const result = this._transitionToNextPeriod(side, false, endAt - overshootMs);
+    if (!result.periodTransition || overshootMs <= 0) return result;
+
+    // The rest of the tick runs on the new period's clock
+    const carried = this._tickMethod(this.getMethod(side), overshootMs, side);
+    if (carried.expired) {
+      const next = this._handleExpiry(side, carried.overshootMs || 0, endAt);
+      return { ...next, periodTransition: true };
+    }
+    return result;
   }
 
   /**
-   * Transition a player (or both) to the next period.
+   * Transition a player (or all players) to the next period.
    * @param {string} side - The player transitioning
    * @param {boolean} moveBasedTransition - Whether this is a move-based transition
+   * @param {number} [at=Date.now()] - When the period ended, for the flag
    * @returns {{ expired: boolean, periodTransition: boolean }}
    */
-  _transitionToNextPeriod(side, moveBasedTransition) {
-    const config = this.gameState.optionConfig;
+  _transitionToNextPeriod(side, moveBasedTransition, at = Date.now()) {
+    const periods = this.gameState.getPeriods(side);
     const player = this.gameState.getPlayer(side);
-    const opponent = this.gameState.getOpponent(side);
 
     const currentPeriodIdx = player.currentPeriod;
-    const nextPeriodIdx = currentPeriodIdx + 1;
+    const currentRepeat = player.periodRepeat;
+    const nextPeriodIdx = this._getNextPeriodIndex(side);
 
-    if (nextPeriodIdx >= config.periods.length) {
+    if (nextPeriodIdx < 0) {
       // No more periods (shouldn't happen if isInFinalPeriod check worked)
-      player.setFlag(FlagState.BLINKING);
+      player.setFlag(FlagState.BLINKING, at);
       return { expired: true, periodTransition: false };
     }
 
-    const currentPeriodConfig = config.periods[currentPeriodIdx];
-    const nextPeriodConfig = config.periods[nextPeriodIdx];
+    const currentPeriodConfig = periods[currentPeriodIdx];
+    const nextPeriodConfig = periods[nextPeriodIdx];
 
     // Skip END markers
     if (nextPeriodConfig.method === TimingMethodType.END) {
-      player.setFlag(FlagState.BLINKING);
+      player.setFlag(FlagState.BLINKING, at);
       return { expired: true, periodTransition: false };
     }
 
@@ -185,26 +403,50 @@ export class PeriodManager {
       // Move-based: transition per player independently
       this._transitionPlayerToPeriod(side, nextPeriodIdx, currentPeriodConfig, nextPeriodConfig);
     } else {
-      // Time-based: non-blinking flag, add time to BOTH players simultaneously
-      player.setFlag(FlagState.NON_BLINKING);
+      // Time-based: non-blinking flag, add time to ALL players simultaneously
+      player.setFlag(FlagState.NON_BLINKING, at);
 
       // Transition this player
       this._transitionPlayerToPeriod(side, nextPeriodIdx, currentPeriodConfig, nextPeriodConfig);
 
-      // Also add time to opponent if they haven't transitioned yet
-      if (opponent.currentPeriod === currentPeriodIdx) {
-        this._transitionPlayerToPeriod(
-          side === 'left' ? 'right' : 'left',
-          nextPeriodIdx,
-          currentPeriodConfig,
-          nextPeriodConfig,
-        );
+      // Also move the opponents on (to the next period of their own list)
+      // if they haven't transitioned yet
+      for (const opponentSide of this.gameState.getSides()) {
+        if (opponentSide === side) continue;
+        const opponent = this.gameState.getPlayer(opponentSide);
+        if (opponent.currentPeriod !== currentPeriodIdx || opponent.periodRepeat !== currentRepeat) continue;
+
+        const opponentPeriods = this.gameState.getPeriods(opponentSide);
+        const opponentNextIdx = this._getNextPeriodIndex(opponentSide);
+        const opponentNextConfig = opponentPeriods[opponentNextIdx];
+        if (opponentNextConfig && opponentNextConfig.method !== TimingMethodType.END) {
+          this._transitionPlayerToPeriod(
+            opponentSide,
+            opponentNextIdx,
+            opponentPeriods[currentPeriodIdx],
+            opponentNextConfig,
+          );
+        }
       }
     }
 
     return { expired: false, periodTransition: true };
   }
 
+  /**
+   * Get the index of the period that follows a player's current one.
+   * @param {string} side
+   * @returns {number} 0-based period index, or -1 after the last period
+   */
+  _getNextPeriodIndex(side) {
+    const player = this.gameState.getPlayer(side);
+    const nextPeriodIdx = player.currentPeriod + 1;
+    if (nextPeriodIdx < this.gameState.getPeriods(side).length) return nextPeriodIdx;
+
+    // Repeating cycle: start over from the marked period
+    return this.gameState.getRepeatStartIndex(side);
+  }
+
   /**
    * Transition a single player to a new period.
    * @param {string} side
@@ -215,6 +457,11 @@ export class PeriodManager {
   _transitionPlayerToPeriod(side, periodIdx, oldConfig, newConfig) {
     const player = this.gameState.getPlayer(side);
 
+    // Going back to an earlier (or the same) period starts the next repeat cycle
+    if (periodIdx <= player.currentPeriod) {
+      player.periodRepeat++;
+    }
+
     // Update period index
     player.currentPeriod = periodIdx;
 
@@ -233,7 +480,7 @@ export class PeriodManager {
       // Upcount: start counting up from zero
       player.timeMs = 0;
     } else {
-      // TIME, FISCHER, DELAY, US_DELAY: add new period's main time
+      // TIME, FISCHER, DELAY, US_DELAY, DELAY_INCREMENT, HOURGLASS, JP_ROUNDING: add new period's main time
       player.timeMs += newConfig.timeMs || 0;
     }
 
@@ -242,7 +489,7 @@ export class PeriodManager {
     player.inDelay = false;
 
     // Create new timing method instance
-    this.activeMethods.set(side, PeriodManager.createMethod(newConfig));
+    this.activeMethods.set(side, this._createMethodFor(side, newConfig));
 
     // Reset period start moves
     this._periodStartMoves[side] = player.moves;
@@ -259,7 +506,85 @@ export class PeriodManager {
   }
 
   /**
-   * Trigger Canadian Byo-yomi reload for a player.
+   * Get the time to display for a player (as defined by the active method).
+   * @param {string} side
+   * @returns {number}
+   */
+  getDisplayTime(side) {
+    const method = this.getMethod(side);
+    const player = this.gameState.getPlayer(side);
+    return method ? method.getDisplayTime(player) : Math.max(0, player.timeMs);
+  }
+
+  /**
+   * Get the in-move stopwatch for a player in a minute-rounding period.
+   * @param {string} side
+   * @returns {number|null} Time spent on the current move, or null if not shown
+   */
+  getMoveElapsedMs(side) {
+    const method = this.getMethod(side);
+    if (!(method instanceof JapaneseRoundingMethod)) return null;
+    return method.getMoveElapsedMs();
+  }
+
+  /**
+   * Get the overtime penalty for a player in an upcount period.
+   * @param {string} side
+   * @returns {number|null} Penalty points, or null if no penalty rules apply
+   */
+  getPenaltyPoints(side) {
+    const method = this.getMethod(side);
+    if (!(method instanceof UpcountMethod) || !method.hasPenalty()) return null;
+    return method.getPenaltyPoints(this.gameState.getPlayer(side));
+  }
+
+  /**
+   * Get the Canadian byo-yomi move group state for display.
+   * @param {string} side
+   * @returns {{ movesRemaining: number, blockTimeMs: number }|null} null if not in a Canadian block with a move count
+   */
+  getByoMoveGroup(side) {
+    const method = this.getMethod(side);
+    if (!(method instanceof CanadianByoYomiMethod)) return null;
+
+    const movesRemaining = method.getMovesRemaining();
+    if (movesRemaining === null) return null;
+    return { movesRemaining, blockTimeMs: method.byoTimeMs };
+  }
+
+  /**
+   * Whether every player is in a plain sudden-death period, where the
+   * arbiter may add an increment (FIDE Guidelines III).
+   * @returns {boolean}
+   */
+  canAddIncrement() {
+    return this.gameState.getSides().every((side) => this.getMethodType(side) === TimingMethodType.TIME);
+  }
+
+  /**
+   * Arbiter intervention: switch the current period of every player to an
+   * increment or delay method with the given bonus. Remaining times are
+   * kept; later periods are not changed.
+   * @param {string} method - TimingMethodType.FISCHER, DELAY or US_DELAY
+   * @param {number} bonusMs - Bonus or delay per move
+   */
+  addIncrement(method, bonusMs) {
+    const gs = this.gameState;
+    for (const side of gs.getSides()) {
+      const player = gs.getPlayer(side);
+      gs.overridePeriod(side, player.currentPeriod, { ...gs.getCurrentPeriodConfig(side), method, delayMs: bonusMs });
+
+      const newMethod = this._createMethodFor(side, gs.getCurrentPeriodConfig(side));
+      this.activeMethods.set(side, newMethod);
+      // A delay also covers the move in progress
+      if (gs.activePlayer === side) {
+        newMethod.onTurnStart(player);
+      }
+    }
+  }
+
+  /**
+   * Trigger Canadian Byo-yomi reload for a player (arbiter override).
    * @param {string} side
    * @returns {boolean} Whether reload was performed
    */
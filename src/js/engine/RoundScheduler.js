@@ -0,0 +1,189 @@
+/**
+ * RoundScheduler - Alternates clock-running rounds with fixed-length breaks
+ *
+ * Used for chess-boxing and timed relays. The chess clock only runs during
+ * rounds: when a round ends the scheduler takes a snapshot of every player
+ * and pauses the GameState; when the break ends it restores the snapshot and
+ * resumes, so the clock continues exactly where it stopped. After the last
+ * round the clock stays paused.
+ *
+ * The round countdown only advances while the clock runs (a manual pause
+ * also stops the round); the break countdown always advances.
+ */
+
+import { GameStatus, RoundPhase } from '../utils/constants.js';
+
+export class RoundScheduler {
+  /**
+   * @param {import('../state/GameState.js').GameState} gameState
+   */
+  constructor(gameState) {
+    this.gameState = gameState;
+    /** @type {{ count: number, roundMs: number, breakMs: number }|null} */
+    this.schedule = null;
+    /** @type {string} RoundPhase value */
+    this.phase = RoundPhase.IDLE;
+    /** @type {number} Current round (1-based, 0 before the start) */
+    this.round = 0;
+    /** @type {number} Time left in the current round or break */
+    this.remainingMs = 0;
+    /** @type {{ activePlayer: string, players: Object<string, object> }|null} Clock state saved for the break */
+    this._snapshot = null;
+  }
+
+  /**
+   * Set the schedule of the selected option, or switch the scheduler off.
+   * @param {object|null} schedule
+   * @param {number} schedule.count - Number of rounds (at least 1)
+   * @param {number} schedule.roundMs - Length of a round
+   * @param {number} [schedule.breakMs=0] - Length of a break
+   */
+  configure(schedule) {
+    if (schedule) {
+      if (!(schedule.count >= 1) || !(schedule.roundMs > 0) || (schedule.breakMs ?? 0) < 0) {
+        throw new Error('Round schedule needs at least 1 round, a round length and no negative break');
+      }
+      this.schedule = { count: schedule.count, roundMs: schedule.roundMs, breakMs: schedule.breakMs ?? 0 };
+    } else {
+      this.schedule = null;
+    }
+    this.reset();
+  }
+
+  /**
+   * Whether the selected option has a round schedule.
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.schedule !== null;
+  }
+
+  /**
+   * Whether a break is in progress (the clock is held paused).
+   * @returns {boolean}
+   */
+  isInBreak() {
+    return this.phase === RoundPhase.BREAK;
+  }
+
+  /**
+   * Back to before the first round.
+   */
+  reset() {
+    this.phase = RoundPhase.IDLE;
+    this.round = 0;
+    this.remainingMs = this.schedule ? this.schedule.roundMs : 0;
+    this._snapshot = null;
+  }
+
+  /**
+   * Start the first round (call when the clock starts).
+   */
+  start() {
+    if (!this.schedule) return;
+    this.phase = RoundPhase.ROUND;
+    this.round = 1;
+    this.remainingMs = this.schedule.roundMs;
+  }
+
+  /**
+   * Split a tick at the bell it rings, if any: the clock runs up to the end
+   * of a round, and again from the end of a break. Call before onTick.
+   * @param {number} deltaMs
+   * @returns {{ beforeMs: number, afterMs: number }} Clock time before and after the phase change
+   */
+  splitTick(deltaMs) {
+    if (this.phase === RoundPhase.ROUND && this.gameState.status === GameStatus.RUNNING) {
+      return { beforeMs: Math.min(deltaMs, Math.max(0, this.remainingMs)), afterMs: 0 };
+    }
+    if (this.phase === RoundPhase.BREAK) {
+      return { beforeMs: 0, afterMs: Math.max(0, deltaMs - this.remainingMs) };
+    }
+    return { beforeMs: deltaMs, afterMs: 0 };
+  }
+
+  /**
+   * Advance the round or break countdown.
+   * @param {number} deltaMs
+   * @returns {{ bell: boolean, phaseChanged: boolean }}
+   */
+  onTick(deltaMs) {
+    const result = { bell: false, phaseChanged: false };
+
+    if (this.phase === RoundPhase.ROUND) {
+      if (this.gameState.status !== GameStatus.RUNNING) return result;
+      this.remainingMs -= deltaMs;
+      if (this.remainingMs > 0) return result;
+
+      result.bell = true;
+      result.phaseChanged = true;
+      if (this.round >= this.schedule.count) {
+        this.phase = RoundPhase.DONE;
+        this.remainingMs = 0;
+        this.gameState.pause();
+      } else {
+        this._startBreak();
+      }
+    } else if (this.phase === RoundPhase.BREAK) {
+      this.remainingMs -= deltaMs;
+      if (this.remainingMs > 0) return result;
+
+      result.bell = true;
+      result.phaseChanged = true;
+      this._endBreak();
+    }
+
+    return result;
+  }
+
+  /**
+   * Save the clock state and pause for the break.
+   */
+  _startBreak() {
+    const gs = this.gameState;
+    const players = {};
+    for (const side of gs.getSides()) {
+      players[side] = gs.getPlayer(side).snapshot();
+    }
+    this._snapshot = { activePlayer: gs.activePlayer, players };
+    gs.pause();
+
+    this.phase = RoundPhase.BREAK;
+    // Carry the overshoot so rounds and breaks do not drift
+    this.remainingMs += this.schedule.breakMs;
+  }
+
+  /**
+   * Restore the saved clock state and start the next round.
+   */
+  _endBreak() {
+    const gs = this.gameState;
+    if (this._snapshot) {
+      for (const [side, snap] of Object.entries(this._snapshot.players)) {
+        gs.getPlayer(side).restore(snap);
+      }
+      gs.activePlayer = this._snapshot.activePlayer;
+      this._snapshot = null;
+    }
+    gs.resume();
+
+    this.phase = RoundPhase.ROUND;
+    this.round++;
+    this.remainingMs += this.schedule.roundMs;
+  }
+
+  /**
+   * Get the countdown to show.
+   * @returns {{ phase: string, round: number, count: number, remainingMs: number }|null}
+   *   Null without a schedule
+   */
+  getStatus() {
+    if (!this.schedule) return null;
+    return {
+      phase: this.phase,
+      round: this.round,
+      count: this.schedule.count,
+      remainingMs: Math.max(0, this.remainingMs),
+    };
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * SimulMatch - Clock simul: one master against N opponents, a clock per board
+ *
+ * Every board is an independent two-player clock. The master plays White
+ * (left seat) on every board and walks from board to board: the master's
+ * clock runs only on the board the master is at, while the opponents'
+ * clocks run wherever an opponent is to move. Boards waiting for the master
+ * hold. The first tap starts every board with the master at the tapped
+ * board; a tap on another board where the master is to move takes the
+ * master there. A flag in the final
+ * period freezes only that board (when freeze is on), and boards whose game
+ * ended over the board can be stopped one by one.
+ */
+
+import { MultiBoardMatch } from './MultiBoardMatch.js';
+import { GameStatus, Player, FlagState, Limits } from '../utils/constants.js';
+
+/** Seat of the simul giver (White) on every board */
+export const SIMUL_MASTER_SIDE = Player.LEFT;
+/** Seat of the opponent (Black) on every board */
+export const SIMUL_OPPONENT_SIDE = Player.RIGHT;
+
+export class SimulMatch extends MultiBoardMatch {
+  /**
+   * @param {number} boardCount - Number of boards (2-30)
+   */
+  constructor(boardCount) {
+    if (!Number.isInteger(boardCount) || boardCount < Limits.MIN_SIMUL_BOARDS || boardCount > Limits.MAX_SIMUL_BOARDS) {
+      throw new Error(`Simul must have ${Limits.MIN_SIMUL_BOARDS}-${Limits.MAX_SIMUL_BOARDS} boards`);
+    }
+    // Boards are numbered from 1
+    super(Array.from({ length: boardCount }, (_, i) => String(i + 1)));
+    /** @type {string|null} Board the master is at, null before the start */
+    this.masterBoard = null;
+  }
+
+  /**
+   * Get the board numbers, in order.
+   * @returns {Array<string>}
+   */
+  getBoardIds() {
+    return Object.keys(this.boards);
+  }
+
+  /**
+   * The master plays White on every board.
+   * @param {object} config - Option configuration
+   * @param {string} board
+   * @returns {object}
+   */
+  _getBoardConfig(config, board) {
+    return { ...super._getBoardConfig(config, board), blackSide: SIMUL_OPPONENT_SIDE };
+  }
+
+  /**
+   * The master's clock runs only on the board the master is at; an
+   * opponent's clock runs whenever it is the opponent's move.
+   * @param {string} board
+   * @returns {boolean}
+   */
+  isClockRunning(board) {
+    if (!super.isClockRunning(board)) return false;
+    return this.boards[board].gameState.activePlayer === SIMUL_OPPONENT_SIDE || board === this.masterBoard;
+  }
+
+  /**
+   * Handle a tap on a board: starts the simul with the master there when
+   * idle, takes the master to a board waiting for the master's move, and
+   * otherwise ends the turn on that board.
+   * @param {string} board - Board number
+   * @returns {{ started: boolean, switched: boolean, periodTransition: boolean }}
+   */
+  tap(board) {
+    const entry = this.boards[board];
+    if (entry && board !== this.masterBoard && this.getStatus() === GameStatus.RUNNING
+      && entry.gameState.status === GameStatus.RUNNING && entry.gameState.activePlayer === SIMUL_MASTER_SIDE) {
+      this.masterBoard = board;
+      return { started: false, switched: false, periodTransition: false };
+    }
+
+    const result = super.tap(board);
+    if (result.started) this.masterBoard = entry ? board : this.getBoardIds()[0];
+    return result;
+  }
+
+  /**
+   * Reset every board; the master is at no board until the next start.
+   */
+  reset() {
+    super.reset();
+    this.masterBoard = null;
+  }
+
+  /**
+   * A tap on a board ends the turn of whoever is to move there.
+   * @param {string} board - Board number
+   * @returns {string|null} Seat name
+   */
+  _resolveSeat(board) {
+    const entry = this.boards[board];
+    if (!entry || !entry.gameState.activePlayer) return null;
+    return MultiBoardMatch.getSeat(board, entry.gameState.activePlayer);
+  }
+
+  /**
+   * A flag ends only its own board, and only with freeze on (as in a
+   * single game).
+   * @param {Array<string>} boards
+   * @returns {boolean}
+   */
+  _onLostOnTime(boards) {
+    let frozen = false;
+    for (const board of boards) {
+      const { gameState } = this.boards[board];
+      if (gameState.freezeEnabled) {
+        gameState.freeze();
+        frozen = true;
+      }
+    }
+    return frozen;
+  }
+
+  /**
+   * Stop the clock of a board whose game has ended over the board.
+   * @param {string} board - Board number
+   * @returns {boolean} Whether the board was stopped
+   */
+  finishBoard(board) {
+    const entry = this.boards[board];
+    if (!entry) return false;
+    const { gameState } = entry;
+    if (gameState.status !== GameStatus.RUNNING && gameState.status !== GameStatus.PAUSED) return false;
+    gameState.freeze();
+    return true;
+  }
+
+  /**
+   * Summarise the simul: the board the master is at, boards still playing,
+   * finished and flagged, the master's total and lowest remaining time, and
+   * the lowest opponent time. Lowest times only count boards still in play.
+   * @returns {{ masterBoard: string|null, boardCount: number, playing: number, finished: number, flagged: number,
+   *   masterTotalMs: number, masterLowest: { board: string, timeMs: number }|null,
+   *   opponentLowest: { board: string, timeMs: number }|null }}
+   */
+  getSummary() {
+    const summary = {
+      masterBoard: this.masterBoard,
+      boardCount: 0,
+      playing: 0,
+      finished: 0,
+      flagged: 0,
+      masterTotalMs: 0,
+      masterLowest: null,
+      opponentLowest: null,
+    };
+    const lower = (current, board, timeMs) => (current === null || timeMs < current.timeMs ? { board, timeMs } : current);
+
+    for (const [board, { gameState }] of Object.entries(this.boards)) {
+      const master = gameState.getPlayer(SIMUL_MASTER_SIDE);
+      const opponent = gameState.getPlayer(SIMUL_OPPONENT_SIDE);
+      summary.boardCount++;
+      summary.masterTotalMs += Math.max(0, master.timeMs);
+      if (master.flagState !== FlagState.NONE || opponent.flagState !== FlagState.NONE) summary.flagged++;
+
+      if (gameState.status === GameStatus.FROZEN) {
+        summary.finished++;
+        continue;
+      }
+      summary.playing++;
+      summary.masterLowest = lower(summary.masterLowest, board, master.timeMs);
+      summary.opponentLowest = lower(summary.opponentLowest, board, opponent.timeMs);
+    }
+    return summary;
+  }
+
+  /**
+   * Create a result record with the final times of every board.
+   * @returns {{ simul: boolean, finishedAt: number, boards: Object<string, object> }}
+   */
+  createResult() {
+    return { simul: true, ...super.createResult() };
+  }
+}
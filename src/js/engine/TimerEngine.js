@@ -1,47 +1,88 @@
 /**
  * TimerEngine - High-precision timer using requestAnimationFrame + performance.now()
  *
- * Provides accurate time tracking with minimal drift, handles background tab detection,
- * and calls a tick callback with elapsed delta each frame.
+ * Time is measured from an anchor (performance.now() and Date.now()) taken when
+ * the clock starts and at every turn change, not by adding up frame deltas.
+ * Each frame delivers the time elapsed since the anchor minus what was
+ * already delivered, so a stalled main thread or a dropped frame costs the
+ * active player exactly the real time that passed, no more and no less.
+ *
+ * rAF stops while the page is hidden. Instead, a worker timer wakes the
+ * engine at the next event the app asks for (a beep, a byo-yomi moment, a
+ * flag), so sounds and flags happen on time without anyone looking.
+ *
+ * Time, frames and visibility come from a ClockSource; the default one reads
+ * the browser, a ManualClockSource runs the engine in Node.
  */
 
+import { ClockSource } from './ClockSource.js';
+
+/** Shortest wait between background ticks, so a due event cannot spin the loop */
+const MIN_BACKGROUND_DELAY_MS = 20;
+
 export class TimerEngine {
-  constructor() {
+  /**
+   * @param {ClockSource} [clock] - Time source (default: the browser)
+   */
+  constructor(clock = new ClockSource()) {
+    /** @type {ClockSource} */
+    this._clock = clock;
     /** @type {number|null} */
     this._rafId = null;
-    /** @type {number} Last timestamp from performance.now() */
-    this._lastTimestamp = 0;
+    /** @type {number} Monotonic time (clock.now()) at the anchor */
+    this._anchorPerf = 0;
+    /** @type {number} Wall-clock time (clock.wallNow()) at the anchor */
+    this._anchorWall = 0;
+    /** @type {number} Time since the anchor already passed to the tick callback */
+    this._deliveredMs = 0;
     /** @type {boolean} */
     this._running = false;
-    /** @type {Function|null} Callback: (deltaMs: number) => void */
+    /** @type {Function|null} Callback: (deltaMs: number, tickAtMs: number) => void */
     this._onTick = null;
-    /** @type {Function|null} */
-    this._onVisibilityChange = null;
-    /** @type {number} Wall-clock timestamp (Date.now()) when tab became hidden */
+    /** @type {Function|null} Callback: () => number|null, ms until the next event while hidden */
+    this._onNextEvent = null;
+    /** @type {BackgroundTimer} Wakes the engine while the page is hidden */
+    this._backgroundTimer = clock.createBackgroundTimer();
+    /** @type {number} Wall-clock timestamp (clock.wallNow()) when tab became hidden */
     this._hiddenAtWallClock = 0;
+    /** @type {number} Monotonic time (clock.now()) when tab became hidden */
+    this._hiddenAtPerf = 0;
 
     this._boundTick = this._tick.bind(this);
     this._boundVisibilityChange = this._handleVisibilityChange.bind(this);
   }
 
   /**
-   * Set the tick callback.
-   * @param {(deltaMs: number) => void} callback
+   * Set the tick callback. tickAtMs is the wall-clock time (ms since the
+   * epoch) at the end of the delivered delta, so a flag that fell during
+   * the delta can be dated to the exact moment.
+   * @param {(deltaMs: number, tickAtMs: number) => void} callback
    */
   setTickCallback(callback) {
     this._onTick = callback;
   }
 
+  /**
+   * Set the callback that tells when the clock next needs a tick while the
+   * page is hidden. It returns the ms until the next event, or null if
+   * nothing is due; the page catches up when it becomes visible anyway.
+   * @param {() => number|null} callback
+   */
+  setNextEventCallback(callback) {
+    this._onNextEvent = callback;
+  }
+
   /**
    * Start the timer loop.
    */
   start() {
     if (this._running) return;
     this._running = true;
-    this._lastTimestamp = performance.now();
-    this._rafId = requestAnimationFrame(this._boundTick);
+    this._anchor();
+    this._rafId = this._clock.requestFrame(this._boundTick);
 
-    document.addEventListener('visibilitychange', this._boundVisibilityChange);
+    this._clock.addVisibilityListener(this._boundVisibilityChange);
+    if (this._clock.isHidden()) this._scheduleBackgroundTick();
   }
 
   /**
@@ -51,10 +92,23 @@ export class TimerEngine {
     if (!this._running) return;
     this._running = false;
     if (this._rafId !== null) {
-      cancelAnimationFrame(this._rafId);
+      this._clock.cancelFrame(this._rafId);
       this._rafId = null;
     }
-    document.removeEventListener('visibilitychange', this._boundVisibilityChange);
+    this._backgroundTimer.cancel();
+    this._clock.removeVisibilityListener(this._boundVisibilityChange);
+  }
+
+  /**
+   * Deliver the time elapsed since the last frame right away and re-anchor.
+   * Call at a turn change or before pausing, so the time up to the tap is
+   * charged to the player who tapped rather than to the next frame.
+   */
+  sync() {
+    if (!this._running) return;
+    this._deliver(this._clock.now());
+    this._anchor();
+    if (this._clock.isHidden()) this._scheduleBackgroundTick();
   }
 
   /**
@@ -66,62 +120,104 @@ export class TimerEngine {
   }
 
   /**
-   * Internal tick handler called by requestAnimationFrame.
-   * @param {number} timestamp - DOMHighResTimeStamp from rAF
+   * Take a new anchor: elapsed time is measured from now.
+   */
+  _anchor() {
+    this._anchorPerf = this._clock.now();
+    this._anchorWall = this._clock.wallNow();
+    this._deliveredMs = 0;
+
+    // A suspension before the anchor must not be counted again
+    this._hiddenAtWallClock = this._anchorWall;
+    this._hiddenAtPerf = this._anchorPerf;
+  }
+
+  /**
+   * Pass the time elapsed since the anchor, minus what was already
+   * delivered, to the tick callback.
+   * @param {number} nowPerf - On the clock.now() timebase
+   */
+  _deliver(nowPerf) {
+    const elapsed = nowPerf - this._anchorPerf;
+    const delta = elapsed - this._deliveredMs;
+    if (delta <= 0) return;
+
+    // Mark the time delivered first: the callback may stop or sync the timer
+    this._deliveredMs = elapsed;
+    if (this._onTick) {
+      this._onTick(delta, this._anchorWall + elapsed);
+    }
+  }
+
+  /**
+   * Internal tick handler called on every frame.
+   * @param {number} timestamp - Frame time on the clock.now() timebase (rAF's DOMHighResTimeStamp)
    */
   _tick(timestamp) {
     if (!this._running) return;
 
-    const delta = timestamp - this._lastTimestamp;
-    this._lastTimestamp = timestamp;
+    this._deliver(timestamp);
 
-    // Clamp delta to prevent huge jumps (e.g., after returning from background)
-    // Max delta of 1 second to catch up gradually
-    const clampedDelta = Math.min(delta, 1000);
+    if (this._running && this._rafId !== null) {
+      this._rafId = this._clock.requestFrame(this._boundTick);
+    }
+  }
 
-    if (this._onTick && clampedDelta > 0) {
-      this._onTick(clampedDelta);
+  /**
+   * Arm the worker timer for the next event while the page is hidden.
+   */
+  _scheduleBackgroundTick() {
+    const delayMs = this._onNextEvent ? this._onNextEvent() : null;
+    if (delayMs === null) {
+      this._backgroundTimer.cancel();
+      return;
     }
 
-    this._rafId = requestAnimationFrame(this._boundTick);
+    this._backgroundTimer.schedule(Math.max(delayMs, MIN_BACKGROUND_DELAY_MS), () => {
+      if (!this._running || !this._clock.isHidden()) return;
+      this._deliver(this._clock.now());
+      if (this._running) this._scheduleBackgroundTick();
+    });
   }
 
   /**
    * Handle visibility change to account for time when tab was hidden.
-   * When tab becomes visible again, calculate actual elapsed time.
+   * When tab becomes visible again, deliver the time elapsed while hidden.
    */
   _handleVisibilityChange() {
     if (!this._running) return;
 
-    if (document.visibilityState === 'visible') {
+    if (!this._clock.isHidden()) {
       // Cancel any pending rAF to prevent double-delivery of time
       if (this._rafId !== null) {
-        cancelAnimationFrame(this._rafId);
+        this._clock.cancelFrame(this._rafId);
         this._rafId = null;
       }
+      this._backgroundTimer.cancel();
 
-      // Use wall-clock (Date.now) for elapsed time while hidden.
       // performance.now() can freeze on mobile browsers when the OS
-      // suspends the tab, but Date.now() always reflects real time.
-      const now = Date.now();
-      const delta = now - this._hiddenAtWallClock;
-      this._lastTimestamp = performance.now();
-
-      if (this._onTick && delta > 0) {
-        this._onTick(delta);
+      // suspends the tab, but Date.now() always reflects real time:
+      // move the anchor back by whatever performance.now() missed.
+      const nowPerf = this._clock.now();
+      const missedMs = (this._clock.wallNow() - this._hiddenAtWallClock) - (nowPerf - this._hiddenAtPerf);
+      if (missedMs > 0) {
+        this._anchorPerf -= missedMs;
       }
 
-      // Re-schedule the rAF loop
-      this._rafId = requestAnimationFrame(this._boundTick);
+      // Re-schedule before delivering: the callback may stop the timer
+      this._rafId = this._clock.requestFrame(this._boundTick);
+      this._deliver(nowPerf);
     } else {
       // Tab becoming hidden: stop rAF entirely (browsers throttle it
-      // in background tabs, and the 1s clamp in _tick would lose time)
-      // and record wall-clock time for accurate delta on return.
+      // in background tabs), record both clocks to detect a suspension
+      // and wake up for the next event instead.
       if (this._rafId !== null) {
-        cancelAnimationFrame(this._rafId);
+        this._clock.cancelFrame(this._rafId);
         this._rafId = null;
       }
-      this._hiddenAtWallClock = Date.now();
+      this._hiddenAtWallClock = this._clock.wallNow();
+      this._hiddenAtPerf = this._clock.now();
+      this._scheduleBackgroundTick();
     }
   }
 
@@ -130,6 +226,8 @@ export class TimerEngine {
    */
   destroy() {
     this.stop();
+    this._backgroundTimer.destroy();
     this._onTick = null;
+    this._onNextEvent = null;
   }
 }
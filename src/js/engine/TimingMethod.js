@@ -10,12 +10,19 @@ export class TimingMethod {
    * @param {object} config - Period-specific configuration
    * @param {number} [config.timeMs] - Main time in milliseconds
    * @param {number} [config.delayMs] - Delay or bonus time per move
+   * @param {number} [config.incrementMs] - Bonus per move when combined with a delay
    * @param {number} [config.movesRequired] - Moves required to complete period (0 = until time expires)
    * @param {number} [config.byoMoments] - Number of byo-yomi moments
    * @param {number} [config.byoTimeMs] - Time per byo-yomi moment
+   * @param {number} [config.capMs] - Maximum clock time after an increment (0 = no cap)
+   * @param {number} [config.incrementFromMove] - First move that receives the bonus/delay (0 = every move)
    */
   constructor(config) {
     this.config = config || {};
+    /** @type {number} Moves to complete the period (0 = until time expires) */
+    this.movesRequired = this.config.movesRequired || 0;
+    /** @type {number} First move number that receives the bonus/delay (0 = every move) */
+    this.incrementFromMove = this.config.incrementFromMove || 0;
   }
 
   /**
@@ -30,13 +37,25 @@ export class TimingMethod {
    * Called each timer tick while this player's clock is running.
    * @param {number} deltaMs - Time elapsed since last tick
    * @param {import('../state/PlayerState.js').PlayerState} playerState
-   * @returns {{ expired: boolean, remainingMs: number }} Result of the tick
+   * @returns {{ expired: boolean, remainingMs: number, overshootMs?: number }} Result of the tick;
+   *   on expiry, overshootMs is how far the tick ran past zero (locates the flag fall within the tick)
    */
   onTick(deltaMs, playerState) {
     // Override in subclasses
     return { expired: false, remainingMs: playerState.timeMs };
   }
 
+  /**
+   * Stop a player's time at zero once a tick took it below.
+   * @param {import('../state/PlayerState.js').PlayerState} playerState
+   * @returns {{ expired: boolean, remainingMs: number, overshootMs: number }}
+   */
+  _expire(playerState) {
+    const overshootMs = -playerState.timeMs;
+    playerState.timeMs = 0;
+    return { expired: true, remainingMs: 0, overshootMs };
+  }
+
   /**
    * Called when a player's turn ends (they pressed the clock).
    * @param {import('../state/PlayerState.js').PlayerState} playerState
@@ -45,6 +64,37 @@ export class TimingMethod {
     // Override in subclasses
   }
 
+  /**
+   * Whether this period ends after a fixed number of moves
+   * (FIDE-style "N moves in T" control).
+   * @returns {boolean}
+   */
+  hasMoveControl() {
+    return this.movesRequired > 0;
+  }
+
+  /**
+   * Check if the period is complete based on move count.
+   * @param {import('../state/PlayerState.js').PlayerState} playerState
+   * @param {number} [periodStartMoves=0] - Moves at start of this period
+   * @returns {boolean} Whether the required moves have been completed
+   */
+  isPeriodCompleteByMoves(playerState, periodStartMoves = 0) {
+    if (!this.hasMoveControl()) return false;
+    return (playerState.moves - periodStartMoves) >= this.movesRequired;
+  }
+
+  /**
+   * Whether the per-move bonus or delay applies to the player's current move.
+   * The current move is number moves + 1: the move count is only increased
+   * after the turn ends.
+   * @param {import('../state/PlayerState.js').PlayerState} playerState
+   * @returns {boolean}
+   */
+  isIncrementActive(playerState) {
+    return playerState.moves + 1 >= this.incrementFromMove;
+  }
+
   /**
    * Check if the player's time has expired.
    * @param {import('../state/PlayerState.js').PlayerState} playerState
@@ -54,6 +104,34 @@ export class TimingMethod {
     return playerState.timeMs <= 0;
   }
 
+  /**
+   * Get how long the running clock takes to come down to a given time,
+   * to schedule a beep or the flag while the page is hidden.
+   * @param {import('../state/PlayerState.js').PlayerState} playerState
+   * @param {number} remainingMs
+   * @returns {number|null} ms from now, or null if the clock does not get there
+   */
+  getMsUntil(playerState, remainingMs) {
+    return playerState.timeMs > remainingMs ? playerState.timeMs - remainingMs : null;
+  }
+
+  /**
+   * Get the method's own state during a turn (beyond PlayerState), to save
+   * a running game.
+   * @returns {object}
+   */
+  getState() {
+    return {};
+  }
+
+  /**
+   * Restore the method's own state (see getState).
+   * @param {object} _state
+   */
+  restoreState(_state) {
+    // Override in subclasses that keep state
+  }
+
   /**
    * Get the display time for this player.
    * @param {import('../state/PlayerState.js').PlayerState} playerState
@@ -5,6 +5,7 @@
  * If player uses less time than delay: clock resets to start-of-turn value.
  * If player uses more: only the delay amount is recovered.
  * Total time can NEVER exceed the amount at start of the move (no accumulation).
+ * Optional incrementFromMove: no compensation before that move number.
  * FREEZE is ON by default.
  */
 
@@ -31,8 +32,7 @@ export class BronsteinDelayMethod extends TimingMethod {
     playerState.timeMs -= deltaMs;
 
     if (playerState.timeMs <= 0) {
-      playerState.timeMs = 0;
-      return { expired: true, remainingMs: 0 };
+      return this._expire(playerState);
     }
 
     return { expired: false, remainingMs: playerState.timeMs };
@@ -43,6 +43,8 @@ export class BronsteinDelayMethod extends TimingMethod {
     if (playerState.timeMs <= 0) return;
     // Guard against uninitialized turnStartTimeMs
     if (playerState.turnStartTimeMs <= 0) return;
+    // No delay before the configured starting move
+    if (!this.isIncrementActive(playerState)) return;
 
     // Calculate time used this turn
     const timeUsed = playerState.turnStartTimeMs - playerState.timeMs;
@@ -53,8 +53,7 @@ export class ByoYomiMethod extends TimingMethod {
 
         if (playerState.byoMomentsRemaining <= 0) {
           // All moments exhausted
-          playerState.timeMs = 0;
-          return { expired: true, remainingMs: 0 };
+          return this._expire(playerState);
         }
 
         // Reload with overflow carried into next moment
@@ -62,8 +61,7 @@ export class ByoYomiMethod extends TimingMethod {
       }
 
       if (playerState.timeMs <= 0) {
-        playerState.timeMs = 0;
-        return { expired: true, remainingMs: 0 };
+        return this._expire(playerState);
       }
 
       if (momentExpired) {
@@ -113,6 +111,14 @@ export class ByoYomiMethod extends TimingMethod {
     return playerState.timeMs <= 0 && playerState.byoMomentsRemaining <= 0;
   }
 
+  getState() {
+    return { momentsAtTurnStart: this._momentsAtTurnStart };
+  }
+
+  restoreState(state) {
+    this._momentsAtTurnStart = state.momentsAtTurnStart ?? 0;
+  }
+
   getType() {
     return TimingMethodType.BYO_YOMI;
   }
@@ -2,7 +2,9 @@
  * CanadianByoYomiMethod - Canadian Byo-yomi timing
  *
  * A fixed number of moves must be completed within the byo-yomi time.
- * Time resets when required moves are played (player must trigger reload).
+ * Time resets automatically once the required moves are played within the
+ * block time. With no move count configured, or as an arbiter override,
+ * the block can be reloaded manually.
  * Cannot save time by playing faster (time always resets to full).
  * Max byo-yomi time: 9:59.
  * Sound ON by default.
@@ -15,7 +17,7 @@ export class CanadianByoYomiMethod extends TimingMethod {
   /**
    * @param {object} config
    * @param {number} config.byoTimeMs - Total time for the move group (max 599000ms = 9:59)
-   * @param {number} [config.movesRequired] - Number of moves required (determined by game rules, not set on clock)
+   * @param {number} [config.movesRequired] - Moves per block (0 = manual reload only)
    */
   constructor(config) {
     super(config);
@@ -34,8 +36,7 @@ export class CanadianByoYomiMethod extends TimingMethod {
 
     if (playerState.timeMs <= 0) {
       // Time expired - flag shown but reload still possible
-      playerState.timeMs = 0;
-      return { expired: true, remainingMs: 0 };
+      return this._expire(playerState);
     }
 
     return { expired: false, remainingMs: playerState.timeMs };
@@ -43,10 +44,15 @@ export class CanadianByoYomiMethod extends TimingMethod {
 
   onTurnEnd(playerState) {
     this._movesInPeriod++;
+
+    // Move group completed within the block time: start a fresh block
+    if (this.movesRequired > 0 && this._movesInPeriod >= this.movesRequired && playerState.timeMs > 0) {
+      this.reload(playerState);
+    }
   }
 
   /**
-   * Reload the byo-yomi time (triggered by 3-second hold on back button).
+   * Reload the byo-yomi time (automatic on block completion, or arbiter override).
    * Resets time to full byo-yomi time and move counter.
    * @param {import('../../state/PlayerState.js').PlayerState} playerState
    */
@@ -63,6 +69,15 @@ export class CanadianByoYomiMethod extends TimingMethod {
     return this._movesInPeriod;
   }
 
+  /**
+   * Get the number of moves still to be played in the current block.
+   * @returns {number|null} Moves remaining, or null when no move count is configured
+   */
+  getMovesRemaining() {
+    if (this.movesRequired <= 0) return null;
+    return Math.max(0, this.movesRequired - this._movesInPeriod);
+  }
+
   /**
    * Reset moves in period counter.
    */
@@ -70,10 +85,26 @@ export class CanadianByoYomiMethod extends TimingMethod {
     this._movesInPeriod = 0;
   }
 
+  /**
+   * movesRequired is the size of a byo-yomi move group, not a period length.
+   * @returns {boolean}
+   */
+  hasMoveControl() {
+    return false;
+  }
+
   isExpired(playerState) {
     return playerState.timeMs <= 0;
   }
 
+  getState() {
+    return { movesInPeriod: this._movesInPeriod };
+  }
+
+  restoreState(state) {
+    this._movesInPeriod = state.movesInPeriod ?? 0;
+  }
+
   getType() {
     return TimingMethodType.CANADIAN_BYO;
   }
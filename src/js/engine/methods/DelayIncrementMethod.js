@@ -0,0 +1,41 @@
+/**
+ * DelayIncrementMethod - Hybrid delay plus increment timing
+ *
+ * Used in some US and Canadian events, e.g. "G/60; d5 +5".
+ * Each turn first burns a US-style delay countdown (main time does not run
+ * until the delay reaches zero), then a Fischer-style bonus is added when
+ * the move is completed.
+ * FREEZE is OFF by default.
+ */
+
+import { UsDelayMethod } from './UsDelayMethod.js';
+import { TimingMethodType } from '../../utils/constants.js';
+
+export class DelayIncrementMethod extends UsDelayMethod {
+  /**
+   * @param {object} config
+   * @param {number} config.timeMs - Main time
+   * @param {number} config.delayMs - Delay time per move
+   * @param {number} config.incrementMs - Bonus time added after each move
+   */
+  constructor(config) {
+    super(config);
+    this.incrementMs = config.incrementMs || 0;
+  }
+
+  onTurnEnd(playerState) {
+    // Clear delay state
+    super.onTurnEnd(playerState);
+
+    // Do not add bonus if player has already expired
+    if (playerState.timeMs <= 0) return;
+    // No bonus before the configured starting move
+    if (!this.isIncrementActive(playerState)) return;
+
+    playerState.timeMs += this.incrementMs;
+  }
+
+  getType() {
+    return TimingMethodType.DELAY_INCREMENT;
+  }
+}
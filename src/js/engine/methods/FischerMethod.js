@@ -3,6 +3,8 @@
  *
  * A fixed bonus time is added AFTER each move (including the first move).
  * Players can accumulate time by playing faster than the bonus.
+ * Optional cap: the bonus never pushes the clock above capMs.
+ * Optional incrementFromMove: no bonus before that move number.
  * FIDE rules: clock freezes when reaching 0:00 in final period.
  * FREEZE is ON by default.
  */
@@ -16,11 +18,12 @@ export class FischerMethod extends TimingMethod {
    * @param {number} config.timeMs - Main time
    * @param {number} config.delayMs - Bonus time per move (Fischer increment)
    * @param {number} [config.movesRequired=0] - Moves to complete period (0 = until time expires)
+   * @param {number} [config.capMs=0] - Maximum clock time the bonus may reach (0 = no cap)
    */
   constructor(config) {
     super(config);
     this.bonusMs = config.delayMs || 0;
-    this.movesRequired = config.movesRequired || 0;
+    this.capMs = config.capMs || 0;
   }
 
   onTurnStart(playerState) {
@@ -34,8 +37,7 @@ export class FischerMethod extends TimingMethod {
     playerState.timeMs -= deltaMs;
 
     if (playerState.timeMs <= 0) {
-      playerState.timeMs = 0;
-      return { expired: true, remainingMs: 0 };
+      return this._expire(playerState);
     }
 
     return { expired: false, remainingMs: playerState.timeMs };
@@ -44,24 +46,18 @@ export class FischerMethod extends TimingMethod {
   onTurnEnd(playerState) {
     // Do not add bonus if player has already expired
     if (playerState.timeMs <= 0) return;
+    // No bonus before the configured starting move
+    if (!this.isIncrementActive(playerState)) return;
     // Add Fischer bonus after each move
-    playerState.timeMs += this.bonusMs;
-  }
+    let newTimeMs = playerState.timeMs + this.bonusMs;
 
-  /**
-   * Check if the period is complete based on move count.
-   * @param {import('../../state/PlayerState.js').PlayerState} playerState
-   * @returns {boolean} Whether the required moves have been completed
-   */
-  /**
-   * Check if the period is complete based on move count.
-   * @param {import('../../state/PlayerState.js').PlayerState} playerState
-   * @param {number} [periodStartMoves=0] - Moves at start of this period
-   * @returns {boolean} Whether the required moves have been completed
-   */
-  isPeriodCompleteByMoves(playerState, periodStartMoves = 0) {
-    if (this.movesRequired <= 0) return false;
-    return (playerState.moves - periodStartMoves) >= this.movesRequired;
+    // Capped increment: the bonus may not push the clock above the cap,
+    // but time already above it (e.g. a larger main time) is kept
+    if (this.capMs > 0 && newTimeMs > this.capMs) {
+      newTimeMs = Math.max(this.capMs, playerState.timeMs);
+    }
+
+    playerState.timeMs = newTimeMs;
   }
 
   isExpired(playerState) {
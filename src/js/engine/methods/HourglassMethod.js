@@ -0,0 +1,45 @@
+/**
+ * HourglassMethod - Hourglass (sand timer) timing
+ *
+ * Time used by the active player flows to the opponent, like sand running
+ * from one bulb of an hourglass into the other. The sum of both clocks
+ * stays constant. The transfer itself is applied by the PeriodManager,
+ * which knows the opponent; this method reports how much time was spent.
+ */
+
+import { TimingMethod } from '../TimingMethod.js';
+import { TimingMethodType } from '../../utils/constants.js';
+
+export class HourglassMethod extends TimingMethod {
+  constructor(config) {
+    super(config);
+  }
+
+  onTurnStart(playerState) {
+    // No special action on turn start
+  }
+
+  onTick(deltaMs, playerState) {
+    // Only time actually taken from this player flows to the opponent
+    const transferMs = Math.min(deltaMs, Math.max(0, playerState.timeMs));
+    playerState.timeMs -= deltaMs;
+
+    if (playerState.timeMs <= 0) {
+      return { ...this._expire(playerState), transferMs };
+    }
+
+    return { expired: false, remainingMs: playerState.timeMs, transferMs };
+  }
+
+  onTurnEnd(playerState) {
+    // No bonus or delay to apply
+  }
+
+  isExpired(playerState) {
+    return playerState.timeMs <= 0;
+  }
+
+  getType() {
+    return TimingMethodType.HOURGLASS;
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * JapaneseRoundingMethod - Japanese professional minute-unit timing
+ *
+ * Used in professional Go and Shogi: time is recorded in whole minutes.
+ * A think shorter than one minute is not charged at all; longer thinks are
+ * charged in rounded-down minute units. When the main time is used up,
+ * the next period (usually byo-yomi) follows.
+ * The display shows the remaining minutes; the in-move stopwatch is
+ * exposed separately.
+ * Sound ON by default.
+ */
+
+import { TimingMethod } from '../TimingMethod.js';
+import { TimingMethodType } from '../../utils/constants.js';
+
+export class JapaneseRoundingMethod extends TimingMethod {
+  /**
+   * @param {object} config
+   * @param {number} config.timeMs - Main time (normally whole minutes)
+   */
+  constructor(config) {
+    super(config);
+    /** @type {number} Charging unit (one minute) */
+    this.unitMs = 60000;
+    /** @type {number} Time spent on the current move */
+    this._moveElapsedMs = 0;
+    /** @type {boolean} Whether a move is in progress */
+    this._inMove = false;
+  }
+
+  onTurnStart(playerState) {
+    // Record the banked time so the move can be charged in whole minutes
+    playerState.turnStartTimeMs = playerState.timeMs;
+    this._moveElapsedMs = 0;
+    this._inMove = true;
+  }
+
+  onTick(deltaMs, playerState) {
+    // Method created mid-move (period transition, correction): start the move now
+    if (!this._inMove) this.onTurnStart(playerState);
+
+    this._moveElapsedMs += deltaMs;
+    playerState.timeMs -= deltaMs;
+
+    if (playerState.timeMs <= 0) {
+      return this._expire(playerState);
+    }
+
+    return { expired: false, remainingMs: playerState.timeMs };
+  }
+
+  onTurnEnd(playerState) {
+    if (!this._inMove) return;
+    this._inMove = false;
+
+    // Do not refund anything if the main time is already used up
+    if (playerState.timeMs <= 0) return;
+
+    // Charge only whole minutes; the remainder of the move is free
+    playerState.timeMs = playerState.turnStartTimeMs - this._getChargedMs();
+    this._moveElapsedMs = 0;
+  }
+
+  /**
+   * Time charged so far for the current move (rounded down to whole minutes).
+   * @returns {number}
+   */
+  _getChargedMs() {
+    return Math.floor(this._moveElapsedMs / this.unitMs) * this.unitMs;
+  }
+
+  /**
+   * Get the in-move stopwatch.
+   * @returns {number|null} Time spent on the current move, or null between moves
+   */
+  getMoveElapsedMs() {
+    return this._inMove ? this._moveElapsedMs : null;
+  }
+
+  getDisplayTime(playerState) {
+    if (!this._inMove) return Math.max(0, playerState.timeMs);
+    // Remaining minutes: only whole charged minutes are taken off during a move
+    return Math.max(0, playerState.turnStartTimeMs - this._getChargedMs());
+  }
+
+  isExpired(playerState) {
+    return playerState.timeMs <= 0;
+  }
+
+  getState() {
+    return { moveElapsedMs: this._moveElapsedMs, inMove: this._inMove };
+  }
+
+  restoreState(state) {
+    this._moveElapsedMs = state.moveElapsedMs ?? 0;
+    this._inMove = state.inMove ?? false;
+  }
+
+  getType() {
+    return TimingMethodType.JP_ROUNDING;
+  }
+}
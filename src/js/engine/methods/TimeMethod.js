@@ -21,8 +21,7 @@ export class TimeMethod extends TimingMethod {
     playerState.timeMs -= deltaMs;
 
     if (playerState.timeMs <= 0) {
-      playerState.timeMs = 0;
-      return { expired: true, remainingMs: 0 };
+      return this._expire(playerState);
     }
 
     return { expired: false, remainingMs: playerState.timeMs };
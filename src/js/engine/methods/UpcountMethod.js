@@ -3,15 +3,30 @@
  *
  * Time counts UP from 0:00 instead of counting down.
  * Used to track overtime for penalty point calculation.
- * No configurable settings. Can only be set as the last period.
+ * Optional penalty rules turn the overtime into points, e.g.
+ * WESPA Scrabble (10 points per started minute) or Ing Go
+ * (2 points per started overtime block, up to N blocks).
+ * Can only be set as the last period.
  */
 
 import { TimingMethod } from '../TimingMethod.js';
 import { TimingMethodType } from '../../utils/constants.js';
 
 export class UpcountMethod extends TimingMethod {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.penaltyPoints] - Points per started overtime unit (0 = no penalty)
+   * @param {number} [config.penaltyUnitMs] - Length of one overtime unit
+   * @param {number} [config.penaltyMaxUnits] - Maximum units charged (0 = no limit)
+   */
   constructor(config) {
     super(config || {});
+    /** @type {number} */
+    this.penaltyPoints = this.config.penaltyPoints || 0;
+    /** @type {number} */
+    this.penaltyUnitMs = this.config.penaltyUnitMs || 60000;
+    /** @type {number} */
+    this.penaltyMaxUnits = this.config.penaltyMaxUnits || 0;
   }
 
   onTurnStart(playerState) {
@@ -35,6 +50,32 @@ export class UpcountMethod extends TimingMethod {
     return false;
   }
 
+  getMsUntil(_playerState, _remainingMs) {
+    // Counts up: never comes down to any time
+    return null;
+  }
+
+  /**
+   * Whether penalty rules are configured.
+   * @returns {boolean}
+   */
+  hasPenalty() {
+    return this.penaltyPoints > 0;
+  }
+
+  /**
+   * Get the penalty for the overtime used so far.
+   * Every started unit counts in full.
+   * @param {import('../../state/PlayerState.js').PlayerState} playerState
+   * @returns {number} Penalty points
+   */
+  getPenaltyPoints(playerState) {
+    if (!this.hasPenalty() || playerState.timeMs <= 0) return 0;
+    let units = Math.ceil(playerState.timeMs / this.penaltyUnitMs);
+    if (this.penaltyMaxUnits > 0) units = Math.min(units, this.penaltyMaxUnits);
+    return units * this.penaltyPoints;
+  }
+
   getDisplayTime(playerState) {
     return Math.max(0, playerState.timeMs);
   }
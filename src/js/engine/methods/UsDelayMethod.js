@@ -5,6 +5,7 @@
  * Main time does not count down until the delay reaches zero.
  * The delay countdown is shown in a separate display area.
  * Functionally identical outcome to Bronstein, but displayed differently.
+ * Optional incrementFromMove: main time runs immediately before that move number.
  * FREEZE is OFF by default.
  */
 
@@ -23,6 +24,13 @@ export class UsDelayMethod extends TimingMethod {
   }
 
   onTurnStart(playerState) {
+    // No delay before the configured starting move
+    if (!this.isIncrementActive(playerState)) {
+      playerState.delayRemainingMs = 0;
+      playerState.inDelay = false;
+      return;
+    }
+
     // Reset delay countdown at start of each turn
     playerState.delayRemainingMs = this.delayMs;
     playerState.inDelay = true;
@@ -50,8 +58,7 @@ export class UsDelayMethod extends TimingMethod {
     }
 
     if (playerState.timeMs <= 0) {
-      playerState.timeMs = 0;
-      return { expired: true, remainingMs: 0 };
+      return this._expire(playerState);
     }
 
     return { expired: false, remainingMs: playerState.timeMs };
@@ -67,6 +74,12 @@ export class UsDelayMethod extends TimingMethod {
     return playerState.timeMs <= 0;
   }
 
+  getMsUntil(playerState, remainingMs) {
+    // Main time only starts to run once the delay is used up
+    const ms = super.getMsUntil(playerState, remainingMs);
+    return ms !== null && playerState.inDelay ? ms + playerState.delayRemainingMs : ms;
+  }
+
   getDisplayTime(playerState) {
     return Math.max(0, playerState.timeMs);
   }
@@ -45,12 +45,12 @@ export class InputHandler {
 
   /**
    * Bind click/touch events to clock face elements.
-   * @param {HTMLElement} leftEl - Left clock face
-   * @param {HTMLElement} rightEl - Right clock face
+   * @param {Object<string, HTMLElement>} faces - Clock face per seat
    */
-  bindClockFaces(leftEl, rightEl) {
-    this._bindClockFace(leftEl, 'left');
-    this._bindClockFace(rightEl, 'right');
+  bindClockFaces(faces) {
+    for (const [side, el] of Object.entries(faces)) {
+      this._bindClockFace(el, side);
+    }
   }
 
   /**
@@ -94,6 +94,61 @@ export class InputHandler {
     });
   }
 
+  /**
+   * Bind the per-side berserk buttons. Their taps must not reach the clock face.
+   * @param {Object<string, HTMLElement>} buttons - Berserk button per seat
+   */
+  bindBerserkButtons(buttons) {
+    this._bindFaceButtons(buttons, 'toggleBerserk');
+  }
+
+  /**
+   * Bind the "end game" buttons of the simul boards.
+   * @param {Object<string, HTMLButtonElement>} buttons - Button per board
+   */
+  bindEndBoardButtons(buttons) {
+    this._bindFaceButtons(buttons, 'endBoard');
+  }
+
+  /**
+   * Bind buttons that sit on a tappable face: they emit their own event
+   * with their key instead of tapping the face.
+   * @param {Object<string, HTMLButtonElement>} buttons - Button per key
+   * @param {string} event - Event to emit
+   */
+  _bindFaceButtons(buttons, event) {
+    for (const [key, el] of Object.entries(buttons)) {
+      const touchStart = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (el.disabled) return;
+        this._lastTouchTime = Date.now();
+        this.emit(event, key);
+      };
+
+      const click = (e) => {
+        e.stopPropagation();
+        if (this._lastTouchTime && Date.now() - this._lastTouchTime < 500) {
+          return;
+        }
+        this.emit(event, key);
+      };
+
+      // Let Enter/Space activate the button instead of tapping the face
+      const keyDown = (e) => e.stopPropagation();
+
+      el.addEventListener('touchstart', touchStart, { passive: false });
+      el.addEventListener('click', click);
+      el.addEventListener('keydown', keyDown);
+
+      this._cleanups.push(() => {
+        el.removeEventListener('touchstart', touchStart);
+        el.removeEventListener('click', click);
+        el.removeEventListener('keydown', keyDown);
+      });
+    }
+  }
+
   /**
    * Bind keyboard events to the document.
    */
@@ -107,6 +162,7 @@ export class InputHandler {
           Keys.SOUND_TOGGLE.includes(key) ||
           Keys.FREEZE_TOGGLE.includes(key) ||
           Keys.MOVE_COUNT.includes(key) ||
+          Keys.CHALLENGE.includes(key) ||
           Keys.RESET.includes(key) ||
           Keys.ESCAPE.includes(key) ||
           Keys.NAV_LEFT.includes(key) ||
@@ -130,6 +186,8 @@ export class InputHandler {
         this.emit('toggleFreeze');
       } else if (Keys.MOVE_COUNT.includes(key)) {
         this.emit('showMoves', true);
+      } else if (Keys.CHALLENGE.includes(key)) {
+        this.emit('toggleChallenge');
       } else if (Keys.RESET.includes(key)) {
         this.emit('reset');
       } else if (Keys.ESCAPE.includes(key)) {
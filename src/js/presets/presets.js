@@ -1,11 +1,27 @@
 /**
- * Presets - All 24 pre-programmed timing options
+ * Presets - All 28 pre-programmed timing options
  *
  * Each preset defines:
  * - name: Display name
  * - periods: Array of period configurations
+ * - leftPeriods / rightPeriods: Optional separate period list per player (odds games)
  * - freezeDefault: Whether freeze mode is on by default
  * - soundDefault: Whether sound is on by default
+ * - moveLimitMs: Optional limit per single move on top of any period, for
+ *   every player (0 = none). A move that takes longer gets the final-period
+ *   flag. Picked presets can be given one (see withMoveLimit).
+ * - berserk: Whether players may berserk before their first move (arena)
+ * - playerCount / turnOrder: 3-4 players around a table, optional seat order
+ *   (e.g. ['left', 'right', 'top']; defaults to clockwise)
+ * - bughouse: Two linked boards of two players each (see BughouseMatch)
+ * - simulBoards: Clock simul with one board per opponent, 2-30 (see SimulMatch)
+ * - rounds: Optional round schedule { count, roundMs, breakMs } (see RoundScheduler)
+ * - blackSide / drawOdds: Fixed colours, Black has draw odds (Armageddon,
+ *   see createArmageddonConfig)
+ * - leftTimeMs / rightTimeMs: Per-player main time of the first period
+ *   (rating odds, see createHandicapConfig)
+ * - repeatFromPeriod: 1-based period the cycle restarts from after the last
+ *   period, e.g. 40/2h, 20/1h repeating = 2 (0 = no repeat)
  *
  * Period configuration:
  * - method: TimingMethodType
@@ -14,9 +30,14 @@
  * - movesRequired: Moves to complete period (0 = until time expires)
  * - byoTimeMs: Byo-yomi time per moment in ms
  * - byoMoments: Number of byo-yomi moments
+ * - capMs: Maximum clock time after a Fischer bonus (0 = no cap)
+ * - incrementFromMove: First move that receives the bonus/delay (0 = every move)
+ * - penaltyPoints / penaltyUnitMs / penaltyMaxUnits: Upcount overtime penalty
+ *   (points per started block, block length, max blocks charged; 0 = no limit)
  */
 
 import { TimingMethodType } from '../utils/constants.js';
+import { formatTimeShort } from '../utils/TimeFormatter.js';
 
 // Helper to convert minutes to ms
 const min = (m) => m * 60 * 1000;
@@ -244,10 +265,10 @@ export const presets = [
   {
     id: 21,
     name: '25m + Upcount',
-    description: 'Scrabble: 25 min TIME, then upcount',
+    description: 'Scrabble: 25 min TIME, then upcount (10 points per started minute)',
     periods: [
       { method: TimingMethodType.TIME, timeMs: min(25) },
-      { method: TimingMethodType.UPCOUNT },
+      { method: TimingMethodType.UPCOUNT, penaltyPoints: 10, penaltyUnitMs: min(1) },
     ],
     freezeDefault: false,
     soundDefault: true,
@@ -303,10 +324,34 @@ export const presets = [
     freezeDefault: false,
     soundDefault: false,
   },
+
+  // ===== Capped Fischer Option - Option 27 =====
+  {
+    id: 27,
+    name: '5+3 Fischer max 5m',
+    description: '5 min + 3s/move bonus, clock capped at 5 min',
+    periods: [
+      { method: TimingMethodType.FISCHER, timeMs: min(5), delayMs: sec(3), capMs: min(5) },
+    ],
+    freezeDefault: true,
+    soundDefault: false,
+  },
+
+  // ===== Late Increment Option - Option 28 =====
+  {
+    id: 28,
+    name: '1h30+30s from move 41',
+    description: '1h 30min, +30s/move bonus starting from move 41',
+    periods: [
+      { method: TimingMethodType.FISCHER, timeMs: hr(1) + min(30), delayMs: sec(30), incrementFromMove: 41 },
+    ],
+    freezeDefault: true,
+    soundDefault: false,
+  },
 ];
 
 /**
- * Get a preset by its option number (1-24).
+ * Get a preset by its option number (1-28).
  * @param {number} id - Option number
  * @returns {object|null}
  */
@@ -314,6 +359,16 @@ export function getPreset(id) {
   return presets.find((p) => p.id === id) || null;
 }
 
+/**
+ * Add a per-move limit to a preset (the one set for presets in settings).
+ * @param {object} preset - Option configuration
+ * @param {number} moveLimitMs - 0 = keep the preset's own limit, if any
+ * @returns {object} The preset, or a copy with the limit
+ */
+export function withMoveLimit(preset, moveLimitMs) {
+  return moveLimitMs > 0 ? { ...preset, moveLimitMs } : preset;
+}
+
 /**
  * Get all presets.
  * @returns {Array<object>}
@@ -321,3 +376,96 @@ export function getPreset(id) {
 export function getAllPresets() {
   return presets;
 }
+
+/**
+ * Check an Armageddon bid: more than nothing and at most the base time.
+ * @param {number} bidMs - Bid (time accepted as Black)
+ * @param {number} whiteTimeMs - Base time (White's time)
+ * @returns {string|null} Error message, or null if the bid is valid
+ */
+export function validateArmageddonBid(bidMs, whiteTimeMs) {
+  if (!(bidMs > 0)) return 'Bid some time';
+  if (bidMs > whiteTimeMs) return `Bid at most the base time (${formatTimeShort(whiteTimeMs)})`;
+  return null;
+}
+
+/**
+ * Build an Armageddon option from a time-bid auction.
+ * Each player bids the time they accept as Black; the lower bid gets Black
+ * with draw odds and the bid as clock time, White gets the full base time.
+ * Throws if the base time is not positive or a bid is invalid (see
+ * validateArmageddonBid).
+ * @param {object} auction
+ * @param {number} auction.whiteTimeMs - Base time (White's time, maximum bid)
+ * @param {number} auction.leftBidMs - Left player's bid
+ * @param {number} auction.rightBidMs - Right player's bid
+ * @param {number} [auction.incrementMs] - Fischer bonus per move for both (0 = none)
+ * @param {string} [auction.tieBreak] - Side that gets Black on equal bids (drawn by lot)
+ * @returns {object} Option configuration
+ */
+export function createArmageddonConfig(auction) {
+  const { whiteTimeMs, leftBidMs, rightBidMs } = auction;
+  if (!(whiteTimeMs > 0)) throw new Error('Armageddon needs a base time');
+  const error = validateArmageddonBid(leftBidMs, whiteTimeMs) || validateArmageddonBid(rightBidMs, whiteTimeMs);
+  if (error) throw new Error(error);
+
+  let blackSide;
+  if (leftBidMs === rightBidMs) {
+    blackSide = auction.tieBreak || (Math.random() < 0.5 ? 'left' : 'right');
+  } else {
+    blackSide = leftBidMs < rightBidMs ? 'left' : 'right';
+  }
+  const blackTimeMs = blackSide === 'left' ? leftBidMs : rightBidMs;
+
+  const period = auction.incrementMs > 0
+    ? { method: TimingMethodType.FISCHER, timeMs: whiteTimeMs, delayMs: auction.incrementMs }
+    : { method: TimingMethodType.TIME, timeMs: whiteTimeMs };
+
+  return {
+    name: 'Armageddon',
+    description: 'Time-bid Armageddon, Black has draw odds',
+    periods: [period],
+    leftTimeMs: blackSide === 'left' ? blackTimeMs : whiteTimeMs,
+    rightTimeMs: blackSide === 'right' ? blackTimeMs : whiteTimeMs,
+    blackSide,
+    drawOdds: true,
+    bids: { left: leftBidMs, right: rightBidMs },
+    freezeDefault: true,
+    soundDefault: false,
+  };
+}
+
+/**
+ * Build a time-odds option from both players' ratings and a base preset.
+ * The weaker player keeps the preset's main time; the stronger player's main
+ * time shrinks by a fixed ratio per 100 rating points (compounded), but never
+ * below a minimum. Only the first period is handicapped.
+ * @param {object} handicap
+ * @param {object} handicap.preset - Base option configuration
+ * @param {number} handicap.leftRating - Left player's rating
+ * @param {number} handicap.rightRating - Right player's rating
+ * @param {number} [handicap.ratioPer100=0.1] - Time reduction per 100 points (0.1 = 10%)
+ * @param {number} [handicap.minTimeMs=60000] - Minimum main time of the stronger player
+ * @returns {object} Option configuration with leftTimeMs/rightTimeMs
+ */
+export function createHandicapConfig(handicap) {
+  const { preset, leftRating, rightRating, ratioPer100 = 0.1, minTimeMs = min(1) } = handicap;
+  const base = JSON.parse(JSON.stringify(preset));
+  delete base.id;
+  const baseTimeMs = base.periods[0].timeMs;
+
+  const diff = Math.abs(leftRating - rightRating);
+  const factor = Math.pow(1 - Math.min(Math.max(ratioPer100, 0), 1), diff / 100);
+  const strongTimeMs = Math.max(
+    Math.min(minTimeMs, baseTimeMs),
+    Math.round((baseTimeMs * factor) / 1000) * 1000,
+  );
+
+  return {
+    ...base,
+    name: `Handicap ${base.name}`,
+    description: `${leftRating} vs ${rightRating}: ${base.description}`,
+    leftTimeMs: leftRating > rightRating ? strongTimeMs : baseTimeMs,
+    rightTimeMs: rightRating > leftRating ? strongTimeMs : baseTimeMs,
+  };
+}
@@ -5,7 +5,7 @@
  * and coordinates between the timer engine and player states.
  */
 
-import { GameStatus, Player, FlagState, TimingMethodType, Limits } from '../utils/constants.js';
+import { GameStatus, Player, FlagState, TimingMethodType, Limits, DEFAULT_TURN_ORDERS } from '../utils/constants.js';
 import { PlayerState } from './PlayerState.js';
 
 export class GameState {
@@ -22,6 +22,15 @@ export class GameState {
     /** @type {PlayerState} */
     this.right = new PlayerState(Player.RIGHT);
 
+    /** @type {PlayerState} Extra seat (3-4 player games) */
+    this.top = new PlayerState(Player.TOP);
+
+    /** @type {PlayerState} Extra seat (4 player games) */
+    this.bottom = new PlayerState(Player.BOTTOM);
+
+    /** @type {Array<string>} Seats in play, in turn order */
+    this.turnOrder = [...DEFAULT_TURN_ORDERS[2]];
+
     /** @type {number} Selected option number (1-30) */
     this.selectedOption = 1;
 
@@ -40,6 +49,12 @@ export class GameState {
     /** @type {string|null} Status before entering correction mode */
     this._preCorrectionStatus = null;
 
+    /** @type {Object<string, Array<object>>} Period lists changed by the arbiter, per side */
+    this._periodOverrides = {};
+
+    /** @type {Array<{ type: string, at: number }>} Arbiter interventions in this game */
+    this.interventions = [];
+
     /** @type {Array<Function>} State change listeners */
     this._listeners = [];
   }
@@ -71,22 +86,51 @@ export class GameState {
 
   /**
    * Get the PlayerState for a given side.
-   * @param {string} side - Player.LEFT or Player.RIGHT
+   * @param {string} side - Player.LEFT, Player.RIGHT, Player.TOP or Player.BOTTOM
    * @returns {PlayerState}
    */
   getPlayer(side) {
     if (side === Player.LEFT) return this.left;
     if (side === Player.RIGHT) return this.right;
+    if (side === Player.TOP) return this.top;
+    if (side === Player.BOTTOM) return this.bottom;
     throw new Error(`Invalid player side: ${side}`);
   }
 
   /**
-   * Get the opponent's PlayerState.
-   * @param {string} side - Player.LEFT or Player.RIGHT
+   * Get the opponent's PlayerState (the next player in turn order in 3-4
+   * player games).
+   * @param {string} side
    * @returns {PlayerState}
    */
   getOpponent(side) {
-    return side === Player.LEFT ? this.right : this.left;
+    return this.getPlayer(this.getNextSide(side));
+  }
+
+  /**
+   * Get the seats in play, in turn order.
+   * @returns {Array<string>}
+   */
+  getSides() {
+    return this.turnOrder;
+  }
+
+  /**
+   * Get the number of players (2-4).
+   * @returns {number}
+   */
+  getPlayerCount() {
+    return this.turnOrder.length;
+  }
+
+  /**
+   * Get the seat that moves after the given one.
+   * @param {string} side
+   * @returns {string}
+   */
+  getNextSide(side) {
+    const idx = this.turnOrder.indexOf(side);
+    return this.turnOrder[(idx + 1) % this.turnOrder.length];
   }
 
   /**
@@ -102,16 +146,25 @@ export class GameState {
    * Initialize the game with an option configuration.
    * @param {object} config - Option configuration
    * @param {Array} config.periods - Array of period configurations
+   * @param {Array} [config.leftPeriods] - Separate period list for the left player (odds games)
+   * @param {Array} [config.rightPeriods] - Separate period list for the right player (odds games)
    * @param {boolean} [config.freezeDefault] - Default freeze setting
    * @param {boolean} [config.soundDefault] - Default sound setting
    * @param {number} [config.leftTimeMs] - Override left player time (for asymmetric)
    * @param {number} [config.rightTimeMs] - Override right player time (for asymmetric)
+   * @param {number} [config.repeatFromPeriod] - 1-based period the cycle restarts from after the last one (0 = no repeat)
+   * @param {string} [config.blackSide] - Fixed Black side (Armageddon); otherwise the first tap decides
+   * @param {boolean} [config.drawOdds] - Whether Black has draw odds
+   * @param {number} [config.playerCount=2] - Number of players (2-4)
+   * @param {Array<string>} [config.turnOrder] - Seats in turn order (defaults to clockwise)
    */
   initGame(config) {
     this.optionConfig = config;
     this.status = GameStatus.IDLE;
     this.activePlayer = null;
     this.hasBeenStarted = false;
+    this._periodOverrides = {};
+    this.interventions = [];
 
     // Set defaults based on config
     this.freezeEnabled = config.freezeDefault ?? false;
@@ -121,41 +174,81 @@ export class GameState {
     if (!config.periods || config.periods.length === 0) {
       throw new Error('Config must have at least one period');
     }
+    this.turnOrder = GameState._resolveTurnOrder(config);
+    for (const side of this.turnOrder) {
+      const key = `${side}Periods`;
+      if (config[key] && config[key].length === 0) {
+        throw new Error(`Config ${key} must have at least one period`);
+      }
+    }
 
-    // Initialize both players with first period
-    const firstPeriod = config.periods[0];
-
-    this.left.init({
-      timeMs: config.leftTimeMs ?? firstPeriod.timeMs,
-      delayMs: firstPeriod.delayMs,
-      byoMoments: firstPeriod.byoMoments,
-      byoTimeMs: firstPeriod.byoTimeMs,
-    });
-
-    this.right.init({
-      timeMs: config.rightTimeMs ?? firstPeriod.timeMs,
-      delayMs: firstPeriod.delayMs,
-      byoMoments: firstPeriod.byoMoments,
-      byoTimeMs: firstPeriod.byoTimeMs,
-    });
+    // Initialize every player with the first period of their own list
+    for (const side of this.turnOrder) {
+      const first = this.getPeriods(side)[0];
+      this.getPlayer(side).init({
+        timeMs: config[`${side}TimeMs`] ?? first.timeMs,
+        delayMs: first.delayMs,
+        byoMoments: first.byoMoments,
+        byoTimeMs: first.byoTimeMs,
+      });
+    }
 
-    // Reset color assignments
-    this.left.color = 'white';
-    this.right.color = 'black';
+    if (this.turnOrder.length === 2) {
+      // Reset color assignments (fixed by the option in Armageddon)
+      this.left.color = config.blackSide === Player.LEFT ? 'black' : 'white';
+      this.right.color = config.blackSide === Player.LEFT ? 'white' : 'black';
+    } else {
+      // No piece colours with more than two players
+      for (const side of this.turnOrder) this.getPlayer(side).color = 'none';
+    }
 
     this.notify();
   }
 
+  /**
+   * Resolve the seats in play from a config: an explicit turn order, or the
+   * default clockwise order for the player count.
+   * @param {object} config
+   * @returns {Array<string>}
+   */
+  static _resolveTurnOrder(config) {
+    const count = config.turnOrder ? config.turnOrder.length : (config.playerCount ?? 2);
+    if (count < Limits.MIN_PLAYERS || count > Limits.MAX_PLAYERS) {
+      throw new Error(`Player count must be ${Limits.MIN_PLAYERS}-${Limits.MAX_PLAYERS}`);
+    }
+    if (!config.turnOrder) return [...DEFAULT_TURN_ORDERS[count]];
+
+    // Custom order: a permutation of the seats used for this player count
+    const seats = DEFAULT_TURN_ORDERS[count];
+    const valid = config.turnOrder.every((side) => seats.includes(side)) &&
+      new Set(config.turnOrder).size === count;
+    if (!valid) {
+      throw new Error(`Turn order must use the seats ${seats.join(', ')} once each`);
+    }
+    return [...config.turnOrder];
+  }
+
   /**
    * Start the clock. The active player is determined by which side taps.
    * @param {string} side - The side that tapped (their opponent's clock starts)
    */
   startGame(side) {
-    // The side that taps ends their turn => opponent's clock starts
-    this.activePlayer = side === Player.LEFT ? Player.RIGHT : Player.LEFT;
     this.status = GameStatus.RUNNING;
     this.hasBeenStarted = true;
 
+    if (this.optionConfig && this.optionConfig.blackSide) {
+      // Colours fixed by the option: White has made the first move, Black's clock starts
+      this.startClockOf(this.left.color === 'black' ? Player.LEFT : Player.RIGHT);
+      return;
+    }
+
+    // The side that taps ends their turn => opponent's clock starts
+    this.activePlayer = this.getNextSide(side);
+    if (this.turnOrder.length > 2) {
+      this.notify();
+      return;
+    }
+
     // The player who taps first is white (white moves first in chess)
     this.getPlayer(side).color = 'white';
     this.getOpponent(side).color = 'black';
@@ -163,6 +256,65 @@ export class GameState {
     this.notify();
   }
 
+  /**
+   * Start the clock with the given player's clock running, keeping the
+   * colour assignment (fixed colours, linked boards).
+   * @param {string} side - The side whose clock starts
+   */
+  startClockOf(side) {
+    this.status = GameStatus.RUNNING;
+    this.hasBeenStarted = true;
+    this.activePlayer = side;
+    this.notify();
+  }
+
+  /**
+   * Get the side whose player has draw odds (Black in Armageddon).
+   * @returns {string|null}
+   */
+  getDrawOddsSide() {
+    if (!this.optionConfig || !this.optionConfig.drawOdds) return null;
+    return this.left.color === 'black' ? Player.LEFT : Player.RIGHT;
+  }
+
+  /**
+   * Whether a player may (un)berserk now: the option allows it and the game
+   * is idle or the player has not completed a move yet.
+   * @param {string} side
+   * @returns {boolean}
+   */
+  canToggleBerserk(side) {
+    if (!this.optionConfig || !this.optionConfig.berserk) return false;
+    if (this.status === GameStatus.IDLE) return true;
+    const running = this.status === GameStatus.RUNNING || this.status === GameStatus.PAUSED;
+    return running && !this.getPlayer(side).hasStarted;
+  }
+
+  /**
+   * Toggle berserk for one player: takes half their starting main time off
+   * (the increment is dropped by the PeriodManager), or gives back what was
+   * taken off.
+   * @param {string} side
+   * @returns {boolean} Whether berserk was toggled
+   */
+  toggleBerserk(side) {
+    if (!this.canToggleBerserk(side)) return false;
+
+    const player = this.getPlayer(side);
+    if (player.berserk) {
+      player.timeMs += player.berserkCutMs;
+      player.berserkCutMs = 0;
+    } else {
+      const startTimeMs = this.optionConfig[`${side}TimeMs`] ?? this.getPeriods(side)[0].timeMs ?? 0;
+      // Never below zero: a player who already used more than half keeps nothing
+      player.berserkCutMs = Math.min(Math.max(0, player.timeMs), Math.ceil(startTimeMs / 2));
+      player.timeMs -= player.berserkCutMs;
+    }
+    player.berserk = !player.berserk;
+    this.notify();
+    return true;
+  }
+
   /**
    * Switch turns (current active player tapped their clock).
    */
@@ -172,9 +324,10 @@ export class GameState {
     const currentPlayer = this.getActivePlayerState();
     if (currentPlayer) {
       currentPlayer.moves++;
+      currentPlayer.hasStarted = true;
     }
 
-    this.activePlayer = this.activePlayer === Player.LEFT ? Player.RIGHT : Player.LEFT;
+    this.activePlayer = this.getNextSide(this.activePlayer);
     this.notify();
   }
 
@@ -209,6 +362,27 @@ export class GameState {
     }
   }
 
+  /**
+   * Start a challenge hold (e.g. a Scrabble word challenge).
+   * Both clocks stop, but unlike a pause the game stays in play.
+   */
+  startChallengeHold() {
+    if (this.status === GameStatus.RUNNING) {
+      this.status = GameStatus.CHALLENGE;
+      this.notify();
+    }
+  }
+
+  /**
+   * End the challenge hold and continue the running game.
+   */
+  endChallengeHold() {
+    if (this.status === GameStatus.CHALLENGE) {
+      this.status = GameStatus.RUNNING;
+      this.notify();
+    }
+  }
+
   /**
    * Freeze the clock (player lost on time).
    */
@@ -250,6 +424,51 @@ export class GameState {
     }
   }
 
+  /**
+   * Create a snapshot of the whole game, to resume it after a reload.
+   * @returns {object}
+   */
+  snapshot() {
+    const players = {};
+    for (const side of this.turnOrder) {
+      players[side] = this.getPlayer(side).snapshot();
+    }
+    return {
+      selectedOption: this.selectedOption,
+      optionConfig: this.optionConfig,
+      status: this.status,
+      preCorrectionStatus: this._preCorrectionStatus,
+      activePlayer: this.activePlayer,
+      freezeEnabled: this.freezeEnabled,
+      soundEnabled: this.soundEnabled,
+      hasBeenStarted: this.hasBeenStarted,
+      periodOverrides: JSON.parse(JSON.stringify(this._periodOverrides)),
+      interventions: this.interventions.map((entry) => ({ ...entry })),
+      players,
+    };
+  }
+
+  /**
+   * Restore a game from a snapshot. A game saved in correction mode comes
+   * back in the status it had before (the edits were not saved).
+   * @param {object} snap - From snapshot()
+   */
+  restore(snap) {
+    this.initGame(snap.optionConfig);
+    this.selectedOption = snap.selectedOption;
+    this.status = snap.status === GameStatus.CORRECTING ? (snap.preCorrectionStatus || GameStatus.PAUSED) : snap.status;
+    this.activePlayer = snap.activePlayer;
+    this.freezeEnabled = snap.freezeEnabled;
+    this.soundEnabled = snap.soundEnabled;
+    this.hasBeenStarted = snap.hasBeenStarted;
+    this._periodOverrides = JSON.parse(JSON.stringify(snap.periodOverrides || {}));
+    this.interventions = (snap.interventions || []).map((entry) => ({ ...entry }));
+    for (const [side, playerSnap] of Object.entries(snap.players)) {
+      this.getPlayer(side).restore(playerSnap);
+    }
+    this.notify();
+  }
+
   /**
    * Toggle sound.
    */
@@ -271,6 +490,67 @@ export class GameState {
     return false;
   }
 
+  /**
+   * Create a result record with the final times of every player, keyed by seat.
+   * @returns {{ optionNumber: number, finishedAt: number, drawOddsSide: string|null, turnOrder: Array<string>, left: object, right: object }}
+   */
+  createResult() {
+    const sideResult = (player) => ({
+      berserk: player.berserk,
+      timeMs: player.timeMs,
+      moves: player.moves,
+      color: player.color,
+      flagState: player.flagState,
+      flagSetTime: player.flagSetTime,
+    });
+    const result = {
+      optionNumber: this.selectedOption,
+      finishedAt: Date.now(),
+      drawOddsSide: this.getDrawOddsSide(),
+      turnOrder: [...this.turnOrder],
+    };
+    for (const side of this.turnOrder) {
+      result[side] = sideResult(this.getPlayer(side));
+    }
+    if (this.interventions.length > 0) {
+      result.interventions = this.interventions.map((entry) => ({ ...entry }));
+    }
+    return result;
+  }
+
+  /**
+   * Record an arbiter intervention with the game.
+   * @param {string} type - ArbiterAction value
+   * @param {object} [details] - Action specific fields (side, bonus, ...)
+   */
+  logIntervention(type, details = {}) {
+    this.interventions.push({ type, at: Date.now(), ...details });
+  }
+
+  /**
+   * Replace one period of a player's list for the rest of the game (arbiter
+   * intervention); a reset brings back the option's periods.
+   * @param {string} side
+   * @param {number} index - 0-based period index
+   * @param {object} periodConfig
+   */
+  overridePeriod(side, index, periodConfig) {
+    const periods = [...this.getPeriods(side)];
+    periods[index] = periodConfig;
+    this._periodOverrides[side] = periods;
+  }
+
+  /**
+   * Get the period list of a player: their own list in odds games,
+   * otherwise the shared one.
+   * @param {string} side
+   * @returns {Array<object>} Period configurations (empty without a config)
+   */
+  getPeriods(side) {
+    if (!this.optionConfig) return [];
+    return this._periodOverrides[side] || this.optionConfig[`${side}Periods`] || this.optionConfig.periods;
+  }
+
   /**
    * Get the current period config for a player.
    * @param {string} side
@@ -279,7 +559,18 @@ export class GameState {
   getCurrentPeriodConfig(side) {
     if (!this.optionConfig) return null;
     const player = this.getPlayer(side);
-    return this.optionConfig.periods[player.currentPeriod] || null;
+    return this.getPeriods(side)[player.currentPeriod] || null;
+  }
+
+  /**
+   * Get the period index a player's cycle restarts from after their last period.
+   * @param {string} side
+   * @returns {number} 0-based period index, or -1 if periods do not repeat
+   */
+  getRepeatStartIndex(side) {
+    if (!this.optionConfig) return -1;
+    const from = this.optionConfig.repeatFromPeriod || 0;
+    return from >= 1 && from <= this.getPeriods(side).length ? from - 1 : -1;
   }
 
   /**
@@ -289,8 +580,9 @@ export class GameState {
    */
   isInFinalPeriod(side) {
     if (!this.optionConfig) return true;
+    if (this.getRepeatStartIndex(side) >= 0) return false; // Periods repeat indefinitely
     const player = this.getPlayer(side);
-    return player.currentPeriod >= this.optionConfig.periods.length - 1;
+    return player.currentPeriod >= this.getPeriods(side).length - 1;
   }
 
   /**
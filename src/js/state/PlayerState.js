@@ -21,6 +21,9 @@ export class PlayerState {
     /** @type {number} Current period index (0-based) */
     this.currentPeriod = 0;
 
+    /** @type {number} Completed passes through the repeating period cycle */
+    this.periodRepeat = 0;
+
     /** @type {number} Move count */
     this.moves = 0;
 
@@ -50,11 +53,17 @@ export class PlayerState {
 
     /** @type {boolean} Whether player has started their first move */
     this.hasStarted = false;
+
+    /** @type {boolean} Whether player went berserk (half time, no increment) */
+    this.berserk = false;
+
+    /** @type {number} Time taken off by berserk, given back if it is undone */
+    this.berserkCutMs = 0;
   }
 
   /**
    * Initialize the player state with a time control configuration.
-   * @param {object} periodConfig - Configuration for the initial period
+   * @param {object} periodConfig - First period of this player's own period list
    * @param {number} periodConfig.timeMs - Main time in milliseconds
    * @param {number} [periodConfig.delayMs] - Delay/bonus time per move
    * @param {number} [periodConfig.byoMoments] - Number of byo-yomi moments
@@ -63,6 +72,7 @@ export class PlayerState {
   init(periodConfig) {
     this.timeMs = periodConfig.timeMs ?? 0;
     this.currentPeriod = 0;
+    this.periodRepeat = 0;
     this.moves = 0;
     this.flagState = FlagState.NONE;
     this.flagSetTime = null;
@@ -72,6 +82,8 @@ export class PlayerState {
     this.byoMomentsRemaining = periodConfig.byoMoments ?? 0;
     this.byoMomentTimeMs = periodConfig.byoTimeMs ?? 0;
     this.hasStarted = false;
+    this.berserk = false;
+    this.berserkCutMs = 0;
   }
 
   /**
@@ -85,10 +97,11 @@ export class PlayerState {
   /**
    * Set a flag on this player.
    * @param {string} state - FlagState.BLINKING or FlagState.NON_BLINKING
+   * @param {number} [at=Date.now()] - When the flag fell (ms since the epoch)
    */
-  setFlag(state) {
+  setFlag(state, at = Date.now()) {
     this.flagState = state;
-    this.flagSetTime = Date.now();
+    this.flagSetTime = at;
   }
 
   /**
@@ -106,6 +119,7 @@ export class PlayerState {
     return {
       timeMs: this.timeMs,
       currentPeriod: this.currentPeriod,
+      periodRepeat: this.periodRepeat,
       moves: this.moves,
       flagState: this.flagState,
       flagSetTime: this.flagSetTime,
@@ -116,6 +130,8 @@ export class PlayerState {
       byoMomentsRemaining: this.byoMomentsRemaining,
       byoMomentTimeMs: this.byoMomentTimeMs,
       hasStarted: this.hasStarted,
+      berserk: this.berserk,
+      berserkCutMs: this.berserkCutMs,
     };
   }
 
@@ -127,6 +143,7 @@ export class PlayerState {
     // Only restore known fields to prevent prototype pollution or stale data
     this.timeMs = snap.timeMs;
     this.currentPeriod = snap.currentPeriod;
+    this.periodRepeat = snap.periodRepeat ?? 0;
     this.moves = snap.moves;
     this.flagState = snap.flagState;
     this.flagSetTime = snap.flagSetTime ?? null;
@@ -137,5 +154,7 @@ export class PlayerState {
     this.byoMomentsRemaining = snap.byoMomentsRemaining;
     this.byoMomentTimeMs = snap.byoMomentTimeMs;
     this.hasStarted = snap.hasStarted;
+    this.berserk = snap.berserk ?? false;
+    this.berserkCutMs = snap.berserkCutMs ?? 0;
   }
 }
@@ -0,0 +1,279 @@
+/**
+ * TabSync - One clock across several tabs or windows
+ *
+ * Tabs talk over a BroadcastChannel. One tab owns the clock: it runs the
+ * game, saves it and publishes its state. Every other tab is a read-only
+ * mirror that shows the owner's clock until it takes over.
+ *
+ * A starting tab claims ownership and waits TAB_CLAIM_WAIT_MS for an owner
+ * to answer. If none does it becomes the owner; tabs claiming at the same
+ * time leave it to the one with the smallest id. When the owner goes away
+ * it releases the clock and its mirrors claim it again.
+ *
+ * Without BroadcastChannel every tab owns its clock, as before.
+ */
+
+import { TabRole, Limits } from '../utils/constants.js';
+
+const CHANNEL_NAME = 'tempomate';
+
+/** Message types sent between tabs */
+const Message = Object.freeze({
+  CLAIM: 'claim',             // Looking for the owner, or claiming the clock
+  OWNER: 'owner',             // The sender owns the clock
+  STATE: 'state',             // The owner's game (see App._saveGame)
+  TAKEOVER: 'takeover',       // The sender takes the clock from the owner
+  RELEASE: 'release',         // The owner goes away
+});
+
+export class TabSync {
+  /**
+   * @param {() => (BroadcastChannel|null)} [createChannel] - Channel factory (default: a BroadcastChannel if supported)
+   */
+  constructor(createChannel = TabSync.createChannel) {
+    /** @type {string} */
+    this.id = Math.random().toString(36).slice(2, 10);
+    /** @type {BroadcastChannel|null} */
+    this._channel = createChannel();
+    /** @type {string} */
+    this._role = TabRole.PENDING;
+    /** @type {string|null} Id of the owner tab, if known */
+    this._ownerId = null;
+    /** @type {boolean} Whether a tab with a smaller id claimed at the same time */
+    this._yielded = false;
+    /** @type {number|null} */
+    this._claimTimer = null;
+    /** @type {object|null} Last state published by this tab as owner */
+    this._lastState = null;
+    /** @type {Function|null} Callback: (role: string) => void */
+    this._onRoleChange = null;
+    /** @type {Function|null} Callback: (state: object|null) => void */
+    this._onState = null;
+
+    if (this._channel) {
+      this._channel.onmessage = (event) => this._handleMessage(event.data);
+    }
+  }
+
+  /**
+   * Check if BroadcastChannel is available.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof BroadcastChannel !== 'undefined';
+  }
+
+  /**
+   * Open the default channel.
+   * @returns {BroadcastChannel|null}
+   */
+  static createChannel() {
+    return TabSync.isSupported() ? new BroadcastChannel(CHANNEL_NAME) : null;
+  }
+
+  /**
+   * Set the callbacks.
+   * @param {(role: string) => void} onRoleChange - Called when this tab becomes owner or mirror
+   * @param {(state: object|null) => void} onState - Called in a mirror with the owner's state
+   */
+  setCallbacks(onRoleChange, onState) {
+    this._onRoleChange = onRoleChange;
+    this._onState = onState;
+  }
+
+  /**
+   * Find the owner or claim the clock. Call on startup and when the page
+   * comes back from the back/forward cache.
+   */
+  start() {
+    if (!this._channel) {
+      this._setRole(TabRole.OWNER);
+      return;
+    }
+    this._claim();
+  }
+
+  /**
+   * @returns {string} TabRole value
+   */
+  getRole() {
+    return this._role;
+  }
+
+  /**
+   * Whether this tab runs the clock.
+   * @returns {boolean}
+   */
+  isOwner() {
+    return this._role === TabRole.OWNER;
+  }
+
+  /**
+   * Whether this tab only shows another tab's clock.
+   * @returns {boolean}
+   */
+  isMirror() {
+    return this._role === TabRole.MIRROR;
+  }
+
+  /**
+   * Send the game to the mirrors (owner only).
+   * @param {object|null} state - null when there is nothing a mirror can show
+   */
+  publish(state) {
+    if (!this.isOwner()) return;
+    this._lastState = state;
+    this._post(Message.STATE, { state });
+  }
+
+  /**
+   * Take the clock from the owner tab.
+   */
+  takeOver() {
+    if (this.isOwner()) return;
+    this._cancelClaim();
+    this._post(Message.TAKEOVER);
+    this._ownerId = this.id;
+    this._setRole(TabRole.OWNER);
+  }
+
+  /**
+   * Let the mirrors claim the clock (owner only); call as the page goes away.
+   */
+  release() {
+    if (!this.isOwner()) return;
+    // Step down first: the mirrors' claims must not find this tab as owner
+    this._ownerId = null;
+    this._role = TabRole.PENDING;
+    this._post(Message.RELEASE);
+  }
+
+  /**
+   * Ask for the owner; become the owner if none answers in time.
+   */
+  _claim() {
+    this._cancelClaim();
+    this._role = TabRole.PENDING;
+    this._ownerId = null;
+    this._yielded = false;
+    this._post(Message.CLAIM);
+    this._claimTimer = setTimeout(() => {
+      this._claimTimer = null;
+      if (this._role !== TabRole.PENDING) return;
+      if (this._yielded) {
+        // The winner announces itself as owner
+        this._setRole(TabRole.MIRROR);
+        return;
+      }
+      this._ownerId = this.id;
+      this._setRole(TabRole.OWNER);
+      this._post(Message.OWNER);
+    }, Limits.TAB_CLAIM_WAIT_MS);
+  }
+
+  /**
+   * Stop waiting for an answer to a claim.
+   */
+  _cancelClaim() {
+    if (this._claimTimer !== null) {
+      clearTimeout(this._claimTimer);
+      this._claimTimer = null;
+    }
+  }
+
+  /**
+   * Handle a message from another tab.
+   * @param {{ type: string, id: string, state?: object|null }} msg
+   */
+  _handleMessage(msg) {
+    if (!msg || msg.id === this.id) return;
+
+    switch (msg.type) {
+      case Message.CLAIM:
+        if (this.isOwner()) {
+          this._post(Message.OWNER);
+          this._post(Message.STATE, { state: this._lastState });
+        } else if (this._role === TabRole.PENDING && msg.id < this.id) {
+          this._yielded = true;
+        }
+        break;
+
+      case Message.OWNER:
+        // Two owners (claims that crossed, e.g. while one tab was
+        // suspended in the background): the smaller id keeps the clock
+        if (this.isOwner() && this.id < msg.id) {
+          this._post(Message.OWNER);
+          this._post(Message.STATE, { state: this._lastState });
+          break;
+        }
+        this._followOwner(msg.id);
+        break;
+
+      case Message.TAKEOVER:
+        this._followOwner(msg.id);
+        break;
+
+      case Message.STATE:
+        if (this.isOwner()) break;
+        this._followOwner(msg.id);
+        if (this._onState) this._onState(msg.state);
+        break;
+
+      case Message.RELEASE:
+        if (this.isMirror() && msg.id === this._ownerId) this._claim();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Become (or stay) a mirror of the given owner.
+   * @param {string} ownerId
+   */
+  _followOwner(ownerId) {
+    this._cancelClaim();
+    this._ownerId = ownerId;
+    this._setRole(TabRole.MIRROR);
+  }
+
+  /**
+   * Change the role and tell the app.
+   * @param {string} role
+   */
+  _setRole(role) {
+    if (this._role === role) return;
+    this._role = role;
+    if (role !== TabRole.OWNER) this._lastState = null;
+    if (this._onRoleChange) this._onRoleChange(role);
+  }
+
+  /**
+   * Send a message to the other tabs.
+   * @param {string} type
+   * @param {object} [data]
+   */
+  _post(type, data = {}) {
+    if (!this._channel) return;
+    try {
+      this._channel.postMessage({ type, id: this.id, ...data });
+    } catch (e) {
+      console.warn('Failed to reach other tabs:', e);
+    }
+  }
+
+  /**
+   * Clean up resources.
+   */
+  destroy() {
+    this.release();
+    this._cancelClaim();
+    if (this._channel) {
+      this._channel.close();
+      this._channel = null;
+    }
+    this._onRoleChange = null;
+    this._onState = null;
+  }
+}
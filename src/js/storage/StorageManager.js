@@ -2,14 +2,18 @@
  * StorageManager - localStorage persistence for custom options and preferences
  *
  * Saves/loads:
- * - Custom options (26-30)
+ * - Custom options (29-33)
  * - Last selected option number
  * - Theme preference
  * - Sound enabled state
+ * - Correspondence games
  */
 
 import { StorageKeys, Limits, TimingMethodType, ClockFont, ClockFaceStyle, MotionConfig } from '../utils/constants.js';
 
+/** First custom option number when the last option was stored under LAST_OPTION_V1 */
+const V1_MANUAL_OPTION_START = 27;
+
 export class StorageManager {
   /**
    * Save custom options to localStorage.
@@ -57,7 +61,7 @@ export class StorageManager {
 
   /**
    * Save a single custom option.
-   * @param {number} slot - Slot number (0-4, corresponding to options 26-30)
+   * @param {number} slot - Slot number (0-4, corresponding to options 29-33)
    * @param {object} config - Option configuration
    */
   static saveCustomOption(slot, config) {
@@ -96,6 +100,7 @@ export class StorageManager {
    */
   static loadLastOption() {
     try {
+      StorageManager._migrateLastOption();
       const val = localStorage.getItem(StorageKeys.LAST_OPTION);
       if (val) {
         const num = parseInt(val, 10);
@@ -107,6 +112,149 @@ export class StorageManager {
     return 1;
   }
 
+  /**
+   * Move a last option stored before new presets pushed the custom options
+   * up: presets keep their number, a custom option keeps its slot.
+   */
+  static _migrateLastOption() {
+    const val = localStorage.getItem(StorageKeys.LAST_OPTION_V1);
+    if (val === null) return;
+    localStorage.removeItem(StorageKeys.LAST_OPTION_V1);
+    if (localStorage.getItem(StorageKeys.LAST_OPTION) !== null) return;
+
+    const num = parseInt(val, 10);
+    const slot = num - V1_MANUAL_OPTION_START;
+    const migrated = slot >= 0 && slot < Limits.MAX_MANUAL_OPTIONS ? Limits.MANUAL_OPTION_START + slot : num;
+    localStorage.setItem(StorageKeys.LAST_OPTION, String(migrated));
+  }
+
+  /**
+   * Save the per-move limit added to presets when they are picked.
+   * @param {number} moveLimitMs - 0 = the preset's own limit, if any
+   */
+  static savePresetMoveLimit(moveLimitMs) {
+    try {
+      localStorage.setItem(StorageKeys.PRESET_MOVE_LIMIT, String(moveLimitMs));
+    } catch (e) {
+      console.warn('Failed to save preset move limit:', e);
+    }
+  }
+
+  /**
+   * Load the per-move limit added to presets when they are picked.
+   * @returns {number} Limit in ms (0 = none)
+   */
+  static loadPresetMoveLimit() {
+    try {
+      const num = parseInt(localStorage.getItem(StorageKeys.PRESET_MOVE_LIMIT), 10);
+      if (num > 0) return num;
+    } catch (e) {
+      console.warn('Failed to load preset move limit:', e);
+    }
+    return 0;
+  }
+
+  /**
+   * Save the result of the last finished game.
+   * @param {object} result - Result record (see GameState.createResult)
+   */
+  static saveLastResult(result) {
+    try {
+      localStorage.setItem(StorageKeys.LAST_RESULT, JSON.stringify(result));
+    } catch (e) {
+      console.warn('Failed to save last result:', e);
+    }
+  }
+
+  /**
+   * Load the result of the last finished game.
+   * @returns {object|null}
+   */
+  static loadLastResult() {
+    try {
+      const data = localStorage.getItem(StorageKeys.LAST_RESULT);
+      if (data) {
+        const parsed = JSON.parse(data);
+        if (parsed && parsed.left && parsed.right) return parsed;
+      }
+    } catch (e) {
+      console.warn('Failed to load last result:', e);
+    }
+    return null;
+  }
+
+  /**
+   * Save the game in progress, to offer resuming it after a reload.
+   * @param {object} saved - { savedAt, game: GameState.snapshot(), periods: PeriodManager.getState() }
+   */
+  static saveGame(saved) {
+    try {
+      localStorage.setItem(StorageKeys.SAVED_GAME, JSON.stringify(saved));
+    } catch (e) {
+      console.warn('Failed to save game:', e);
+    }
+  }
+
+  /**
+   * Load the saved game in progress.
+   * @returns {object|null}
+   */
+  static loadSavedGame() {
+    try {
+      const data = localStorage.getItem(StorageKeys.SAVED_GAME);
+      if (data) {
+        const parsed = JSON.parse(data);
+        if (parsed && parsed.game && parsed.game.optionConfig && parsed.periods) return parsed;
+      }
+    } catch (e) {
+      console.warn('Failed to load saved game:', e);
+    }
+    return null;
+  }
+
+  /**
+   * Forget the saved game (it ended or the player declined to resume).
+   */
+  static clearSavedGame() {
+    try {
+      localStorage.removeItem(StorageKeys.SAVED_GAME);
+    } catch (e) {
+      console.warn('Failed to clear saved game:', e);
+    }
+  }
+
+  /**
+   * Save the correspondence games.
+   * @param {Array<object>} games - Stored games (see CorrespondenceGame.toJSON)
+   */
+  static saveCorrespondenceGames(games) {
+    try {
+      localStorage.setItem(StorageKeys.CORRESPONDENCE_GAMES, JSON.stringify(games.slice(0, Limits.MAX_CORRESPONDENCE_GAMES)));
+    } catch (e) {
+      console.warn('Failed to save correspondence games:', e);
+    }
+  }
+
+  /**
+   * Load the correspondence games.
+   * @returns {Array<object>} Stored games, invalid entries dropped
+   */
+  static loadCorrespondenceGames() {
+    try {
+      const data = localStorage.getItem(StorageKeys.CORRESPONDENCE_GAMES);
+      if (data) {
+        const parsed = JSON.parse(data);
+        if (Array.isArray(parsed)) {
+          return parsed.filter((game) => game && game.id && game.players && game.players.white
+            && game.players.black && Array.isArray(game.history));
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load correspondence games:', e);
+    }
+    return [];
+  }
+
   /**
    * Save theme preference.
    * @param {'light'|'dark'|'auto'} theme
@@ -264,6 +412,31 @@ export class StorageManager {
     return false;
   }
 
+  /**
+   * Save whether system notifications are shown while the page is hidden.
+   * @param {boolean} enabled
+   */
+  static saveNotificationsEnabled(enabled) {
+    try {
+      localStorage.setItem(StorageKeys.NOTIFICATIONS_ENABLED, String(enabled));
+    } catch (e) {
+      console.warn('Failed to save notifications enabled:', e);
+    }
+  }
+
+  /**
+   * Load whether system notifications are shown while the page is hidden.
+   * @returns {boolean}
+   */
+  static loadNotificationsEnabled() {
+    try {
+      return localStorage.getItem(StorageKeys.NOTIFICATIONS_ENABLED) === 'true';
+    } catch (e) {
+      console.warn('Failed to load notifications enabled:', e);
+    }
+    return false;
+  }
+
   /**
    * Save motion sensor threshold.
    * @param {number} degrees
@@ -1,15 +1,20 @@
 /**
- * ClockDisplay - Renders the clock face for both players
+ * ClockDisplay - Renders the clock faces of all players
  *
  * Delegates per-side rendering to a ClockRenderer instance (digital, Garde, Insa).
  * Manages container structure, ResizeObserver, and coordinated font sizing.
+ * Two players sit left/right; 3-4 players get a table layout with every face
+ * rotated toward its seat; bughouse shows two boards with team colours.
  */
 
-import { Player, FlagState, GameStatus, TimingMethodType, ClockFaceStyle } from '../utils/constants.js';
+import { Player, FlagState, GameStatus, ClockFaceStyle } from '../utils/constants.js';
 import { DigitalClockRenderer } from './renderers/DigitalClockRenderer.js';
 import { GardeClockRenderer } from './renderers/GardeClockRenderer.js';
 import { InsaClockRenderer } from './renderers/InsaClockRenderer.js';
 
+/** Seats whose face is turned sideways in the table layout */
+const VERTICAL_SEATS = [Player.LEFT, Player.RIGHT];
+
 export class ClockDisplay {
   /**
    * @param {HTMLElement} containerEl - Main container element
@@ -17,28 +22,36 @@ export class ClockDisplay {
   constructor(containerEl) {
     this._container = containerEl;
 
-    /** @type {HTMLElement} */
-    this._leftClockEl = null;
-    /** @type {HTMLElement} */
-    this._rightClockEl = null;
+    /** @type {Array<string>} Seats shown, in turn order */
+    this._sides = [Player.LEFT, Player.RIGHT];
+
+    /** @type {Object<string, number>|null} Team per seat (bughouse layout) */
+    this._teams = null;
+
+    /** @type {Object<string, HTMLElement>} Clock face container per seat */
+    this._faces = {};
 
-    /** @type {import('./renderers/ClockRenderer.js').ClockRenderer} */
-    this._leftRenderer = null;
-    /** @type {import('./renderers/ClockRenderer.js').ClockRenderer} */
-    this._rightRenderer = null;
+    /** @type {Object<string, import('./renderers/ClockRenderer.js').ClockRenderer>} */
+    this._renderers = {};
 
     /** @type {string} */
     this._rendererType = ClockFaceStyle.DIGITAL;
 
     // Auto-size state (digital only)
     this._resizeObserver = null;
-    this._leftDims = { w: 0, h: 0 };
-    this._rightDims = { w: 0, h: 0 };
+    /** @type {Map<HTMLElement, { w: number, h: number }>} */
+    this._dims = new Map();
     this._fontSizeCache = new Map();
 
     // Dirty-checking cache for container-level state
     this._prev = {};
 
+    /** @type {Object<string, { drawOdds: HTMLElement, berserk: HTMLButtonElement }>} */
+    this._overlays = {};
+    for (const side of Object.values(Player)) {
+      this._overlays[side] = this._createFaceOverlays(side);
+    }
+
     this._build();
   }
 
@@ -49,20 +62,53 @@ export class ClockDisplay {
     this._container.innerHTML = '';
     this._container.classList.add('clock-container');
 
-    // Create clock face containers
-    this._leftClockEl = this._createClockFaceContainer('left');
-    this._rightClockEl = this._createClockFaceContainer('right');
+    // Table layout for 3-4 players, grid of two boards for bughouse
+    const bughouse = this._teams !== null;
+    const table = !bughouse && this._sides.length > 2;
+    this._container.classList.toggle('bughouse-layout', bughouse);
+    this._container.classList.toggle('table-layout', table);
+    this._container.classList.toggle('table-3', table && this._sides.length === 3);
+    this._container.classList.toggle('table-4', table && this._sides.length === 4);
+
+    // Create clock face containers, renderers and their interiors
+    this._faces = {};
+    this._renderers = {};
+    for (const side of this._sides) {
+      const clockEl = this._createClockFaceContainer(side);
+      clockEl.classList.toggle('seat-vertical', table && VERTICAL_SEATS.includes(side));
+      if (bughouse) clockEl.classList.add(`team-${this._teams[side]}`);
+      this._container.appendChild(clockEl);
+      this._faces[side] = clockEl;
+
+      this._renderers[side] = this._createRenderer(this._rendererType);
+      this._renderers[side].build(clockEl, side);
+    }
+    this._appendFaceOverlays();
 
-    this._container.appendChild(this._leftClockEl);
-    this._container.appendChild(this._rightClockEl);
+    this._initAutoSize();
+  }
 
-    // Create renderers and build interiors
-    this._leftRenderer = this._createRenderer(this._rendererType);
-    this._rightRenderer = this._createRenderer(this._rendererType);
-    this._leftRenderer.build(this._leftClockEl, 'left');
-    this._rightRenderer.build(this._rightClockEl, 'right');
+  /**
+   * Show the given seats (2 = left/right, 3-4 = table layout, or the bughouse
+   * grid when teams are given). Rebuilds the faces when the seats change;
+   * callers must re-bind the face elements.
+   * @param {Array<string>} sides - Seats in turn order
+   * @param {Object<string, number>} [teams] - Team per seat (bughouse)
+   * @returns {boolean} Whether the faces were rebuilt
+   */
+  setSeats(sides, teams = null) {
+    const same = sides.length === this._sides.length && sides.every((side) => this._sides.includes(side));
+    if (same && (teams !== null) === (this._teams !== null)) return false;
 
-    this._initAutoSize();
+    this.destroy();
+    this._sides = [...sides];
+    this._teams = teams ? { ...teams } : null;
+    this._prev = {};
+    this._dims.clear();
+    this._fontSizeCache.clear();
+    this._build();
+    this._resyncSizes();
+    return true;
   }
 
   /**
@@ -80,6 +126,37 @@ export class ClockDisplay {
     return clock;
   }
 
+  /**
+   * Create the renderer-independent elements of one face: the "Black has
+   * draw odds" marker (Armageddon) and the berserk button (arena).
+   * @param {string} side
+   * @returns {{ drawOdds: HTMLElement, berserk: HTMLButtonElement }}
+   */
+  _createFaceOverlays(side) {
+    const drawOdds = document.createElement('div');
+    drawOdds.className = 'clock-draw-odds hidden';
+    drawOdds.textContent = 'Black has draw odds';
+
+    const berserk = document.createElement('button');
+    berserk.className = 'clock-berserk hidden';
+    berserk.textContent = '\u2694'; // Crossed swords
+    berserk.setAttribute('aria-label', `Berserk ${side} player`);
+
+    return { drawOdds, berserk };
+  }
+
+  /**
+   * Append the overlays to the faces. The same elements are re-appended
+   * after each renderer build, so their bindings survive style switches.
+   */
+  _appendFaceOverlays() {
+    for (const side of this._sides) {
+      if (!this._overlays[side]) this._overlays[side] = this._createFaceOverlays(side);
+      this._faces[side].appendChild(this._overlays[side].drawOdds);
+      this._faces[side].appendChild(this._overlays[side].berserk);
+    }
+  }
+
   /**
    * Create a renderer instance by style ID.
    * @param {string} styleId - ClockFaceStyle value
@@ -105,35 +182,42 @@ export class ClockDisplay {
     if (styleId === this._rendererType) return;
     this._rendererType = styleId;
 
-    // Destroy current renderers
-    if (this._leftRenderer) this._leftRenderer.destroy();
-    if (this._rightRenderer) this._rightRenderer.destroy();
-
-    // Clear clock face interiors (keep the containers)
-    this._leftClockEl.innerHTML = '';
-    this._rightClockEl.innerHTML = '';
+    // Destroy current renderers and clear the face interiors (keep the containers)
+    for (const side of this._sides) {
+      this._renderers[side].destroy();
+      this._faces[side].innerHTML = '';
+    }
 
     // Reset dirty-check caches
     this._prev = {};
     this._fontSizeCache.clear();
 
     // Create new renderers
-    this._leftRenderer = this._createRenderer(styleId);
-    this._rightRenderer = this._createRenderer(styleId);
-    this._leftRenderer.build(this._leftClockEl, 'left');
-    this._rightRenderer.build(this._rightClockEl, 'right');
+    for (const side of this._sides) {
+      this._renderers[side] = this._createRenderer(styleId);
+      this._renderers[side].build(this._faces[side], side);
+    }
+    this._appendFaceOverlays();
 
     // Toggle container class for analog vs digital styling
     const isAnalog = styleId !== ClockFaceStyle.DIGITAL;
     this._container.classList.toggle('analog-mode', isAnalog);
 
-    // Re-sync sizing
+    this._resyncSizes();
+  }
+
+  /**
+   * Re-sync sizing on the next frame after a rebuild.
+   */
+  _resyncSizes() {
     if (this._isDigital()) {
       requestAnimationFrame(() => this._syncFontSizes());
     } else {
       requestAnimationFrame(() => {
-        this._leftRenderer.onResize(this._leftClockEl.clientWidth, this._leftClockEl.clientHeight);
-        this._rightRenderer.onResize(this._rightClockEl.clientWidth, this._rightClockEl.clientHeight);
+        for (const side of this._sides) {
+          const clockEl = this._faces[side];
+          this._renderers[side].onResize(clockEl.clientWidth, clockEl.clientHeight);
+        }
       });
     }
   }
@@ -155,24 +239,26 @@ export class ClockDisplay {
         const el = entry.target;
         const w = el.clientWidth;
         const h = el.clientHeight;
-        const dims = el === this._leftClockEl ? this._leftDims : this._rightDims;
-        if (w === dims.w && h === dims.h) continue;
-        dims.w = w;
-        dims.h = h;
+        const dims = this._dims.get(el);
+        if (dims && w === dims.w && h === dims.h) continue;
+        this._dims.set(el, { w, h });
         changed = true;
       }
       if (changed) {
         if (this._isDigital()) {
           this._syncFontSizes();
         } else {
-          this._leftRenderer.onResize(this._leftDims.w, this._leftDims.h);
-          this._rightRenderer.onResize(this._rightDims.w, this._rightDims.h);
+          for (const side of this._sides) {
+            const dims = this._dims.get(this._faces[side]) || { w: 0, h: 0 };
+            this._renderers[side].onResize(dims.w, dims.h);
+          }
         }
       }
     });
 
-    this._resizeObserver.observe(this._leftClockEl);
-    this._resizeObserver.observe(this._rightClockEl);
+    for (const side of this._sides) {
+      this._resizeObserver.observe(this._faces[side]);
+    }
 
     requestAnimationFrame(() => {
       if (this._isDigital()) {
@@ -183,6 +269,7 @@ export class ClockDisplay {
 
   /**
    * Binary-search for the largest font-size that fits within the container.
+   * Sideways faces (table layout) run their text along the height.
    * @param {HTMLElement} container
    * @param {HTMLElement} textEl
    * @returns {number}
@@ -192,13 +279,14 @@ export class ClockDisplay {
     const containerH = container.clientHeight;
     if (containerW === 0 || containerH === 0) return 0;
 
+    const vertical = container.classList.contains('seat-vertical');
     const textLen = textEl.textContent.length;
-    const cacheKey = `${containerW},${containerH},${textLen}`;
+    const cacheKey = `${containerW},${containerH},${textLen},${vertical}`;
     const cached = this._fontSizeCache.get(cacheKey);
     if (cached !== undefined) return cached;
 
-    const maxW = containerW * 0.9;
-    const maxH = containerH * 0.5;
+    const maxW = containerW * (vertical ? 0.5 : 0.9);
+    const maxH = containerH * (vertical ? 0.9 : 0.5);
 
     let lo = 16;
     let hi = 500;
@@ -230,22 +318,19 @@ export class ClockDisplay {
   }
 
   /**
-   * Compute optimal font sizes for both sides and apply the minimum.
+   * Compute optimal font sizes for all faces and apply the minimum.
    */
   _syncFontSizes() {
     if (!this._isDigital()) return;
 
-    const leftTimeEl = this._leftRenderer.getTimeElement();
-    const rightTimeEl = this._rightRenderer.getTimeElement();
-    if (!leftTimeEl || !rightTimeEl) return;
+    const timeEls = this._sides.map((side) => this._renderers[side].getTimeElement());
+    if (timeEls.some((el) => !el)) return;
 
-    const leftSize = this._computeFitSize(this._leftClockEl, leftTimeEl);
-    const rightSize = this._computeFitSize(this._rightClockEl, rightTimeEl);
-    if (leftSize === 0 || rightSize === 0) return;
+    const sizes = this._sides.map((side, i) => this._computeFitSize(this._faces[side], timeEls[i]));
+    if (sizes.some((size) => size === 0)) return;
 
-    const size = Math.min(leftSize, rightSize);
-    this._applyFontSize(this._leftClockEl, leftTimeEl, size);
-    this._applyFontSize(this._rightClockEl, rightTimeEl, size);
+    const size = Math.min(...sizes);
+    this._sides.forEach((side, i) => this._applyFontSize(this._faces[side], timeEls[i], size));
   }
 
   /**
@@ -257,77 +342,110 @@ export class ClockDisplay {
 
   /**
    * Get the flag elements for the FlagIndicator.
-   * @returns {{ left: HTMLElement, right: HTMLElement }}
+   * @returns {Object<string, HTMLElement|null>} Flag element per seat
    */
   getFlagElements() {
-    if (this._isDigital()) {
-      return {
-        left: this._leftRenderer.getFlagElement(),
-        right: this._rightRenderer.getFlagElement(),
-      };
+    const flags = {};
+    for (const side of this._sides) {
+      flags[side] = this._isDigital() ? this._renderers[side].getFlagElement() : null;
     }
-    return { left: null, right: null };
+    return flags;
   }
 
   /**
    * Get clock face elements (for click/touch binding).
-   * @returns {{ left: HTMLElement, right: HTMLElement }}
+   * @returns {Object<string, HTMLElement>} Face element per seat
    */
   getClockFaces() {
-    return {
-      left: this._leftClockEl,
-      right: this._rightClockEl,
-    };
+    return { ...this._faces };
   }
 
   /**
-   * Update the display for both players.
-   * @param {object} state - Full state from app._updateDisplay()
+   * Update the display for all players.
+   * @param {object} state - Full state from app._updateDisplay(), with
+   *   per-seat fields prefixed by the seat (leftTimeMs, topTimeMs, ...)
    */
   update(state) {
-    const leftActive = state.activePlayer === Player.LEFT && state.gameStatus === GameStatus.RUNNING;
-    const rightActive = state.activePlayer === Player.RIGHT && state.gameStatus === GameStatus.RUNNING;
-    const leftPaused = state.gameStatus === GameStatus.PAUSED && state.activePlayer === Player.LEFT;
-    const rightPaused = state.gameStatus === GameStatus.PAUSED && state.activePlayer === Player.RIGHT;
-    const leftFrozen = state.gameStatus === GameStatus.FROZEN && state.leftFlagState !== FlagState.NONE;
-    const rightFrozen = state.gameStatus === GameStatus.FROZEN && state.rightFlagState !== FlagState.NONE;
-
-    const leftState = {
-      timeMs: state.leftTimeMs,
-      isActive: leftActive,
-      isPaused: leftPaused,
-      isFrozen: leftFrozen,
-      color: state.leftColor,
-      flagState: state.leftFlagState,
-      moves: state.leftMoves,
-      showMoves: state.showMoves,
-      byoMoments: state.leftByoMoments,
-      method: state.leftMethod,
-      gameStatus: state.gameStatus,
-    };
+    if (state.drawOddsSide !== this._prev.drawOddsSide) {
+      for (const side of this._sides) {
+        this._overlays[side].drawOdds.classList.toggle('hidden', state.drawOddsSide !== side);
+      }
+      this._prev.drawOddsSide = state.drawOddsSide;
+    }
+
+    let needSync = false;
+    for (const side of this._sides) {
+      this._updateBerserk(side, !!state[`${side}Berserk`], !!state[`${side}CanBerserk`]);
+
+      const result = this._renderers[side].update(this._getSideState(state, side));
+      if (result && result.needSync) needSync = true;
+    }
+
+    // For digital renderers, sync font sizes if text length changed
+    if (this._isDigital() && needSync) this._syncFontSizes();
+  }
 
-    const rightState = {
-      timeMs: state.rightTimeMs,
-      isActive: rightActive,
-      isPaused: rightPaused,
-      isFrozen: rightFrozen,
-      color: state.rightColor,
-      flagState: state.rightFlagState,
-      moves: state.rightMoves,
+  /**
+   * Extract the per-side renderer state of one seat.
+   * @param {object} state - Full state from app._updateDisplay()
+   * @param {string} side
+   * @returns {object}
+   */
+  _getSideState(state, side) {
+    const field = (name) => state[`${side}${name}`];
+    const flagState = field('FlagState');
+    // Bughouse has a running clock on each board
+    const onMove = state.activeSides ? state.activeSides.includes(side) : state.activePlayer === side;
+
+    return {
+      timeMs: field('TimeMs'),
+      isActive: onMove && state.gameStatus === GameStatus.RUNNING,
+      isPaused: state.gameStatus === GameStatus.PAUSED && onMove,
+      isFrozen: state.gameStatus === GameStatus.FROZEN && flagState !== FlagState.NONE,
+      color: field('Color'),
+      flagState,
+      moves: field('Moves'),
       showMoves: state.showMoves,
-      byoMoments: state.rightByoMoments,
-      method: state.rightMethod,
+      byoMoments: field('ByoMoments'),
+      byoMoveGroup: field('ByoMoveGroup'),
+      moveElapsedMs: field('MoveElapsedMs'),
+      penaltyPoints: field('PenaltyPoints'),
+      moveLimitMs: field('MoveLimitMs'),
+      method: field('Method'),
       gameStatus: state.gameStatus,
     };
+  }
 
-    const leftResult = this._leftRenderer.update(leftState);
-    const rightResult = this._rightRenderer.update(rightState);
+  /**
+   * Update a berserk button: shown while it can be toggled, and kept as a
+   * marker once the player went berserk.
+   * @param {string} side
+   * @param {boolean} berserk - Whether the player went berserk
+   * @param {boolean} canToggle - Whether berserk can still be toggled
+   */
+  _updateBerserk(side, berserk, canToggle) {
+    const key = `${side}Berserk`;
+    const value = `${berserk}:${canToggle}`;
+    if (this._prev[key] === value) return;
+    this._prev[key] = value;
+
+    const btn = this._overlays[side].berserk;
+    btn.classList.toggle('hidden', !berserk && !canToggle);
+    btn.classList.toggle('active', berserk);
+    btn.disabled = !canToggle;
+    btn.title = berserk ? 'Berserk (half time, no increment)' : 'Go berserk';
+  }
 
-    // For digital renderers, sync font sizes if text length changed
-    if (this._isDigital()) {
-      const needSync = (leftResult && leftResult.needSync) || (rightResult && rightResult.needSync);
-      if (needSync) this._syncFontSizes();
+  /**
+   * Get the berserk buttons of all seats (for input binding).
+   * @returns {Object<string, HTMLButtonElement>}
+   */
+  getBerserkButtons() {
+    const buttons = {};
+    for (const side of Object.values(Player)) {
+      buttons[side] = this._overlays[side].berserk;
     }
+    return buttons;
   }
 
   /**
@@ -338,7 +456,8 @@ export class ClockDisplay {
       this._resizeObserver.disconnect();
       this._resizeObserver = null;
     }
-    if (this._leftRenderer) this._leftRenderer.destroy();
-    if (this._rightRenderer) this._rightRenderer.destroy();
+    for (const side of this._sides) {
+      if (this._renderers[side]) this._renderers[side].destroy();
+    }
   }
 }
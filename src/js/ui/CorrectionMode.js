@@ -6,6 +6,8 @@
  * - Move counts
  * - Period numbers
  * - Color swap (by changing right side moves independently)
+ * - Arbiter actions supplied by the app (e.g. Canadian byo-yomi reload,
+ *   adding an increment), optionally with a value to choose
  *
  * Navigation with arrow keys/buttons, adjustment with +/-.
  */
@@ -43,6 +45,8 @@ export class CorrectionMode {
     this._onSave = null;
     this._onCancel = null;
     this._active = false;
+    /** @type {Array<{ label: string, onSelect: Function, choices?: Array<{ label: string, value: * }> }>} */
+    this._actions = [];
   }
 
   /**
@@ -55,6 +59,8 @@ export class CorrectionMode {
    * @param {number} state.leftPeriod
    * @param {number} state.rightPeriod
    * @param {number} state.totalPeriods
+   * @param {Array<{ label: string, onSelect: Function, choices?: Array<{ label: string, value: * }> }>} [state.actions] -
+   *   Arbiter actions (each exits correction mode); with choices, onSelect gets the chosen value
    * @param {Function} onSave - (correctedValues) => void
    * @param {Function} onCancel - () => void
    */
@@ -62,6 +68,7 @@ export class CorrectionMode {
     this._onSave = onSave;
     this._onCancel = onCancel;
     this._active = true;
+    this._actions = state.actions || [];
 
     // Parse current times into hours/min/sec
     const leftTime = this._msToComponents(state.leftTimeMs);
@@ -356,6 +363,38 @@ export class CorrectionMode {
     controls.appendChild(nextBtn);
     container.appendChild(controls);
 
+    // Arbiter actions
+    if (this._actions.length > 0) {
+      const actions = document.createElement('div');
+      actions.className = 'correction-buttons correction-actions';
+      for (const action of this._actions) {
+        let select = null;
+        if (action.choices) {
+          select = document.createElement('select');
+          select.className = 'form-input correction-choice';
+          select.setAttribute('aria-label', `${action.label} value`);
+          action.choices.forEach((choice, i) => {
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = choice.label;
+            select.appendChild(option);
+          });
+          actions.appendChild(select);
+        }
+
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'btn btn-secondary';
+        actionBtn.textContent = action.label;
+        actionBtn.addEventListener('click', () => {
+          const value = select ? action.choices[parseInt(select.value, 10)].value : undefined;
+          this.exit();
+          action.onSelect(value);
+        });
+        actions.appendChild(actionBtn);
+      }
+      container.appendChild(actions);
+    }
+
     // Buttons
     const buttons = document.createElement('div');
     buttons.className = 'correction-buttons';
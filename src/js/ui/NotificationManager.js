@@ -0,0 +1,76 @@
+/**
+ * NotificationManager - System notifications for clock events
+ *
+ * While the page is hidden a beep may go unheard (or the browser may not
+ * play it at all), so flags and low-time warnings are also shown as system
+ * notifications. They go through the service worker registration where
+ * there is one (required on mobile), otherwise through the Notification
+ * constructor.
+ */
+
+export class NotificationManager {
+  constructor() {
+    /** @type {boolean} */
+    this._enabled = false;
+  }
+
+  /**
+   * Check if the Notification API is available.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+  }
+
+  /**
+   * Ask for permission to show notifications.
+   * Must be called from a user gesture handler.
+   * @returns {Promise<boolean>} true if granted
+   */
+  static async requestPermission() {
+    if (!NotificationManager.isSupported()) return false;
+    if (Notification.permission === 'granted') return true;
+    try {
+      return (await Notification.requestPermission()) === 'granted';
+    } catch (e) {
+      console.warn('Notification permission request failed:', e);
+      return false;
+    }
+  }
+
+  /**
+   * Enable or disable notifications.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this._enabled = enabled;
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this._enabled;
+  }
+
+  /**
+   * Show a notification if enabled, permitted and the page is hidden.
+   * @param {string} body
+   */
+  async notify(body) {
+    if (!this._enabled || !NotificationManager.isSupported()) return;
+    if (Notification.permission !== 'granted' || document.visibilityState !== 'hidden') return;
+
+    const options = { body, tag: 'tempomate-clock', renotify: true, vibrate: [200, 100, 200] };
+    try {
+      const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+      if (registration) {
+        await registration.showNotification('TempoMate', options);
+      } else {
+        new Notification('TempoMate', options);
+      }
+    } catch (e) {
+      console.warn('Failed to show notification:', e);
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * ResumePrompt - Offer to resume a game saved before a reload or crash
+ *
+ * Shows the option, when the game was saved and both players' times,
+ * with a choice between resuming it and starting a new game.
+ */
+
+import { formatTimeFull, formatDateTime } from '../utils/TimeFormatter.js';
+import { GameStatus } from '../utils/constants.js';
+
+export class ResumePrompt {
+  /**
+   * @param {HTMLElement} overlayEl - Overlay container for the prompt
+   */
+  constructor(overlayEl) {
+    this._overlay = overlayEl;
+    this._active = false;
+  }
+
+  /**
+   * Show the prompt for a saved game.
+   * @param {object} saved - As stored by StorageManager.saveGame
+   * @param {Function} onResume - Called when the player resumes the game
+   * @param {Function} onDecline - Called when the player starts a new game instead
+   */
+  show(saved, onResume, onDecline) {
+    this._active = true;
+    this._render(saved, onResume, onDecline);
+    this._overlay.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the prompt.
+   */
+  hide() {
+    this._active = false;
+    this._overlay.classList.add('hidden');
+    this._overlay.innerHTML = '';
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isActive() {
+    return this._active;
+  }
+
+  /**
+   * Build the prompt DOM.
+   * @param {object} saved
+   * @param {Function} onResume
+   * @param {Function} onDecline
+   */
+  _render(saved, onResume, onDecline) {
+    const { game } = saved;
+    this._overlay.innerHTML = '';
+
+    const container = document.createElement('div');
+    container.className = 'correction-container';
+
+    const title = document.createElement('h3');
+    title.className = 'correction-title';
+    title.textContent = 'Resume Game?';
+    container.appendChild(title);
+
+    const grid = document.createElement('div');
+    grid.className = 'correction-grid';
+    const rows = [
+      ['Option', String(game.selectedOption)],
+      ['Saved', formatDateTime(saved.savedAt) + (game.status === GameStatus.RUNNING ? ' (running)' : '')],
+    ];
+    for (const side of Object.keys(game.players)) {
+      const player = game.players[side];
+      rows.push([side.charAt(0).toUpperCase() + side.slice(1), `${formatTimeFull(player.timeMs)} · ${player.moves} moves`]);
+    }
+    for (const [label, value] of rows) {
+      const labelEl = document.createElement('div');
+      labelEl.className = 'correction-label';
+      labelEl.textContent = label;
+      grid.appendChild(labelEl);
+
+      const valueEl = document.createElement('div');
+      valueEl.className = 'resume-value';
+      valueEl.textContent = value;
+      grid.appendChild(valueEl);
+    }
+    container.appendChild(grid);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'correction-buttons';
+
+    const newBtn = document.createElement('button');
+    newBtn.className = 'btn btn-secondary';
+    newBtn.textContent = 'New Game';
+    newBtn.addEventListener('click', () => {
+      this.hide();
+      onDecline();
+    });
+
+    const resumeBtn = document.createElement('button');
+    resumeBtn.className = 'btn btn-primary';
+    resumeBtn.textContent = 'Resume';
+    resumeBtn.addEventListener('click', () => {
+      this.hide();
+      onResume();
+    });
+
+    buttons.appendChild(newBtn);
+    buttons.appendChild(resumeBtn);
+    container.appendChild(buttons);
+
+    const help = document.createElement('div');
+    help.className = 'correction-help';
+    help.textContent = game.status === GameStatus.RUNNING
+      ? 'The clock was running: the time since it was saved is charged to the player to move.'
+      : 'The clock was stopped and resumes paused.';
+    container.appendChild(help);
+
+    this._overlay.appendChild(container);
+  }
+}
@@ -6,28 +6,42 @@
  * - Custom option editor (options 26-30)
  * - Per-period configuration with method selection
  * - Asymmetric time support
+ * - Armageddon time-bid auction
+ * - Rating-based time-odds calculator
  */
 
-import { presets, getPreset } from '../presets/presets.js';
+import { presets, getPreset, withMoveLimit, createArmageddonConfig, validateArmageddonBid, createHandicapConfig } from '../presets/presets.js';
 import { StorageManager } from '../storage/StorageManager.js';
-import { TimingMethodType, Limits, CLOCK_FONTS, CLOCK_FACE_STYLES, ClockFaceStyle, MotionConfig } from '../utils/constants.js';
+import { TimingMethodType, Limits, CLOCK_FONTS, CLOCK_FACE_STYLES, ClockFaceStyle, MotionConfig, DEFAULT_TURN_ORDERS, CorrespondenceEvent } from '../utils/constants.js';
 import { MotionSensor } from '../input/MotionSensor.js';
-import { formatTimeShort } from '../utils/TimeFormatter.js';
+import { NotificationManager } from './NotificationManager.js';
+import { CorrespondenceGame } from '../engine/CorrespondenceGame.js';
+import { formatTimeShort, formatDays, formatDateTime } from '../utils/TimeFormatter.js';
 
 const METHOD_NAMES = {
   [TimingMethodType.TIME]: 'Time (Sudden Death)',
   [TimingMethodType.FISCHER]: 'Fischer Bonus',
   [TimingMethodType.US_DELAY]: 'US Delay',
   [TimingMethodType.DELAY]: 'Bronstein Delay',
+  [TimingMethodType.DELAY_INCREMENT]: 'Delay + Increment',
   [TimingMethodType.BYO_YOMI]: 'Byo-yomi (Japanese)',
   [TimingMethodType.CANADIAN_BYO]: 'Canadian Byo-yomi',
+  [TimingMethodType.JP_ROUNDING]: 'Minute Rounding (Japanese pro)',
   [TimingMethodType.UPCOUNT]: 'Upcount (Scrabble)',
+  [TimingMethodType.HOURGLASS]: 'Hourglass',
   [TimingMethodType.END]: '-- End --',
 };
 
 /** Methods that can only be the last period */
 const LAST_PERIOD_ONLY = [TimingMethodType.BYO_YOMI, TimingMethodType.CANADIAN_BYO, TimingMethodType.UPCOUNT];
 
+/** Boards offered when switching an option to a simul */
+const DEFAULT_SIMUL_BOARDS = 10;
+
+/** Round and break lengths offered when switching a round schedule on (chess-boxing) */
+const DEFAULT_ROUND_MS = 240000;
+const DEFAULT_BREAK_MS = 60000;
+
 export class SettingsPanel {
   /**
    * @param {HTMLElement} containerEl - Settings panel container
@@ -39,9 +53,32 @@ export class SettingsPanel {
     this._onClockFaceChange = null;
     this._onMotionEnabledChange = null;
     this._onMotionThresholdChange = null;
-    this._currentView = 'presets'; // 'presets' | 'custom-list' | 'custom-edit'
+    this._onNotificationsChange = null;
+    this._currentView = 'presets'; // 'presets' | 'custom-list' | 'custom-edit' | 'armageddon' | 'handicap' | 'correspondence' | 'correspondence-game'
     this._editingSlot = -1;
     this._editingConfig = null;
+    /** @type {object|null} Armageddon auction in progress */
+    this._armageddon = null;
+    /** @type {object} Time-odds calculator inputs (kept while the panel is open) */
+    this._handicap = {
+      leftRating: 1500,
+      rightRating: 1500,
+      presetId: 1,
+      ratioPercent: 10,
+      minTimeMs: 60000,
+      slot: 0,
+    };
+    /** @type {object} New correspondence game inputs (kept while the panel is open) */
+    this._correspondenceSetup = {
+      name: '',
+      whiteName: '',
+      blackName: '',
+      daysPerMove: 3,
+      maxDays: 30,
+      vacationDays: 0,
+    };
+    /** @type {string|null} Correspondence game shown in the game view */
+    this._correspondenceId = null;
   }
 
   /**
@@ -51,13 +88,15 @@ export class SettingsPanel {
    * @param {Function} [onClockFaceChange] - (styleId) => void
    * @param {Function} [onMotionEnabledChange] - (enabled) => void
    * @param {Function} [onMotionThresholdChange] - (degrees) => void
+   * @param {Function} [onNotificationsChange] - (enabled) => void
    */
-  setCallbacks(onSelect, onClose, onClockFaceChange, onMotionEnabledChange, onMotionThresholdChange) {
+  setCallbacks(onSelect, onClose, onClockFaceChange, onMotionEnabledChange, onMotionThresholdChange, onNotificationsChange) {
     this._onSelect = onSelect;
     this._onClose = onClose;
     this._onClockFaceChange = onClockFaceChange || null;
     this._onMotionEnabledChange = onMotionEnabledChange || null;
     this._onMotionThresholdChange = onMotionThresholdChange || null;
+    this._onNotificationsChange = onNotificationsChange || null;
   }
 
   /**
@@ -99,6 +138,18 @@ export class SettingsPanel {
       case 'custom-edit':
         this._renderCustomEdit();
         break;
+      case 'armageddon':
+        this._renderArmageddon();
+        break;
+      case 'handicap':
+        this._renderHandicap();
+        break;
+      case 'correspondence':
+        this._renderCorrespondence();
+        break;
+      case 'correspondence-game':
+        this._renderCorrespondenceGame();
+        break;
     }
   }
 
@@ -254,22 +305,44 @@ export class SettingsPanel {
       panel.appendChild(motionGroup);
     }
 
+    // System notifications while the page is hidden
+    if (NotificationManager.isSupported()) {
+      const notifyGroup = document.createElement('div');
+      notifyGroup.className = 'settings-notify-group';
+
+      const notifyLabel = document.createElement('label');
+      notifyLabel.className = 'form-label';
+      const notifyCheck = document.createElement('input');
+      notifyCheck.type = 'checkbox';
+      notifyCheck.checked = StorageManager.loadNotificationsEnabled();
+      notifyLabel.appendChild(notifyCheck);
+      notifyLabel.appendChild(document.createTextNode(' Notify when the clock is in the background'));
+      notifyGroup.appendChild(notifyLabel);
+
+      notifyCheck.addEventListener('change', async () => {
+        if (notifyCheck.checked && !(await NotificationManager.requestPermission())) {
+          notifyCheck.checked = false;
+        }
+        if (this._onNotificationsChange) {
+          this._onNotificationsChange(notifyCheck.checked);
+        }
+      });
+
+      panel.appendChild(notifyGroup);
+    }
+
     // Tabs
-    const tabs = document.createElement('div');
-    tabs.className = 'settings-tabs';
-    const presetTab = document.createElement('button');
-    presetTab.className = 'settings-tab active';
-    presetTab.textContent = 'Presets';
-    const customTab = document.createElement('button');
-    customTab.className = 'settings-tab';
-    customTab.textContent = 'Custom';
-    customTab.addEventListener('click', () => {
-      this._currentView = 'custom-list';
-      this._render();
-    });
-    tabs.appendChild(presetTab);
-    tabs.appendChild(customTab);
-    panel.appendChild(tabs);
+    panel.appendChild(this._createTabs('presets'));
+
+    // Per-move limit added to a preset when it is picked
+    const moveLimitGroup = document.createElement('div');
+    moveLimitGroup.className = 'settings-font-group';
+    moveLimitGroup.appendChild(this._createTimeInput(
+      StorageManager.loadPresetMoveLimit(),
+      (newMs) => StorageManager.savePresetMoveLimit(newMs),
+      'Limit per move for presets (0 = none)',
+    ));
+    panel.appendChild(moveLimitGroup);
 
     // Preset grid
     const grid = document.createElement('div');
@@ -303,7 +376,7 @@ export class SettingsPanel {
 
       card.addEventListener('click', () => {
         if (this._onSelect) {
-          this._onSelect(preset, preset.id);
+          this._onSelect(withMoveLimit(preset, StorageManager.loadPresetMoveLimit()), preset.id);
         }
         this.hide();
       });
@@ -315,6 +388,683 @@ export class SettingsPanel {
     this._container.appendChild(panel);
   }
 
+  /**
+   * Create the view tabs (Presets / Custom / Armageddon / Handicap / Correspondence).
+   * @param {string} activeView - View of the current tab
+   * @returns {HTMLElement}
+   */
+  _createTabs(activeView) {
+    const tabs = document.createElement('div');
+    tabs.className = 'settings-tabs';
+    const views = [['presets', 'Presets'], ['custom-list', 'Custom'], ['armageddon', 'Armageddon'], ['handicap', 'Handicap'], ['correspondence', 'Correspondence']];
+    for (const [view, label] of views) {
+      const tab = document.createElement('button');
+      tab.className = view === activeView ? 'settings-tab active' : 'settings-tab';
+      tab.textContent = label;
+      if (view !== activeView) {
+        tab.addEventListener('click', () => {
+          if (view === 'armageddon') this._armageddon = null; // Start a fresh auction
+          this._currentView = view;
+          this._render();
+        });
+      }
+      tabs.appendChild(tab);
+    }
+    return tabs;
+  }
+
+  /**
+   * Render the Armageddon time-bid auction: base time setup, a hidden bid
+   * per side (the other player looks away), then the colour assignment.
+   */
+  _renderArmageddon() {
+    if (!this._armageddon) {
+      this._armageddon = { step: 'setup', whiteTimeMs: 300000, incrementMs: 0, bids: { left: 0, right: 0 } };
+    }
+    const auction = this._armageddon;
+
+    this._container.innerHTML = '';
+    const panel = document.createElement('div');
+    panel.className = 'settings-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+    const title = document.createElement('h2');
+    title.textContent = 'Armageddon Bidding';
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn-icon settings-close';
+    closeBtn.textContent = '\u2715';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+
+    panel.appendChild(this._createTabs('armageddon'));
+
+    const form = document.createElement('div');
+    form.className = 'custom-edit-form armageddon-form';
+
+    const hint = document.createElement('p');
+    hint.className = 'armageddon-hint';
+    form.appendChild(hint);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const nextBtn = document.createElement('button');
+    nextBtn.className = 'btn btn-primary';
+
+    const goTo = (step) => {
+      auction.step = step;
+      this._render();
+    };
+
+    if (auction.step === 'setup') {
+      hint.textContent = 'White gets the base time. Each player secretly bids the time they accept as Black; the lower bid plays Black with draw odds.';
+      form.appendChild(this._createTimeInput(auction.whiteTimeMs, (newMs) => { auction.whiteTimeMs = newMs; }, 'Base time (White)'));
+
+      const incGroup = document.createElement('div');
+      incGroup.className = 'form-group';
+      const incLabel = document.createElement('label');
+      incLabel.className = 'form-label';
+      incLabel.textContent = 'Bonus/move (both players)';
+      const incInput = this._createNumberInput(Math.floor(auction.incrementMs / 1000), 0, 300, 'seconds');
+      incInput.addEventListener('input', (e) => {
+        auction.incrementMs = (parseInt(e.target.value, 10) || 0) * 1000;
+      });
+      const incSec = document.createElement('span');
+      incSec.textContent = ' sec';
+      incGroup.appendChild(incLabel);
+      incGroup.appendChild(incInput);
+      incGroup.appendChild(incSec);
+      form.appendChild(incGroup);
+
+      nextBtn.textContent = 'Start bidding';
+      nextBtn.addEventListener('click', () => {
+        if (auction.whiteTimeMs > 0) goTo('left');
+      });
+    } else if (auction.step === 'left' || auction.step === 'right') {
+      const side = auction.step;
+      const other = side === 'left' ? 'right' : 'left';
+      hint.textContent = `${side === 'left' ? 'Left' : 'Right'} player: enter your bid (max ${formatTimeShort(auction.whiteTimeMs)}). ${other === 'left' ? 'Left' : 'Right'} player, please look away.`;
+
+      // Hidden entry: digits are masked while typing
+      auction.bids[side] = 0;
+      const bidInput = this._createTimeInput(0, (newMs) => { auction.bids[side] = newMs; }, 'Your bid as Black');
+      bidInput.querySelectorAll('input').forEach((input) => {
+        input.type = 'password';
+        input.inputMode = 'numeric';
+        input.value = '';
+      });
+      form.appendChild(bidInput);
+
+      const errorEl = document.createElement('div');
+      errorEl.className = 'form-error hidden';
+      errorEl.setAttribute('role', 'alert');
+      form.appendChild(errorEl);
+
+      nextBtn.textContent = side === 'left' ? 'Hide bid, next player' : 'Hide bid, reveal';
+      nextBtn.addEventListener('click', () => {
+        const error = validateArmageddonBid(auction.bids[side], auction.whiteTimeMs);
+        errorEl.textContent = error || '';
+        errorEl.classList.toggle('hidden', !error);
+        if (!error) goTo(side === 'left' ? 'right' : 'result');
+      });
+    } else {
+      const config = auction.config || createArmageddonConfig({
+        whiteTimeMs: auction.whiteTimeMs,
+        leftBidMs: auction.bids.left,
+        rightBidMs: auction.bids.right,
+        incrementMs: auction.incrementMs,
+      });
+      auction.config = config; // Keep a lot-drawn tie stable across re-renders
+
+      const blackName = config.blackSide === 'left' ? 'Left' : 'Right';
+      const tie = config.bids.left === config.bids.right ? ' (equal bids, drawn by lot)' : '';
+      hint.textContent = `Bids: left ${formatTimeShort(config.bids.left)}, right ${formatTimeShort(config.bids.right)}. ` +
+        `${blackName} player plays Black with ${formatTimeShort(Math.min(config.bids.left, config.bids.right))} and draw odds${tie}.`;
+
+      nextBtn.textContent = 'Use';
+      nextBtn.addEventListener('click', () => {
+        if (this._onSelect) this._onSelect(config, 0);
+        this.hide();
+      });
+    }
+
+    const restartBtn = document.createElement('button');
+    restartBtn.className = 'btn btn-secondary';
+    restartBtn.textContent = 'Restart';
+    restartBtn.addEventListener('click', () => {
+      this._armageddon = null;
+      this._render();
+    });
+
+    buttons.appendChild(restartBtn);
+    buttons.appendChild(nextBtn);
+    form.appendChild(buttons);
+
+    panel.appendChild(form);
+    this._container.appendChild(panel);
+  }
+
+  /**
+   * Render the rating-based time-odds calculator: both ratings and a base
+   * preset produce an asymmetric option to use directly or save to a slot.
+   */
+  _renderHandicap() {
+    const handicap = this._handicap;
+
+    this._container.innerHTML = '';
+    const panel = document.createElement('div');
+    panel.className = 'settings-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+    const title = document.createElement('h2');
+    title.textContent = 'Time Odds by Rating';
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn-icon settings-close';
+    closeBtn.textContent = '\u2715';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+
+    panel.appendChild(this._createTabs('handicap'));
+
+    const form = document.createElement('div');
+    form.className = 'custom-edit-form handicap-form';
+
+    const preview = document.createElement('p');
+    preview.className = 'handicap-preview';
+
+    const build = () => createHandicapConfig({
+      preset: getPreset(handicap.presetId),
+      leftRating: handicap.leftRating,
+      rightRating: handicap.rightRating,
+      ratioPer100: handicap.ratioPercent / 100,
+      minTimeMs: handicap.minTimeMs,
+    });
+    const updatePreview = () => {
+      const config = build();
+      preview.textContent = `Left ${formatTimeShort(config.leftTimeMs)}, right ${formatTimeShort(config.rightTimeMs)}`;
+    };
+
+    const addNumberGroup = (labelText, value, minValue, maxValue, suffix, onChange) => {
+      const group = document.createElement('div');
+      group.className = 'form-group';
+      const label = document.createElement('label');
+      label.className = 'form-label';
+      label.textContent = labelText;
+      const input = this._createNumberInput(value, minValue, maxValue, labelText);
+      input.addEventListener('input', (e) => {
+        onChange(parseInt(e.target.value, 10) || 0);
+        updatePreview();
+      });
+      group.appendChild(label);
+      group.appendChild(input);
+      if (suffix) {
+        const suffixEl = document.createElement('span');
+        suffixEl.textContent = ` ${suffix}`;
+        group.appendChild(suffixEl);
+      }
+      form.appendChild(group);
+    };
+
+    addNumberGroup('Left player rating', handicap.leftRating, 0, 3500, '', (v) => { handicap.leftRating = v; });
+    addNumberGroup('Right player rating', handicap.rightRating, 0, 3500, '', (v) => { handicap.rightRating = v; });
+
+    // Base preset
+    const presetGroup = document.createElement('div');
+    presetGroup.className = 'form-group';
+    const presetLabel = document.createElement('label');
+    presetLabel.className = 'form-label';
+    presetLabel.textContent = 'Base option';
+    const presetSelect = document.createElement('select');
+    presetSelect.className = 'form-input';
+    for (const preset of presets) {
+      const option = document.createElement('option');
+      option.value = String(preset.id);
+      option.textContent = `#${String(preset.id).padStart(2, '0')} ${preset.name}`;
+      option.selected = preset.id === handicap.presetId;
+      presetSelect.appendChild(option);
+    }
+    presetSelect.addEventListener('change', () => {
+      handicap.presetId = parseInt(presetSelect.value, 10);
+      updatePreview();
+    });
+    presetGroup.appendChild(presetLabel);
+    presetGroup.appendChild(presetSelect);
+    form.appendChild(presetGroup);
+
+    // Formula
+    addNumberGroup('Stronger player loses', handicap.ratioPercent, 0, 100, '% per 100 points', (v) => { handicap.ratioPercent = v; });
+    form.appendChild(this._createTimeInput(handicap.minTimeMs, (newMs) => {
+      handicap.minTimeMs = newMs;
+      updatePreview();
+    }, 'Minimum time (stronger player)'));
+
+    updatePreview();
+    form.appendChild(preview);
+
+    // Save to a custom slot
+    const slotGroup = document.createElement('div');
+    slotGroup.className = 'form-group';
+    const slotLabel = document.createElement('label');
+    slotLabel.className = 'form-label';
+    slotLabel.textContent = 'Custom slot';
+    const slotSelect = document.createElement('select');
+    slotSelect.className = 'form-input';
+    const customOptions = StorageManager.loadCustomOptions();
+    for (let i = 0; i < Limits.MAX_MANUAL_OPTIONS; i++) {
+      const option = document.createElement('option');
+      option.value = String(i);
+      const existing = customOptions[i];
+      option.textContent = `#${Limits.MANUAL_OPTION_START + i} - ${existing ? existing.name || 'Custom' : 'Empty'}`;
+      option.selected = i === handicap.slot;
+      slotSelect.appendChild(option);
+    }
+    slotGroup.appendChild(slotLabel);
+    slotGroup.appendChild(slotSelect);
+    form.appendChild(slotGroup);
+
+    // Shown before a slot in use is overwritten
+    const replaceHint = document.createElement('div');
+    replaceHint.className = 'form-error hidden';
+    replaceHint.setAttribute('role', 'alert');
+    form.appendChild(replaceHint);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+
+    const saveBtn = document.createElement('button');
+    saveBtn.className = 'btn btn-secondary';
+    saveBtn.textContent = 'Save to Slot';
+    let confirmedSlot = null;
+    const cancelReplace = () => {
+      confirmedSlot = null;
+      replaceHint.classList.add('hidden');
+      saveBtn.textContent = 'Save to Slot';
+    };
+    slotSelect.addEventListener('change', () => {
+      handicap.slot = parseInt(slotSelect.value, 10);
+      cancelReplace();
+    });
+    saveBtn.addEventListener('click', () => {
+      const existing = customOptions[handicap.slot];
+      if (existing && confirmedSlot !== handicap.slot) {
+        // First press on a slot in use: ask before replacing it
+        confirmedSlot = handicap.slot;
+        replaceHint.textContent = `#${Limits.MANUAL_OPTION_START + handicap.slot} holds "${existing.name || 'Custom'}". Press Replace to overwrite it.`;
+        replaceHint.classList.remove('hidden');
+        saveBtn.textContent = 'Replace';
+        return;
+      }
+      StorageManager.saveCustomOption(handicap.slot, this._toCustomOption(build()));
+      this._currentView = 'custom-list';
+      this._render();
+    });
+
+    const useBtn = document.createElement('button');
+    useBtn.className = 'btn btn-primary';
+    useBtn.textContent = 'Use';
+    useBtn.addEventListener('click', () => {
+      if (this._onSelect) this._onSelect(build(), 0);
+      this.hide();
+    });
+
+    buttons.appendChild(saveBtn);
+    buttons.appendChild(useBtn);
+    form.appendChild(buttons);
+
+    panel.appendChild(form);
+    this._container.appendChild(panel);
+  }
+
+  /**
+   * Load the correspondence games, caught up with the wall clock (vacations
+   * that ran out, flags); changes are saved right away.
+   * @param {number} now
+   * @returns {Array<CorrespondenceGame>}
+   */
+  _loadCorrespondenceGames(now) {
+    const games = StorageManager.loadCorrespondenceGames().map((data) => new CorrespondenceGame(data));
+    let changed = false;
+    for (const game of games) {
+      if (game.update(now)) changed = true;
+    }
+    if (changed) this._saveCorrespondenceGames(games);
+    return games;
+  }
+
+  /**
+   * Save the correspondence games.
+   * @param {Array<CorrespondenceGame>} games
+   */
+  _saveCorrespondenceGames(games) {
+    StorageManager.saveCorrespondenceGames(games.map((game) => game.toJSON()));
+  }
+
+  /**
+   * Describe where a correspondence game stands.
+   * @param {CorrespondenceGame} game
+   * @param {number} now
+   * @returns {string}
+   */
+  _describeCorrespondence(game, now) {
+    const { result } = game;
+    if (result && result.reason === CorrespondenceEvent.FLAG) {
+      return `${game.players[result.loser].name} lost on time (${formatDateTime(result.at)})`;
+    }
+    if (result) return `Ended ${formatDateTime(result.at)}`;
+
+    const player = game.players[game.toMove];
+    const text = `${player.name} to move, ${formatDays(game.getRemainingMs(game.toMove, now))} left`;
+    return game.isOnVacation(game.toMove, now) ? `${text} (on vacation)` : text;
+  }
+
+  /**
+   * Render the correspondence games: the stored games and a form to start one.
+   */
+  _renderCorrespondence() {
+    const setup = this._correspondenceSetup;
+    const now = Date.now();
+    const games = this._loadCorrespondenceGames(now);
+
+    this._container.innerHTML = '';
+    const panel = document.createElement('div');
+    panel.className = 'settings-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+    const title = document.createElement('h2');
+    title.textContent = 'Correspondence Games';
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'btn btn-icon settings-close';
+    closeBtn.textContent = '\u2715';
+    closeBtn.addEventListener('click', () => this.hide());
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+
+    panel.appendChild(this._createTabs('correspondence'));
+
+    // Stored games
+    const list = document.createElement('div');
+    list.className = 'custom-list';
+    for (const game of games) {
+      const item = document.createElement('div');
+      item.className = 'custom-item';
+
+      const info = document.createElement('div');
+      info.className = 'custom-info';
+      const label = document.createElement('span');
+      label.className = 'custom-label';
+      label.textContent = `${game.name}: ${game.players.white.name} - ${game.players.black.name}`;
+      const desc = document.createElement('span');
+      desc.className = 'custom-desc';
+      desc.textContent = this._describeCorrespondence(game, now);
+      info.appendChild(label);
+      info.appendChild(desc);
+
+      const actions = document.createElement('div');
+      actions.className = 'custom-actions';
+      const openBtn = document.createElement('button');
+      openBtn.className = 'btn btn-primary btn-sm';
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => {
+        this._correspondenceId = game.id;
+        this._currentView = 'correspondence-game';
+        this._render();
+      });
+      // Deleting takes a second tap
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-secondary btn-sm';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => {
+        if (deleteBtn.textContent !== 'Sure?') {
+          deleteBtn.textContent = 'Sure?';
+          return;
+        }
+        this._saveCorrespondenceGames(games.filter((g) => g.id !== game.id));
+        this._render();
+      });
+      actions.appendChild(openBtn);
+      actions.appendChild(deleteBtn);
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+    panel.appendChild(list);
+
+    // New game
+    const form = document.createElement('div');
+    form.className = 'custom-edit-form';
+
+    const addTextGroup = (labelText, key) => {
+      const { group, input } = this._createFormGroup(labelText, 'text', setup[key]);
+      input.addEventListener('input', (e) => { setup[key] = e.target.value; });
+      form.appendChild(group);
+    };
+    const addDaysGroup = (labelText, key) => {
+      const { group, input } = this._createFormGroup(labelText, 'number', setup[key]);
+      input.min = key === 'vacationDays' ? 0 : 1;
+      input.max = Limits.MAX_CORRESPONDENCE_DAYS;
+      input.addEventListener('input', (e) => { setup[key] = parseInt(e.target.value, 10) || 0; });
+      form.appendChild(group);
+    };
+
+    addTextGroup('Game name', 'name');
+    addTextGroup('White', 'whiteName');
+    addTextGroup('Black', 'blackName');
+    addDaysGroup('Days per move', 'daysPerMove');
+    addDaysGroup('Maximum bank (days)', 'maxDays');
+    addDaysGroup('Vacation days per player', 'vacationDays');
+
+    const errorEl = document.createElement('div');
+    errorEl.className = 'form-error hidden';
+    errorEl.setAttribute('role', 'alert');
+    form.appendChild(errorEl);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const createBtn = document.createElement('button');
+    createBtn.className = 'btn btn-primary';
+    createBtn.textContent = 'Start Game';
+    createBtn.disabled = games.length >= Limits.MAX_CORRESPONDENCE_GAMES;
+    createBtn.addEventListener('click', () => {
+      let game;
+      try {
+        game = CorrespondenceGame.create(setup, Date.now());
+      } catch (e) {
+        errorEl.textContent = e.message;
+        errorEl.classList.remove('hidden');
+        return;
+      }
+      this._saveCorrespondenceGames([...games, game]);
+      this._correspondenceId = game.id;
+      this._currentView = 'correspondence-game';
+      this._render();
+    });
+    buttons.appendChild(createBtn);
+    form.appendChild(buttons);
+
+    panel.appendChild(form);
+    this._container.appendChild(panel);
+  }
+
+  /**
+   * Render one correspondence game: both banks, vacations, the move button
+   * and the dated history.
+   */
+  _renderCorrespondenceGame() {
+    const now = Date.now();
+    const games = this._loadCorrespondenceGames(now);
+    const game = games.find((g) => g.id === this._correspondenceId);
+    if (!game) {
+      this._currentView = 'correspondence';
+      this._render();
+      return;
+    }
+    // Every action is timed when it is made, then saved and shown again
+    const act = (action) => {
+      action(Date.now());
+      this._saveCorrespondenceGames(games);
+      this._render();
+    };
+
+    this._container.innerHTML = '';
+    const panel = document.createElement('div');
+    panel.className = 'settings-panel';
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'settings-header';
+    const title = document.createElement('h2');
+    title.textContent = game.name;
+    const backBtn = document.createElement('button');
+    backBtn.className = 'btn btn-icon';
+    backBtn.textContent = '\u2190'; // Left arrow
+    backBtn.addEventListener('click', () => {
+      this._currentView = 'correspondence';
+      this._render();
+    });
+    header.appendChild(backBtn);
+    header.appendChild(title);
+    panel.appendChild(header);
+
+    const form = document.createElement('div');
+    form.className = 'custom-edit-form correspondence-game';
+
+    const summary = document.createElement('p');
+    summary.className = 'correspondence-summary';
+    summary.textContent = this._describeCorrespondence(game, now);
+    const deadline = game.getDeadline(now);
+    if (deadline !== null) summary.textContent += `; move by ${formatDateTime(deadline)}`;
+    form.appendChild(summary);
+
+    // Players
+    const list = document.createElement('div');
+    list.className = 'custom-list';
+    for (const color of ['white', 'black']) {
+      const player = game.players[color];
+      const onVacation = game.isOnVacation(color, now);
+
+      const item = document.createElement('div');
+      item.className = 'custom-item';
+      const info = document.createElement('div');
+      info.className = 'custom-info';
+      const label = document.createElement('span');
+      label.className = 'custom-label';
+      label.textContent = `${player.name} (${color === 'white' ? 'White' : 'Black'})`;
+      const desc = document.createElement('span');
+      desc.className = 'custom-desc';
+      desc.textContent = `Time ${formatDays(game.getRemainingMs(color, now))}, vacation ${formatDays(game.getVacationLeftMs(color, now))} left`;
+      info.appendChild(label);
+      info.appendChild(desc);
+
+      const actions = document.createElement('div');
+      actions.className = 'custom-actions';
+      const vacationBtn = document.createElement('button');
+      vacationBtn.className = 'btn btn-secondary btn-sm';
+      vacationBtn.textContent = onVacation ? 'End Vacation' : 'Vacation';
+      vacationBtn.disabled = game.isOver() || (!onVacation && game.getVacationLeftMs(color, now) <= 0);
+      vacationBtn.addEventListener('click', () => act((t) => {
+        if (onVacation) game.endVacation(color, t);
+        else game.startVacation(color, t);
+      }));
+      actions.appendChild(vacationBtn);
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      list.appendChild(item);
+    }
+    form.appendChild(list);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'form-buttons';
+    const moveBtn = document.createElement('button');
+    moveBtn.className = 'btn btn-primary';
+    moveBtn.textContent = `${game.players[game.toMove].name} Moved`;
+    moveBtn.disabled = game.isOver();
+    moveBtn.addEventListener('click', () => act((t) => game.makeMove(t)));
+    const endBtn = document.createElement('button');
+    endBtn.className = 'btn btn-secondary';
+    endBtn.textContent = 'End Game';
+    endBtn.disabled = game.isOver();
+    endBtn.addEventListener('click', () => act((t) => game.end(t)));
+    buttons.appendChild(moveBtn);
+    buttons.appendChild(endBtn);
+    form.appendChild(buttons);
+
+    form.appendChild(this._createCorrespondenceHistory(game));
+
+    panel.appendChild(form);
+    this._container.appendChild(panel);
+  }
+
+  /**
+   * Create the dated history table of a correspondence game (newest first).
+   * @param {CorrespondenceGame} game
+   * @returns {HTMLElement}
+   */
+  _createCorrespondenceHistory(game) {
+    const table = document.createElement('table');
+    table.className = 'correspondence-history';
+    const head = table.insertRow();
+    for (const text of ['Move', 'Player', 'Date', '']) {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    }
+
+    for (const entry of [...game.history].reverse()) {
+      const player = entry.color ? game.players[entry.color].name : '';
+      let move = '';
+      let detail;
+      switch (entry.type) {
+        case CorrespondenceEvent.MOVE:
+          move = entry.color === 'white' ? `${entry.number}.` : `${entry.number}...`;
+          detail = `used ${formatDays(entry.usedMs)}, bank ${formatDays(entry.bankMs)}`;
+          break;
+        case CorrespondenceEvent.VACATION_START:
+          detail = 'vacation started';
+          break;
+        case CorrespondenceEvent.VACATION_END:
+          detail = 'vacation ended';
+          break;
+        case CorrespondenceEvent.FLAG:
+          detail = 'lost on time';
+          break;
+        default:
+          detail = 'game ended';
+      }
+      const row = table.insertRow();
+      for (const text of [move, player, formatDateTime(entry.at), detail]) {
+        row.insertCell().textContent = text;
+      }
+    }
+    return table;
+  }
+
+  /**
+   * Convert an option with leftTimeMs/rightTimeMs into the custom editor's
+   * asymmetric form (left time in the first period, rightTimeMs override).
+   * @param {object} config
+   * @returns {object}
+   */
+  _toCustomOption(config) {
+    const custom = JSON.parse(JSON.stringify(config));
+    custom.periods[0].timeMs = custom.leftTimeMs;
+    custom.asymmetric = custom.leftTimeMs !== custom.rightTimeMs;
+    if (!custom.asymmetric) delete custom.rightTimeMs;
+    delete custom.leftTimeMs;
+    return custom;
+  }
+
   /**
    * Render the custom options list.
    */
@@ -337,21 +1087,7 @@ export class SettingsPanel {
     panel.appendChild(header);
 
     // Tabs
-    const tabs = document.createElement('div');
-    tabs.className = 'settings-tabs';
-    const presetTab = document.createElement('button');
-    presetTab.className = 'settings-tab';
-    presetTab.textContent = 'Presets';
-    presetTab.addEventListener('click', () => {
-      this._currentView = 'presets';
-      this._render();
-    });
-    const customTab = document.createElement('button');
-    customTab.className = 'settings-tab active';
-    customTab.textContent = 'Custom';
-    tabs.appendChild(presetTab);
-    tabs.appendChild(customTab);
-    panel.appendChild(tabs);
+    panel.appendChild(this._createTabs('custom-list'));
 
     // Custom slots
     const customOptions = StorageManager.loadCustomOptions();
@@ -446,6 +1182,73 @@ export class SettingsPanel {
     });
     form.appendChild(nameGroup.group);
 
+    // Number of players and turn order (3-4 players sit around a table,
+    // bughouse runs two linked boards, a simul one board per opponent)
+    const playersGroup = document.createElement('div');
+    playersGroup.className = 'form-group';
+    const playersLabel = document.createElement('label');
+    playersLabel.className = 'form-label';
+    playersLabel.textContent = 'Players';
+    const playersSelect = document.createElement('select');
+    playersSelect.className = 'form-input';
+    for (let n = Limits.MIN_PLAYERS; n <= Limits.MAX_PLAYERS; n++) {
+      const option = document.createElement('option');
+      option.value = String(n);
+      option.textContent = n === 2 ? '2 (left / right)' : `${n} (around a table)`;
+      option.selected = !this._editingConfig.bughouse && !this._editingConfig.simulBoards &&
+        n === (this._editingConfig.playerCount || 2);
+      playersSelect.appendChild(option);
+    }
+    const bughouseOption = document.createElement('option');
+    bughouseOption.value = 'bughouse';
+    bughouseOption.textContent = '4 (bughouse, two boards)';
+    bughouseOption.selected = !!this._editingConfig.bughouse;
+    playersSelect.appendChild(bughouseOption);
+    const simulOption = document.createElement('option');
+    simulOption.value = 'simul';
+    simulOption.textContent = 'Simul (one clock per board)';
+    simulOption.selected = !!this._editingConfig.simulBoards;
+    playersSelect.appendChild(simulOption);
+    playersGroup.appendChild(playersLabel);
+    playersGroup.appendChild(playersSelect);
+    form.appendChild(playersGroup);
+
+    // Number of simul boards (the master sits left on every board)
+    const boardsGroup = document.createElement('div');
+    boardsGroup.className = 'form-group';
+    const boardsLabel = document.createElement('label');
+    boardsLabel.className = 'form-label';
+    boardsLabel.textContent = 'Boards (master plays White, left)';
+    const boardsInput = this._createNumberInput(
+      this._editingConfig.simulBoards || DEFAULT_SIMUL_BOARDS, Limits.MIN_SIMUL_BOARDS, Limits.MAX_SIMUL_BOARDS, 'boards');
+    boardsInput.addEventListener('change', () => {
+      const count = parseInt(boardsInput.value, 10) || DEFAULT_SIMUL_BOARDS;
+      this._editingConfig.simulBoards = Math.max(Limits.MIN_SIMUL_BOARDS, Math.min(Limits.MAX_SIMUL_BOARDS, count));
+      boardsInput.value = this._editingConfig.simulBoards;
+    });
+    boardsGroup.appendChild(boardsLabel);
+    boardsGroup.appendChild(boardsInput);
+    form.appendChild(boardsGroup);
+
+    const turnOrderGroup = document.createElement('div');
+    turnOrderGroup.className = 'form-group';
+    const turnOrderLabel = document.createElement('label');
+    turnOrderLabel.className = 'form-label';
+    turnOrderLabel.textContent = 'Turn order';
+    const turnOrderSelect = document.createElement('select');
+    turnOrderSelect.className = 'form-input';
+    turnOrderSelect.addEventListener('change', () => {
+      const order = turnOrderSelect.value.split(',');
+      if (order.join(',') === DEFAULT_TURN_ORDERS[order.length].join(',')) {
+        delete this._editingConfig.turnOrder;
+      } else {
+        this._editingConfig.turnOrder = order;
+      }
+    });
+    turnOrderGroup.appendChild(turnOrderLabel);
+    turnOrderGroup.appendChild(turnOrderSelect);
+    form.appendChild(turnOrderGroup);
+
     // Asymmetric toggle
     const asymmetricGroup = document.createElement('div');
     asymmetricGroup.className = 'form-group';
@@ -459,6 +1262,37 @@ export class SettingsPanel {
     asymmetricGroup.appendChild(asymLabel);
     form.appendChild(asymmetricGroup);
 
+    // Separate period lists per player (odds games)
+    const perPlayerGroup = document.createElement('div');
+    perPlayerGroup.className = 'form-group';
+    const perPlayerLabel = document.createElement('label');
+    perPlayerLabel.className = 'form-label';
+    const perPlayerCheck = document.createElement('input');
+    perPlayerCheck.type = 'checkbox';
+    perPlayerCheck.checked = !!this._editingConfig.rightPeriods;
+    perPlayerLabel.appendChild(perPlayerCheck);
+    perPlayerLabel.appendChild(document.createTextNode(' Separate time controls per player'));
+    perPlayerGroup.appendChild(perPlayerLabel);
+    form.appendChild(perPlayerGroup);
+
+    const renderSeats = () => {
+      const count = this._editingConfig.playerCount || 2;
+      const current = (this._editingConfig.turnOrder || DEFAULT_TURN_ORDERS[count]).join(',');
+      turnOrderSelect.innerHTML = '';
+      for (const order of this._getTurnOrderChoices(count)) {
+        const option = document.createElement('option');
+        option.value = order.join(',');
+        option.textContent = order.map((side) => side[0].toUpperCase() + side.slice(1)).join(' \u2192 ');
+        option.selected = option.value === current;
+        turnOrderSelect.appendChild(option);
+      }
+      // Per-player times are left/right only (master/opponents in a simul)
+      turnOrderGroup.classList.toggle('hidden', count === 2);
+      boardsGroup.classList.toggle('hidden', !this._editingConfig.simulBoards);
+      perPlayerGroup.classList.toggle('hidden', count > 2 || !!this._editingConfig.bughouse);
+    };
+    renderSeats();
+
     // Periods
     const periodsSection = document.createElement('div');
     periodsSection.className = 'periods-section';
@@ -466,29 +1300,52 @@ export class SettingsPanel {
     periodsTitle.textContent = 'Periods';
     periodsSection.appendChild(periodsTitle);
 
-    const renderPeriods = () => {
-      // Clear existing period forms
-      const existingForms = periodsSection.querySelectorAll('.period-form');
-      existingForms.forEach((f) => f.remove());
+    const columns = document.createElement('div');
+    columns.className = 'periods-columns';
+    periodsSection.appendChild(columns);
 
-      for (let p = 0; p < this._editingConfig.periods.length; p++) {
-        const periodForm = this._createPeriodForm(p, this._editingConfig.periods[p], asymCheck.checked);
-        periodsSection.appendChild(periodForm);
+    const renderPeriods = () => {
+      const perPlayer = !!this._editingConfig.rightPeriods;
+      const shared = (this._editingConfig.playerCount || 2) > 2 || !!this._editingConfig.bughouse;
+      asymmetricGroup.classList.toggle('hidden', perPlayer || shared);
+
+      // Left column edits the shared list, right column the right player's own list
+      columns.innerHTML = '';
+      columns.classList.toggle('per-player', perPlayer);
+      const lists = perPlayer
+        ? [['Left player', this._editingConfig.periods], ['Right player', this._editingConfig.rightPeriods]]
+        : [[null, this._editingConfig.periods]];
+      for (const [listTitle, periods] of lists) {
+        columns.appendChild(this._createPeriodList(periods, listTitle, asymCheck.checked && !perPlayer, renderPeriods));
       }
 
-      // Add period button (if under max)
-      let addBtn = periodsSection.querySelector('.add-period-btn');
-      if (addBtn) addBtn.remove();
-      if (this._editingConfig.periods.length < Limits.MAX_PERIODS) {
-        addBtn = document.createElement('button');
-        addBtn.className = 'btn btn-secondary add-period-btn';
-        addBtn.textContent = '+ Add Period';
-        addBtn.addEventListener('click', () => {
-          this._editingConfig.periods.push({ method: TimingMethodType.TIME, timeMs: 300000 });
-          renderPeriods();
-        });
-        periodsSection.appendChild(addBtn);
+      // Repeat marker: which period the cycle restarts from after the last one
+      let repeatGroup = periodsSection.querySelector('.repeat-group');
+      if (repeatGroup) repeatGroup.remove();
+      const periodCount = Math.max(...lists.map(([, periods]) => periods.length));
+      if ((this._editingConfig.repeatFromPeriod || 0) > periodCount) {
+        this._editingConfig.repeatFromPeriod = 0;
       }
+      repeatGroup = document.createElement('div');
+      repeatGroup.className = 'form-group repeat-group';
+      const repeatLabel = document.createElement('label');
+      repeatLabel.className = 'form-label';
+      repeatLabel.textContent = 'After the last period';
+      const repeatSelect = document.createElement('select');
+      repeatSelect.className = 'form-input';
+      for (let p = 0; p <= periodCount; p++) {
+        const option = document.createElement('option');
+        option.value = String(p);
+        option.textContent = p === 0 ? 'End (no repeat)' : `Repeat from period ${p}`;
+        option.selected = p === (this._editingConfig.repeatFromPeriod || 0);
+        repeatSelect.appendChild(option);
+      }
+      repeatSelect.addEventListener('change', (e) => {
+        this._editingConfig.repeatFromPeriod = parseInt(e.target.value, 10) || 0;
+      });
+      repeatGroup.appendChild(repeatLabel);
+      repeatGroup.appendChild(repeatSelect);
+      periodsSection.appendChild(repeatGroup);
     };
 
     renderPeriods();
@@ -498,6 +1355,51 @@ export class SettingsPanel {
       renderPeriods();
     });
 
+    playersSelect.addEventListener('change', () => {
+      const bughouse = playersSelect.value === 'bughouse';
+      const simul = playersSelect.value === 'simul';
+      const count = bughouse || simul ? 2 : parseInt(playersSelect.value, 10);
+      delete this._editingConfig.turnOrder;
+      if (bughouse) {
+        this._editingConfig.bughouse = true;
+      } else {
+        delete this._editingConfig.bughouse;
+      }
+      if (simul) {
+        this._editingConfig.simulBoards = parseInt(boardsInput.value, 10) || DEFAULT_SIMUL_BOARDS;
+      } else {
+        delete this._editingConfig.simulBoards;
+      }
+      if (count === 2) {
+        delete this._editingConfig.playerCount;
+      } else {
+        this._editingConfig.playerCount = count;
+      }
+      if (count > 2 || bughouse) {
+        // Odds settings only exist for a single left/right pair
+        delete this._editingConfig.rightPeriods;
+        delete this._editingConfig.rightTimeMs;
+        this._editingConfig.asymmetric = false;
+        asymCheck.checked = false;
+        perPlayerCheck.checked = false;
+      }
+      renderSeats();
+      renderPeriods();
+    });
+
+    perPlayerCheck.addEventListener('change', () => {
+      if (perPlayerCheck.checked) {
+        // Start the right player's list as a copy; the main-time override no longer applies
+        this._editingConfig.rightPeriods = this._editingConfig.periods.map((period) => ({ ...period }));
+        delete this._editingConfig.rightTimeMs;
+        this._editingConfig.asymmetric = false;
+        asymCheck.checked = false;
+      } else {
+        delete this._editingConfig.rightPeriods;
+      }
+      renderPeriods();
+    });
+
     form.appendChild(periodsSection);
 
     // Defaults
@@ -534,8 +1436,74 @@ export class SettingsPanel {
     soundGroup.appendChild(soundLabel);
     defaultsSection.appendChild(soundGroup);
 
+    const berserkGroup = document.createElement('div');
+    berserkGroup.className = 'form-group';
+    const berserkLabel = document.createElement('label');
+    berserkLabel.className = 'form-label';
+    const berserkCheck = document.createElement('input');
+    berserkCheck.type = 'checkbox';
+    berserkCheck.checked = !!this._editingConfig.berserk;
+    berserkCheck.addEventListener('change', (e) => {
+      this._editingConfig.berserk = e.target.checked;
+    });
+    berserkLabel.appendChild(berserkCheck);
+    berserkLabel.appendChild(document.createTextNode(' Allow berserk (half time, no increment)'));
+    berserkGroup.appendChild(berserkLabel);
+    defaultsSection.appendChild(berserkGroup);
+
+    const moveLimitInput = this._createTimeInput(
+      this._editingConfig.moveLimitMs || 0,
+      (newMs) => { this._editingConfig.moveLimitMs = newMs; },
+      'Limit per move (0 = none)',
+    );
+    defaultsSection.appendChild(moveLimitInput);
+
     form.appendChild(defaultsSection);
 
+    // Round schedule (rounds of clock time with breaks in between)
+    const roundsSection = document.createElement('div');
+    roundsSection.className = 'defaults-section';
+    const rounds = this._editingConfig.rounds || { count: 0, roundMs: DEFAULT_ROUND_MS, breakMs: DEFAULT_BREAK_MS };
+    const applyRounds = () => {
+      if (rounds.count > 0 && rounds.roundMs > 0) {
+        this._editingConfig.rounds = { ...rounds };
+      } else {
+        delete this._editingConfig.rounds;
+      }
+    };
+
+    const roundCountGroup = document.createElement('div');
+    roundCountGroup.className = 'form-group';
+    const roundCountLabel = document.createElement('label');
+    roundCountLabel.className = 'form-label';
+    roundCountLabel.textContent = 'Rounds (0 = none)';
+    const roundCountInput = this._createNumberInput(rounds.count, 0, 99, 'rounds');
+    roundCountInput.addEventListener('change', () => {
+      rounds.count = Math.max(0, Math.min(99, parseInt(roundCountInput.value, 10) || 0));
+      roundCountInput.value = rounds.count;
+      applyRounds();
+    });
+    roundCountGroup.appendChild(roundCountLabel);
+    roundCountGroup.appendChild(roundCountInput);
+    roundsSection.appendChild(roundCountGroup);
+
+    roundsSection.appendChild(this._createTimeInput(rounds.roundMs, (newMs) => {
+      rounds.roundMs = newMs;
+      applyRounds();
+    }, 'Round length'));
+    roundsSection.appendChild(this._createTimeInput(rounds.breakMs, (newMs) => {
+      rounds.breakMs = newMs;
+      applyRounds();
+    }, 'Break length'));
+
+    form.appendChild(roundsSection);
+
+    // Validation error (shown when saving an invalid config)
+    const errorEl = document.createElement('div');
+    errorEl.className = 'form-error hidden';
+    errorEl.setAttribute('role', 'alert');
+    form.appendChild(errorEl);
+
     // Save/Cancel buttons
     const buttons = document.createElement('div');
     buttons.className = 'form-buttons';
@@ -544,6 +1512,7 @@ export class SettingsPanel {
     saveBtn.className = 'btn btn-primary';
     saveBtn.textContent = 'Save & Use';
     saveBtn.addEventListener('click', () => {
+      if (!this._checkEditingConfig(errorEl)) return;
       this._promptNameIfDefault(nameGroup.input, () => {
         StorageManager.saveCustomOption(this._editingSlot, this._editingConfig);
         if (this._onSelect) {
@@ -557,6 +1526,7 @@ export class SettingsPanel {
     saveOnlyBtn.className = 'btn btn-secondary';
     saveOnlyBtn.textContent = 'Save';
     saveOnlyBtn.addEventListener('click', () => {
+      if (!this._checkEditingConfig(errorEl)) return;
       this._promptNameIfDefault(nameGroup.input, () => {
         StorageManager.saveCustomOption(this._editingSlot, this._editingConfig);
         this._currentView = 'custom-list';
@@ -581,6 +1551,67 @@ export class SettingsPanel {
     this._container.appendChild(panel);
   }
 
+  /**
+   * List the distinct turn orders for a player count: the first seat stays
+   * fixed (the first tap picks who starts), the others in every order.
+   * @param {number} count - Number of players
+   * @returns {Array<Array<string>>} Turn orders, the default (clockwise) first
+   */
+  _getTurnOrderChoices(count) {
+    const [first, ...rest] = DEFAULT_TURN_ORDERS[count];
+    const permute = (seats) => {
+      if (seats.length <= 1) return [seats];
+      return seats.flatMap((seat, i) =>
+        permute([...seats.slice(0, i), ...seats.slice(i + 1)]).map((tail) => [seat, ...tail]));
+    };
+    return permute(rest).map((tail) => [first, ...tail]);
+  }
+
+  /**
+   * Validate the config being edited.
+   * @returns {string|null} Error message, or null if the config is valid
+   */
+  _validateEditingConfig() {
+    const lists = [['', this._editingConfig.periods]];
+    if (this._editingConfig.rightPeriods) {
+      lists[0][0] = 'Left player, ';
+      lists.push(['Right player, ', this._editingConfig.rightPeriods]);
+    }
+
+    for (const [prefix, periods] of lists) {
+      for (let p = 0; p < periods.length; p++) {
+        const period = periods[p];
+        if (period.method === TimingMethodType.FISCHER && period.capMs > 0) {
+          const mainTimes = [period.timeMs || 0];
+          if (p === 0 && this._editingConfig.asymmetric && this._editingConfig.rightTimeMs) {
+            mainTimes.push(this._editingConfig.rightTimeMs);
+          }
+          if (period.capMs < Math.max(...mainTimes)) {
+            return `${prefix}Period ${p + 1}: max clock must be at least the main time`;
+          }
+        }
+      }
+
+      const repeatFrom = this._editingConfig.repeatFromPeriod || 0;
+      if (repeatFrom > 0 && periods.slice(repeatFrom - 1).some((period) => period.method === TimingMethodType.UPCOUNT)) {
+        return `${prefix}Upcount periods cannot repeat`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Validate the config being edited and show or clear the error message.
+   * @param {HTMLElement} errorEl - Element that displays the error
+   * @returns {boolean} Whether the config is valid
+   */
+  _checkEditingConfig(errorEl) {
+    const error = this._validateEditingConfig();
+    errorEl.textContent = error || '';
+    errorEl.classList.toggle('hidden', !error);
+    return !error;
+  }
+
   /**
    * Prompt the user to name their custom mode if the name is still the default.
    * Focuses and highlights the name input. Proceeds with callback on confirmation.
@@ -717,14 +1748,52 @@ export class SettingsPanel {
     return input;
   }
 
+  /**
+   * Create the editor for one period list with its "Add Period" button.
+   * @param {Array<object>} periods - Period list being edited (mutated in place)
+   * @param {string|null} title - Column title (per-player lists), or null
+   * @param {boolean} asymmetric
+   * @param {Function} rerender - Re-renders all period lists
+   * @returns {HTMLElement}
+   */
+  _createPeriodList(periods, title, asymmetric, rerender) {
+    const column = document.createElement('div');
+    column.className = 'periods-column';
+
+    if (title) {
+      const columnTitle = document.createElement('h4');
+      columnTitle.textContent = title;
+      column.appendChild(columnTitle);
+    }
+
+    for (let p = 0; p < periods.length; p++) {
+      column.appendChild(this._createPeriodForm(periods, p, asymmetric));
+    }
+
+    // Add period button (if under max)
+    if (periods.length < Limits.MAX_PERIODS) {
+      const addBtn = document.createElement('button');
+      addBtn.className = 'btn btn-secondary add-period-btn';
+      addBtn.textContent = '+ Add Period';
+      addBtn.addEventListener('click', () => {
+        periods.push({ method: TimingMethodType.TIME, timeMs: 300000 });
+        rerender();
+      });
+      column.appendChild(addBtn);
+    }
+
+    return column;
+  }
+
   /**
    * Create a period configuration form.
+   * @param {Array<object>} periods - Period list the period belongs to
    * @param {number} periodIndex
-   * @param {object} periodConfig
    * @param {boolean} asymmetric
    * @returns {HTMLElement}
    */
-  _createPeriodForm(periodIndex, periodConfig, asymmetric) {
+  _createPeriodForm(periods, periodIndex, asymmetric) {
+    const periodConfig = periods[periodIndex];
     const container = document.createElement('div');
     container.className = 'period-form';
 
@@ -741,7 +1810,7 @@ export class SettingsPanel {
       removeBtn.textContent = '\u2715';
       removeBtn.title = 'Remove period';
       removeBtn.addEventListener('click', () => {
-        this._editingConfig.periods.splice(periodIndex, 1);
+        periods.splice(periodIndex, 1);
         this._currentView = 'custom-edit';
         this._render();
       });
@@ -758,7 +1827,7 @@ export class SettingsPanel {
     const methodSelect = document.createElement('select');
     methodSelect.className = 'form-input';
 
-    const isLastPeriod = periodIndex === this._editingConfig.periods.length - 1;
+    const isLastPeriod = periodIndex === periods.length - 1;
 
     for (const [key, name] of Object.entries(METHOD_NAMES)) {
       if (key === TimingMethodType.END) continue; // END is not user-selectable
@@ -773,7 +1842,7 @@ export class SettingsPanel {
     }
 
     methodSelect.addEventListener('change', (e) => {
-      this._editingConfig.periods[periodIndex].method = e.target.value;
+      periods[periodIndex].method = e.target.value;
       // Reset method-specific fields
       this._currentView = 'custom-edit';
       this._render();
@@ -790,7 +1859,7 @@ export class SettingsPanel {
     if (method !== TimingMethodType.UPCOUNT && method !== TimingMethodType.BYO_YOMI && method !== TimingMethodType.CANADIAN_BYO) {
       const timeInput = this._createTimeInput(
         periodConfig.timeMs || 0,
-        (newMs) => { this._editingConfig.periods[periodIndex].timeMs = newMs; },
+        (newMs) => { periods[periodIndex].timeMs = newMs; },
         'Main time',
       );
       container.appendChild(timeInput);
@@ -806,8 +1875,9 @@ export class SettingsPanel {
       }
     }
 
-    // Bonus/Delay time (for Fischer, Delay, US-Delay)
-    if (method === TimingMethodType.FISCHER || method === TimingMethodType.DELAY || method === TimingMethodType.US_DELAY) {
+    // Bonus/Delay time (for Fischer, Delay, US-Delay, Delay + Increment)
+    if (method === TimingMethodType.FISCHER || method === TimingMethodType.DELAY ||
+        method === TimingMethodType.US_DELAY || method === TimingMethodType.DELAY_INCREMENT) {
       const delayLabel = method === TimingMethodType.FISCHER ? 'Bonus/move' : 'Delay/move';
       const delayContainer = document.createElement('div');
       delayContainer.className = 'form-group';
@@ -819,7 +1889,7 @@ export class SettingsPanel {
         Math.floor((periodConfig.delayMs || 0) / 1000), 0, 300, 'seconds',
       );
       delayInput.addEventListener('input', (e) => {
-        this._editingConfig.periods[periodIndex].delayMs = (parseInt(e.target.value, 10) || 0) * 1000;
+        periods[periodIndex].delayMs = (parseInt(e.target.value, 10) || 0) * 1000;
       });
 
       const secLabel = document.createElement('span');
@@ -829,10 +1899,65 @@ export class SettingsPanel {
       delayContainer.appendChild(delayInput);
       delayContainer.appendChild(secLabel);
       container.appendChild(delayContainer);
+
+      // Hybrid: bonus added after the delay
+      if (method === TimingMethodType.DELAY_INCREMENT) {
+        const incContainer = document.createElement('div');
+        incContainer.className = 'form-group';
+        const incLabel = document.createElement('label');
+        incLabel.className = 'form-label';
+        incLabel.textContent = 'Bonus/move';
+
+        const incInput = this._createNumberInput(
+          Math.floor((periodConfig.incrementMs || 0) / 1000), 0, 300, 'seconds',
+        );
+        incInput.addEventListener('input', (e) => {
+          periods[periodIndex].incrementMs = (parseInt(e.target.value, 10) || 0) * 1000;
+        });
+
+        const incSecLabel = document.createElement('span');
+        incSecLabel.textContent = ' sec';
+
+        incContainer.appendChild(incLabel);
+        incContainer.appendChild(incInput);
+        incContainer.appendChild(incSecLabel);
+        container.appendChild(incContainer);
+      }
+
+      const fromMoveContainer = document.createElement('div');
+      fromMoveContainer.className = 'form-group';
+      const fromMoveLabel = document.createElement('label');
+      fromMoveLabel.className = 'form-label';
+      const fromMoveNames = {
+        [TimingMethodType.FISCHER]: 'Bonus',
+        [TimingMethodType.DELAY_INCREMENT]: 'Delay and bonus',
+      };
+      fromMoveLabel.textContent = `${fromMoveNames[method] || 'Delay'} from move (0 = every move)`;
+
+      const fromMoveInput = this._createNumberInput(
+        periodConfig.incrementFromMove || 0, 0, 999, 'move number',
+      );
+      fromMoveInput.addEventListener('input', (e) => {
+        periods[periodIndex].incrementFromMove = parseInt(e.target.value, 10) || 0;
+      });
+
+      fromMoveContainer.appendChild(fromMoveLabel);
+      fromMoveContainer.appendChild(fromMoveInput);
+      container.appendChild(fromMoveContainer);
     }
 
-    // Moves required (for Fischer)
+    // Maximum clock after the bonus (capped Fischer)
     if (method === TimingMethodType.FISCHER) {
+      const capInput = this._createTimeInput(
+        periodConfig.capMs || 0,
+        (newMs) => { periods[periodIndex].capMs = newMs; },
+        'Max clock (0 = no cap)',
+      );
+      container.appendChild(capInput);
+    }
+
+    // Moves required (any method with a main time; last-period-only methods have none)
+    if (!LAST_PERIOD_ONLY.includes(method)) {
       const movesContainer = document.createElement('div');
       movesContainer.className = 'form-group';
       const mlabel = document.createElement('label');
@@ -843,7 +1968,7 @@ export class SettingsPanel {
         periodConfig.movesRequired || 0, 0, 999, 'moves',
       );
       movesInput.addEventListener('input', (e) => {
-        this._editingConfig.periods[periodIndex].movesRequired = parseInt(e.target.value, 10) || 0;
+        periods[periodIndex].movesRequired = parseInt(e.target.value, 10) || 0;
       });
 
       movesContainer.appendChild(mlabel);
@@ -855,7 +1980,7 @@ export class SettingsPanel {
     if (method === TimingMethodType.BYO_YOMI) {
       const byoTimeInput = this._createTimeInput(
         periodConfig.byoTimeMs || 0,
-        (newMs) => { this._editingConfig.periods[periodIndex].byoTimeMs = newMs; },
+        (newMs) => { periods[periodIndex].byoTimeMs = newMs; },
         'Time per moment',
       );
       container.appendChild(byoTimeInput);
@@ -870,7 +1995,7 @@ export class SettingsPanel {
         periodConfig.byoMoments || 0, 0, Limits.MAX_BYO_MOMENTS, 'moments',
       );
       momInput.addEventListener('input', (e) => {
-        this._editingConfig.periods[periodIndex].byoMoments = parseInt(e.target.value, 10) || 0;
+        periods[periodIndex].byoMoments = parseInt(e.target.value, 10) || 0;
       });
 
       momentsContainer.appendChild(momLabel);
@@ -883,11 +2008,72 @@ export class SettingsPanel {
       const cbyoTimeInput = this._createTimeInput(
         periodConfig.byoTimeMs || 0,
         (newMs) => {
-          this._editingConfig.periods[periodIndex].byoTimeMs = Math.min(newMs, Limits.MAX_CANADIAN_TIME_MS);
+          periods[periodIndex].byoTimeMs = Math.min(newMs, Limits.MAX_CANADIAN_TIME_MS);
         },
         'Time for move group (max 9:59)',
       );
       container.appendChild(cbyoTimeInput);
+
+      const groupContainer = document.createElement('div');
+      groupContainer.className = 'form-group';
+      const groupLabel = document.createElement('label');
+      groupLabel.className = 'form-label';
+      groupLabel.textContent = 'Moves per group (0 = manual reload)';
+
+      const groupInput = this._createNumberInput(
+        periodConfig.movesRequired || 0, 0, 999, 'moves',
+      );
+      groupInput.addEventListener('input', (e) => {
+        periods[periodIndex].movesRequired = parseInt(e.target.value, 10) || 0;
+      });
+
+      groupContainer.appendChild(groupLabel);
+      groupContainer.appendChild(groupInput);
+      container.appendChild(groupContainer);
+    }
+
+    // Upcount overtime penalty (e.g. WESPA 10 points per started minute)
+    if (method === TimingMethodType.UPCOUNT) {
+      const pointsContainer = document.createElement('div');
+      pointsContainer.className = 'form-group';
+      const pointsLabel = document.createElement('label');
+      pointsLabel.className = 'form-label';
+      pointsLabel.textContent = 'Penalty points (0 = no penalty)';
+
+      const pointsInput = this._createNumberInput(
+        periodConfig.penaltyPoints || 0, 0, 999, 'points',
+      );
+      pointsInput.addEventListener('input', (e) => {
+        periods[periodIndex].penaltyPoints = parseInt(e.target.value, 10) || 0;
+      });
+
+      pointsContainer.appendChild(pointsLabel);
+      pointsContainer.appendChild(pointsInput);
+      container.appendChild(pointsContainer);
+
+      const unitInput = this._createTimeInput(
+        periodConfig.penaltyUnitMs || 60000,
+        (newMs) => { periods[periodIndex].penaltyUnitMs = newMs; },
+        'Per started overtime block',
+      );
+      container.appendChild(unitInput);
+
+      const maxContainer = document.createElement('div');
+      maxContainer.className = 'form-group';
+      const maxLabel = document.createElement('label');
+      maxLabel.className = 'form-label';
+      maxLabel.textContent = 'Max blocks (0 = no limit)';
+
+      const maxInput = this._createNumberInput(
+        periodConfig.penaltyMaxUnits || 0, 0, 99, 'blocks',
+      );
+      maxInput.addEventListener('input', (e) => {
+        periods[periodIndex].penaltyMaxUnits = parseInt(e.target.value, 10) || 0;
+      });
+
+      maxContainer.appendChild(maxLabel);
+      maxContainer.appendChild(maxInput);
+      container.appendChild(maxContainer);
     }
 
     return container;
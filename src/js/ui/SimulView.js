@@ -0,0 +1,209 @@
+/**
+ * SimulView - Grid of mini clocks for a clock simul
+ *
+ * Shows:
+ * - One tile per board with the master's and the opponent's time
+ * - The running clock of each board highlighted
+ * - The board the master is at
+ * - A flag per side once a time has run out
+ * - A button per board to stop it when its game has ended
+ * - A summary line with the remaining times
+ *
+ * Tapping a tile takes the master to that board if the master is to move
+ * there, and otherwise ends the turn of whoever is to move on it.
+ */
+
+import { formatTime } from '../utils/TimeFormatter.js';
+import { FlagState, GameStatus } from '../utils/constants.js';
+
+export class SimulView {
+  /**
+   * @param {HTMLElement} containerEl - Simul view container element
+   */
+  constructor(containerEl) {
+    this._el = containerEl;
+    this._summaryEl = null;
+    this._gridEl = null;
+
+    /** @type {Object<string, { tile: HTMLElement, master: object, opponent: object, end: HTMLButtonElement }>} */
+    this._tiles = {};
+
+    // Dirty-checking cache for update()
+    this._prev = {};
+  }
+
+  /**
+   * Build one tile per board.
+   * @param {Array<string>} boardIds - Board numbers, in order
+   */
+  build(boardIds) {
+    this._el.innerHTML = '';
+    this._el.classList.add('simul-view');
+    this._tiles = {};
+    this._prev = {};
+
+    this._summaryEl = document.createElement('div');
+    this._summaryEl.className = 'simul-summary';
+    this._el.appendChild(this._summaryEl);
+
+    this._gridEl = document.createElement('div');
+    this._gridEl.className = 'simul-grid';
+    this._el.appendChild(this._gridEl);
+
+    for (const board of boardIds) {
+      const tile = document.createElement('div');
+      tile.className = 'simul-board';
+      tile.setAttribute('role', 'button');
+      tile.setAttribute('tabindex', '0');
+      tile.setAttribute('aria-label', `Board ${board} clock`);
+
+      const header = document.createElement('div');
+      header.className = 'simul-board-header';
+      const label = document.createElement('span');
+      label.className = 'simul-board-label';
+      label.textContent = `Board ${board}`;
+      const end = document.createElement('button');
+      end.className = 'simul-board-end';
+      end.textContent = '\u25A0'; // Stop square
+      end.title = 'Game over: stop this board';
+      end.setAttribute('aria-label', `Stop board ${board}`);
+      header.appendChild(label);
+      header.appendChild(end);
+      tile.appendChild(header);
+
+      const master = this._createRow('Master');
+      const opponent = this._createRow('Opponent');
+      tile.appendChild(master.row);
+      tile.appendChild(opponent.row);
+
+      this._gridEl.appendChild(tile);
+      this._tiles[board] = { tile, master, opponent, end };
+    }
+  }
+
+  /**
+   * Create one time row of a tile.
+   * @param {string} name - Row label
+   * @returns {{ row: HTMLElement, time: HTMLElement, flag: HTMLElement }}
+   */
+  _createRow(name) {
+    const row = document.createElement('div');
+    row.className = 'simul-row';
+    const label = document.createElement('span');
+    label.className = 'simul-row-label';
+    label.textContent = name;
+    const flag = document.createElement('span');
+    flag.className = 'simul-flag hidden';
+    flag.textContent = '\u2691';
+    const time = document.createElement('span');
+    time.className = 'simul-time';
+    row.appendChild(label);
+    row.appendChild(flag);
+    row.appendChild(time);
+    return { row, time, flag };
+  }
+
+  /**
+   * Show the view.
+   */
+  show() {
+    this._el.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the view.
+   */
+  hide() {
+    this._el.classList.add('hidden');
+  }
+
+  /**
+   * Get the board tiles (for tap binding).
+   * @returns {Object<string, HTMLElement>} Tile per board
+   */
+  getBoardElements() {
+    const tiles = {};
+    for (const [board, { tile }] of Object.entries(this._tiles)) {
+      tiles[board] = tile;
+    }
+    return tiles;
+  }
+
+  /**
+   * Get the stop buttons (for input binding).
+   * @returns {Object<string, HTMLButtonElement>} Button per board
+   */
+  getEndButtons() {
+    const buttons = {};
+    for (const [board, { end }] of Object.entries(this._tiles)) {
+      buttons[board] = end;
+    }
+    return buttons;
+  }
+
+  /**
+   * Update all tiles and the summary.
+   * @param {object} state
+   * @param {Object<string, { masterTimeMs: number, opponentTimeMs: number, masterFlag: string,
+   *   opponentFlag: string, activeSide: string|null, masterHere: boolean, status: string }>} state.boards -
+   *   State per board; activeSide is the running clock: 'master', 'opponent' or null
+   * @param {object} state.summary - SimulMatch.getSummary()
+   */
+  update(state) {
+    for (const [board, boardState] of Object.entries(state.boards)) {
+      const entry = this._tiles[board];
+      if (!entry) continue;
+
+      const key = JSON.stringify(boardState);
+      if (this._prev[board] === key) continue;
+      this._prev[board] = key;
+
+      const running = boardState.status === GameStatus.RUNNING;
+      entry.tile.classList.toggle('finished', boardState.status === GameStatus.FROZEN);
+      entry.tile.classList.toggle('paused', boardState.status === GameStatus.PAUSED);
+      entry.tile.classList.toggle('master-here', boardState.masterHere);
+      entry.end.disabled = !running && boardState.status !== GameStatus.PAUSED;
+      this._updateRow(entry.master, boardState.masterTimeMs, boardState.masterFlag, running && boardState.activeSide === 'master');
+      this._updateRow(entry.opponent, boardState.opponentTimeMs, boardState.opponentFlag, running && boardState.activeSide === 'opponent');
+    }
+
+    const summaryText = this._formatSummary(state.summary);
+    if (summaryText !== this._prev.summary) {
+      this._summaryEl.textContent = summaryText;
+      this._prev.summary = summaryText;
+    }
+  }
+
+  /**
+   * Update one time row.
+   * @param {{ row: HTMLElement, time: HTMLElement, flag: HTMLElement }} row
+   * @param {number} timeMs
+   * @param {string} flagState
+   * @param {boolean} active - Whether this clock is running
+   */
+  _updateRow(row, timeMs, flagState, active) {
+    row.time.textContent = formatTime(timeMs);
+    row.row.classList.toggle('active', active);
+    row.flag.classList.toggle('hidden', flagState === FlagState.NONE);
+    row.flag.classList.toggle('flag-blinking', flagState === FlagState.BLINKING);
+  }
+
+  /**
+   * Format the summary line.
+   * @param {object} summary - SimulMatch.getSummary()
+   * @returns {string}
+   */
+  _formatSummary(summary) {
+    const parts = [`Playing ${summary.playing}/${summary.boardCount}`];
+    if (summary.masterBoard) parts.push(`Master at board ${summary.masterBoard}`);
+    parts.push(`Master total ${formatTime(summary.masterTotalMs, false)}`);
+    if (summary.masterLowest) {
+      parts.push(`lowest ${formatTime(summary.masterLowest.timeMs)} (board ${summary.masterLowest.board})`);
+    }
+    if (summary.opponentLowest) {
+      parts.push(`Opponents lowest ${formatTime(summary.opponentLowest.timeMs)} (board ${summary.opponentLowest.board})`);
+    }
+    if (summary.flagged > 0) parts.push(`Flags ${summary.flagged}`);
+    return parts.join(' \u00B7 ');
+  }
+}
@@ -6,6 +6,7 @@
  * - Short beep every second in last 5 seconds
  * - Longer beep at 0:00
  * - Byo-yomi moment end beep
+ * - Round bell (round schedules)
  */
 
 import { SoundConfig } from '../utils/constants.js';
@@ -100,6 +101,21 @@ export class SoundManager {
     }
   }
 
+  /**
+   * Get the remaining time at which checkAndBeep plays its next beep, to
+   * schedule it while the page is hidden.
+   * @param {number} remainingMs - Remaining time in milliseconds
+   * @returns {number|null} Remaining ms of the next beep, or null if none is left
+   */
+  getNextBeepAt(remainingMs) {
+    if (!this._enabled) return null;
+    const beepsAt = [SoundConfig.WARNING_TIME_MS];
+    for (let ms = SoundConfig.COUNTDOWN_START_MS; ms >= SoundConfig.FINAL_BEEP_MS; ms -= 1000) {
+      beepsAt.push(ms);
+    }
+    return beepsAt.find((ms) => ms < remainingMs) ?? null;
+  }
+
   /**
    * Play a beep for byo-yomi moment expiry.
    */
@@ -116,6 +132,16 @@ export class SoundManager {
     this._playBeep(SoundConfig.BEEP_FREQUENCY, SoundConfig.BEEP_DURATION_LONG);
   }
 
+  /**
+   * Ring the round bell. Rings even with the beeps switched off, since
+   * the players rely on it to start and stop.
+   */
+  playBell() {
+    for (let i = 0; i < SoundConfig.BELL_STRIKES; i++) {
+      this._playBeep(SoundConfig.BELL_FREQUENCY, SoundConfig.BEEP_DURATION_SHORT * 2, i * SoundConfig.BELL_INTERVAL_MS);
+    }
+  }
+
   /**
    * Reset beep tracking state (call on turn switch or game start).
    */
@@ -128,8 +154,9 @@ export class SoundManager {
    * Play a beep tone.
    * @param {number} frequency - Frequency in Hz
    * @param {number} duration - Duration in ms
+   * @param {number} [offsetMs=0] - Delay before the tone starts
    */
-  _playBeep(frequency, duration) {
+  _playBeep(frequency, duration, offsetMs = 0) {
     if (!this._ctx) {
       this.init();
     }
@@ -142,19 +169,20 @@ export class SoundManager {
       oscillator.connect(gainNode);
       gainNode.connect(this._ctx.destination);
 
+      const startTime = this._ctx.currentTime + offsetMs / 1000;
       oscillator.type = 'square';
-      oscillator.frequency.setValueAtTime(frequency, this._ctx.currentTime);
+      oscillator.frequency.setValueAtTime(frequency, startTime);
 
-      gainNode.gain.setValueAtTime(SoundConfig.BEEP_VOLUME, this._ctx.currentTime);
-      gainNode.gain.exponentialRampToValueAtTime(0.01, this._ctx.currentTime + duration / 1000);
+      gainNode.gain.setValueAtTime(SoundConfig.BEEP_VOLUME, startTime);
+      gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + duration / 1000);
 
       oscillator.onended = () => {
         oscillator.disconnect();
         gainNode.disconnect();
       };
 
-      oscillator.start(this._ctx.currentTime);
-      oscillator.stop(this._ctx.currentTime + duration / 1000);
+      oscillator.start(startTime);
+      oscillator.stop(startTime + duration / 1000);
     } catch (e) {
       // Silently fail if audio context is not available
     }
@@ -4,13 +4,17 @@
  * Shows:
  * - Active timing method name per player
  * - Current period number per player
+ * - Moves remaining to the next time control per player
+ *   (two players only)
  * - Freeze icon (snowflake)
  * - Sound icon (musical note)
  * - Option number
  * - Play/Pause indicator
+ * - Round/break countdown (round schedules)
  */
 
-import { GameStatus, TimingMethodType } from '../utils/constants.js';
+import { GameStatus, TimingMethodType, RoundPhase } from '../utils/constants.js';
+import { formatTime } from '../utils/TimeFormatter.js';
 
 export class StatusBar {
   /**
@@ -25,12 +29,15 @@ export class StatusBar {
     this._rightMethodEl = null;
     this._leftPeriodEl = null;
     this._rightPeriodEl = null;
+    this._leftControlEl = null;
+    this._rightControlEl = null;
     this._freezeIconEl = null;
     this._soundIconEl = null;
     this._optionEl = null;
     this._moveEl = null;
     this._stateEl = null;
     this._delayEl = null;
+    this._roundEl = null;
 
     // Dirty-checking cache for update()
     this._prev = {};
@@ -49,8 +56,12 @@ export class StatusBar {
     this._leftMethodEl.className = 'status-method';
     this._leftPeriodEl = document.createElement('span');
     this._leftPeriodEl.className = 'status-period';
+    this._leftControlEl = document.createElement('span');
+    this._leftControlEl.className = 'status-control hidden';
+    this._leftControlEl.title = 'Moves to time control';
     leftInfo.appendChild(this._leftMethodEl);
     leftInfo.appendChild(this._leftPeriodEl);
+    leftInfo.appendChild(this._leftControlEl);
 
     // Center info
     const centerInfo = document.createElement('div');
@@ -75,6 +86,8 @@ export class StatusBar {
     this._stateEl.className = 'status-state';
     this._delayEl = document.createElement('span');
     this._delayEl.className = 'status-delay';
+    this._roundEl = document.createElement('span');
+    this._roundEl.className = 'status-round hidden';
 
     centerInfo.appendChild(this._freezeIconEl);
     centerInfo.appendChild(this._soundIconEl);
@@ -82,6 +95,7 @@ export class StatusBar {
     centerInfo.appendChild(this._moveEl);
     centerInfo.appendChild(this._stateEl);
     centerInfo.appendChild(this._delayEl);
+    centerInfo.appendChild(this._roundEl);
 
     // Right side info
     const rightInfo = document.createElement('div');
@@ -90,6 +104,10 @@ export class StatusBar {
     this._rightMethodEl.className = 'status-method';
     this._rightPeriodEl = document.createElement('span');
     this._rightPeriodEl.className = 'status-period';
+    this._rightControlEl = document.createElement('span');
+    this._rightControlEl.className = 'status-control hidden';
+    this._rightControlEl.title = 'Moves to time control';
+    rightInfo.appendChild(this._rightControlEl);
     rightInfo.appendChild(this._rightPeriodEl);
     rightInfo.appendChild(this._rightMethodEl);
 
@@ -108,6 +126,8 @@ export class StatusBar {
     if (this._moveEl) this._moveEl.textContent = '';
     if (this._stateEl) this._stateEl.textContent = text;
     if (this._delayEl) this._delayEl.classList.add('hidden');
+    if (this._roundEl) this._roundEl.classList.add('hidden');
+    this._prev.roundText = undefined;
     this._freezeIconEl.classList.add('hidden');
     this._soundIconEl.classList.add('hidden');
   }
@@ -122,17 +142,24 @@ export class StatusBar {
   /**
    * Update the status bar display.
    * @param {object} state
+   * @param {boolean} [state.showSides=true] - Whether to show the per-player fields (false for 3-4 players)
    * @param {string} state.leftMethod - Left player timing method type
    * @param {string} state.rightMethod - Right player timing method type
    * @param {number} state.leftPeriod - Left player current period (0-based)
    * @param {number} state.rightPeriod - Right player current period (0-based)
    * @param {number} state.totalPeriods - Total periods in config
+   * @param {boolean} [state.periodsRepeat] - Whether the periods repeat in a cycle
+   * @param {number} [state.leftPeriodRepeat] - Left player completed repeat cycles
+   * @param {number} [state.rightPeriodRepeat] - Right player completed repeat cycles
    * @param {boolean} state.freezeEnabled
    * @param {boolean} state.soundEnabled
-   * @param {number} state.optionNumber
+   * @param {number} state.optionNumber - 0 for a one-off setup (not shown)
    * @param {number} state.moveNumber - Current chess move number
    * @param {string} state.gameStatus
    * @param {number} [state.delayRemainingMs] - US-Delay countdown remaining
+   * @param {number} [state.leftMovesToControl] - Left moves to next time control (0 = none)
+   * @param {number} [state.rightMovesToControl] - Right moves to next time control (0 = none)
+   * @param {{ phase: string, round: number, count: number, remainingMs: number }|null} [state.round] - Round schedule countdown
    */
   update(state) {
     // If a temporary message is showing, don't overwrite it
@@ -140,6 +167,13 @@ export class StatusBar {
 
     const p = this._prev;
 
+    // Per-player fields only fit the left and right players
+    const showSides = state.showSides ?? true;
+    if (showSides !== p.showSides) {
+      this._el.classList.toggle('no-sides', !showSides);
+      p.showSides = showSides;
+    }
+
     // Method names
     const leftMethod = state.leftMethod || '';
     if (leftMethod !== p.leftMethod) {
@@ -152,10 +186,10 @@ export class StatusBar {
       p.rightMethod = rightMethod;
     }
 
-    // Period numbers (1-based display)
-    const showPeriods = state.totalPeriods > 1;
-    const leftPeriodText = showPeriods ? `P${state.leftPeriod + 1}` : '';
-    const rightPeriodText = showPeriods ? `P${state.rightPeriod + 1}` : '';
+    // Period numbers (1-based display), "P3×2" on the second pass of a repeat cycle
+    const showPeriods = state.totalPeriods > 1 || !!state.periodsRepeat;
+    const leftPeriodText = showPeriods ? this._formatPeriod(state.leftPeriod, state.leftPeriodRepeat) : '';
+    const rightPeriodText = showPeriods ? this._formatPeriod(state.rightPeriod, state.rightPeriodRepeat) : '';
     if (leftPeriodText !== p.leftPeriodText) {
       this._leftPeriodEl.textContent = leftPeriodText;
       p.leftPeriodText = leftPeriodText;
@@ -165,6 +199,16 @@ export class StatusBar {
       p.rightPeriodText = rightPeriodText;
     }
 
+    // Moves to time control
+    if (state.leftMovesToControl !== p.leftMovesToControl) {
+      this._updateControlEl(this._leftControlEl, state.leftMovesToControl);
+      p.leftMovesToControl = state.leftMovesToControl;
+    }
+    if (state.rightMovesToControl !== p.rightMovesToControl) {
+      this._updateControlEl(this._rightControlEl, state.rightMovesToControl);
+      p.rightMovesToControl = state.rightMovesToControl;
+    }
+
     // Icons
     if (state.freezeEnabled !== p.freezeEnabled) {
       this._freezeIconEl.classList.toggle('hidden', !state.freezeEnabled);
@@ -177,7 +221,7 @@ export class StatusBar {
 
     // Option number
     if (state.optionNumber !== p.optionNumber) {
-      this._optionEl.textContent = `#${String(state.optionNumber).padStart(2, '0')}`;
+      this._optionEl.textContent = state.optionNumber >= 1 ? `#${String(state.optionNumber).padStart(2, '0')}` : '';
       p.optionNumber = state.optionNumber;
     }
 
@@ -195,6 +239,7 @@ export class StatusBar {
         [GameStatus.PAUSED]: '\u23F8',   // Pause
         [GameStatus.FROZEN]: '\u26A0',   // Warning
         [GameStatus.CORRECTING]: '\u270E', // Pencil
+        [GameStatus.CHALLENGE]: '\u270B',  // Raised hand
       };
       this._stateEl.textContent = stateIcons[state.gameStatus] || '';
       p.gameStatus = state.gameStatus;
@@ -211,5 +256,57 @@ export class StatusBar {
       }
       p.delayRemainingMs = state.delayRemainingMs;
     }
+
+    // Round schedule: "R2/6 2:59" during a round, "BRK 0:42" during a break
+    const roundText = this._formatRound(state.round);
+    if (roundText !== p.roundText) {
+      this._roundEl.textContent = roundText;
+      this._roundEl.classList.toggle('hidden', roundText === '');
+      this._roundEl.classList.toggle('round-break', !!state.round && state.round.phase === RoundPhase.BREAK);
+      p.roundText = roundText;
+    }
+  }
+
+  /**
+   * Format the round schedule countdown.
+   * @param {{ phase: string, round: number, count: number, remainingMs: number }|null} [round]
+   * @returns {string}
+   */
+  _formatRound(round) {
+    if (!round) return '';
+    switch (round.phase) {
+      case RoundPhase.BREAK:
+        return `BRK ${formatTime(round.remainingMs, false)}`;
+      case RoundPhase.DONE:
+        return 'END';
+      case RoundPhase.IDLE:
+      case RoundPhase.ROUND:
+      default:
+        return `R${Math.max(1, round.round)}/${round.count} ${formatTime(round.remainingMs, false)}`;
+    }
+  }
+
+  /**
+   * Format a period number for display.
+   * @param {number} period - Period index (0-based)
+   * @param {number} [repeat] - Completed repeat cycles
+   * @returns {string}
+   */
+  _formatPeriod(period, repeat) {
+    return repeat > 0 ? `P${period + 1}\u00D7${repeat + 1}` : `P${period + 1}`;
+  }
+
+  /**
+   * Update a moves-to-time-control countdown element.
+   * @param {HTMLElement} el
+   * @param {number} [moves] - Moves remaining (0 or undefined hides the element)
+   */
+  _updateControlEl(el, moves) {
+    if (moves !== undefined && moves > 0) {
+      el.textContent = `TC ${moves}`;
+      el.classList.remove('hidden');
+    } else {
+      el.classList.add('hidden');
+    }
   }
 }
@@ -5,6 +5,8 @@
  * clock display (digital LCD, Garde analog, Insa analog, etc.).
  */
 
+import { formatTime } from '../../utils/TimeFormatter.js';
+
 export class ClockRenderer {
   /**
    * Build the DOM/SVG for this clock face inside the container.
@@ -27,6 +29,10 @@ export class ClockRenderer {
    * @param {number} state.moves - Move count
    * @param {boolean} state.showMoves - Whether to display moves
    * @param {number} [state.byoMoments] - Byo-yomi moments remaining
+   * @param {{ movesRemaining: number, blockTimeMs: number }|null} [state.byoMoveGroup] - Canadian byo-yomi block
+   * @param {number|null} [state.moveElapsedMs] - In-move stopwatch (minute-rounding periods)
+   * @param {number|null} [state.penaltyPoints] - Overtime penalty (upcount with penalty rules)
+   * @param {number|null} [state.moveLimitMs] - Time left for the current move (per-move limit)
    * @param {string} [state.method] - TimingMethodType
    * @param {string} state.gameStatus - GameStatus value
    */
@@ -34,6 +40,43 @@ export class ClockRenderer {
     // Override in subclasses
   }
 
+  /**
+   * Build the secondary info text shared by all renderers: the per-move
+   * countdown (if the option has a move limit) followed by the method info.
+   * @param {object} state - Per-side state snapshot
+   * @returns {string} Info text ('' = nothing to show)
+   */
+  _formatByoInfo(state) {
+    const info = this._formatMethodInfo(state);
+    if (state.moveLimitMs === undefined || state.moveLimitMs === null) return info;
+
+    const limit = `\u23F3 ${formatTime(state.moveLimitMs)}`;
+    return info ? `${limit}  ${info}` : limit;
+  }
+
+  /**
+   * Build the method-specific info text:
+   * "moves / block time" for a Canadian block, "×N" for Japanese moments,
+   * the in-move stopwatch for minute-rounding periods, penalty points in overtime.
+   * @param {object} state - Per-side state snapshot
+   * @returns {string} Info text ('' = nothing to show)
+   */
+  _formatMethodInfo(state) {
+    if (state.penaltyPoints !== undefined && state.penaltyPoints !== null) {
+      return state.penaltyPoints > 0 ? `\u2212${state.penaltyPoints} pts` : '0 pts';
+    }
+    if (state.moveElapsedMs !== undefined && state.moveElapsedMs !== null) {
+      return `\u23F1 ${formatTime(state.moveElapsedMs, false)}`;
+    }
+    if (state.byoMoveGroup) {
+      return `${state.byoMoveGroup.movesRemaining} / ${formatTime(state.byoMoveGroup.blockTimeMs, false)}`;
+    }
+    if (state.byoMoments !== undefined && state.byoMoments > 0) {
+      return `\u00D7${state.byoMoments}`;
+    }
+    return '';
+  }
+
   /**
    * Called when the container is resized.
    * @param {number} width - Container width in px
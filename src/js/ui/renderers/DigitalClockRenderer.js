@@ -163,15 +163,16 @@ export class DigitalClockRenderer extends ClockRenderer {
       p.moves = state.moves;
     }
 
-    // Byo-yomi moments
-    if (state.byoMoments !== p.byoMoments) {
-      if (state.byoMoments !== undefined && state.byoMoments > 0) {
-        this._byoEl.textContent = `\u00D7${state.byoMoments}`;
+    // Byo-yomi moments / Canadian move group
+    const byoInfo = this._formatByoInfo(state);
+    if (byoInfo !== p.byoInfo) {
+      if (byoInfo) {
+        this._byoEl.textContent = byoInfo;
         this._byoEl.classList.remove('hidden');
       } else {
         this._byoEl.classList.add('hidden');
       }
-      p.byoMoments = state.byoMoments;
+      p.byoInfo = byoInfo;
     }
 
     // Expired warning
@@ -246,7 +246,7 @@ export class InsaClockRenderer extends ClockRenderer {
 
     // Color indicator
     if (state.color !== p.color) {
-      this._colorCircle.classList.remove('piece-white', 'piece-black');
+      this._colorCircle.classList.remove('piece-white', 'piece-black', 'piece-none');
       this._colorCircle.classList.add(`piece-${state.color}`);
       p.color = state.color;
     }
@@ -263,15 +263,16 @@ export class InsaClockRenderer extends ClockRenderer {
       p.moves = state.moves;
     }
 
-    // Byo-yomi
-    if (state.byoMoments !== p.byoMoments) {
-      if (state.byoMoments !== undefined && state.byoMoments > 0) {
-        this._byoText.textContent = `\u00D7${state.byoMoments}`;
+    // Byo-yomi moments / Canadian move group
+    const byoInfo = this._formatByoInfo(state);
+    if (byoInfo !== p.byoInfo) {
+      if (byoInfo) {
+        this._byoText.textContent = byoInfo;
         this._byoText.classList.remove('hidden');
       } else {
         this._byoText.classList.add('hidden');
       }
-      p.byoMoments = state.byoMoments;
+      p.byoInfo = byoInfo;
     }
 
     // Low time / expired on hands
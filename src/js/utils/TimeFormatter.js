@@ -98,3 +98,37 @@ export function formatTimeShort(ms) {
 
   return parts.join(' ');
 }
+
+/**
+ * Format a long duration in days and hours (correspondence games).
+ * Rounds up to the minute, so a bank just used does not show an hour less.
+ * Examples: "12d 04h", "5h 07m" (under a day), "0h 00m"
+ *
+ * @param {number} ms - Time in milliseconds
+ * @returns {string}
+ */
+export function formatDays(ms) {
+  if (!ms || ms < 0 || isNaN(ms)) ms = 0;
+  const totalMinutes = Math.ceil(ms / 60000);
+  const days = Math.floor(totalMinutes / 1440);
+  const hours = Math.floor((totalMinutes % 1440) / 60);
+  const minutes = totalMinutes % 60;
+
+  const pad2 = (n) => String(n).padStart(2, '0');
+
+  if (days > 0) return `${days}d ${pad2(hours)}h`;
+  return `${hours}h ${pad2(minutes)}m`;
+}
+
+/**
+ * Format a wall-clock timestamp as local date and time.
+ * Format: YYYY-MM-DD HH:MM
+ *
+ * @param {number} timestamp - ms since the epoch
+ * @returns {string}
+ */
+export function formatDateTime(timestamp) {
+  const d = new Date(timestamp);
+  const pad2 = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
@@ -9,12 +9,37 @@ export const GameStatus = Object.freeze({
   PAUSED: 'paused',
   FROZEN: 'frozen',
   CORRECTING: 'correcting',
+  CHALLENGE: 'challenge',     // Word challenge hold (both clocks stopped)
+});
+
+/** Phases of a round schedule (chess-boxing, relays) */
+export const RoundPhase = Object.freeze({
+  IDLE: 'idle',               // Game not started yet
+  ROUND: 'round',             // Clock runs
+  BREAK: 'break',             // Clock paused until the break ends
+  DONE: 'done',               // Last round over, clock paused
+});
+
+/** Role of this tab when TempoMate is open in several tabs (see TabSync) */
+export const TabRole = Object.freeze({
+  PENDING: 'pending',         // Looking for a tab that owns the clock
+  OWNER: 'owner',             // Runs the clock and saves the game
+  MIRROR: 'mirror',           // Read-only copy of the owner's clock
 });
 
 /** Player identifiers */
 export const Player = Object.freeze({
   LEFT: 'left',
   RIGHT: 'right',
+  TOP: 'top',       // Extra seats in 3-4 player games
+  BOTTOM: 'bottom',
+});
+
+/** Default turn order (seats around the table, clockwise) per player count */
+export const DEFAULT_TURN_ORDERS = Object.freeze({
+  2: Object.freeze([Player.LEFT, Player.RIGHT]),
+  3: Object.freeze([Player.LEFT, Player.TOP, Player.RIGHT]),
+  4: Object.freeze([Player.BOTTOM, Player.LEFT, Player.TOP, Player.RIGHT]),
 });
 
 /** Timing method identifiers */
@@ -26,6 +51,9 @@ export const TimingMethodType = Object.freeze({
   BYO_YOMI: 'BYO',
   CANADIAN_BYO: 'CAN-BYO',
   UPCOUNT: 'UPCNT',
+  HOURGLASS: 'HRGLS',
+  DELAY_INCREMENT: 'DLY+INC',
+  JP_ROUNDING: 'JP-MIN',
   END: 'END',
 });
 
@@ -43,10 +71,18 @@ export const Limits = Object.freeze({
   MAX_CANADIAN_TIME_MS: 599000, // 9:59
   MAX_HOURS: 9,
   MAX_MANUAL_OPTIONS: 5,
-  MANUAL_OPTION_START: 27,
-  MANUAL_OPTION_END: 31,
-  TOTAL_PRESETS: 26,           // Options 1-26
+  MANUAL_OPTION_START: 29,
+  MANUAL_OPTION_END: 33,
+  TOTAL_PRESETS: 28,           // Options 1-28
+  MIN_PLAYERS: 2,
+  MAX_PLAYERS: 4,
+  MIN_SIMUL_BOARDS: 2,
+  MAX_SIMUL_BOARDS: 30,
   FLAG_DISPLAY_DURATION_MS: 300000, // 5 minutes
+  MAX_CORRESPONDENCE_DAYS: 365,     // Per move, bank and vacation
+  MAX_CORRESPONDENCE_GAMES: 20,
+  GAME_SAVE_INTERVAL_MS: 1000,      // Saving a running game (see App._saveGame)
+  TAB_CLAIM_WAIT_MS: 300,           // Waiting for an owner tab to answer (see TabSync)
 });
 
 /** Clock face style identifiers */
@@ -90,6 +126,9 @@ export const SoundConfig = Object.freeze({
   BEEP_DURATION_SHORT: 80,    // ms
   BEEP_DURATION_LONG: 300,    // ms
   BEEP_VOLUME: 0.5,
+  BELL_FREQUENCY: 1320,       // Hz - E6
+  BELL_STRIKES: 3,            // Strikes per round bell
+  BELL_INTERVAL_MS: 250,      // ms between strikes
 });
 
 /** Keyboard shortcuts */
@@ -99,6 +138,7 @@ export const Keys = Object.freeze({
   SOUND_TOGGLE: ['s', 'S'],
   FREEZE_TOGGLE: ['f', 'F'],
   MOVE_COUNT: ['m', 'M'],
+  CHALLENGE: ['c', 'C'],
   RESET: ['r', 'R'],
   ESCAPE: ['Escape'],
   NAV_LEFT: ['ArrowLeft'],
@@ -127,7 +167,9 @@ export const MotionConfig = Object.freeze({
 /** localStorage keys */
 export const StorageKeys = Object.freeze({
   CUSTOM_OPTIONS: 'tempomate_custom_options',
-  LAST_OPTION: 'tempomate_last_option',
+  LAST_OPTION: 'tempomate_last_option_v2',
+  LAST_OPTION_V1: 'tempomate_last_option', // Custom options were 27-31 (see StorageManager.loadLastOption)
+  PRESET_MOVE_LIMIT: 'tempomate_preset_move_limit',
   THEME: 'tempomate_theme',
   SOUND_ENABLED: 'tempomate_sound',
   FONT: 'tempomate_font',
@@ -135,4 +177,26 @@ export const StorageKeys = Object.freeze({
   CLOCK_FACE: 'tempomate_clock_face',
   MOTION_ENABLED: 'tempomate_motion_enabled',
   MOTION_THRESHOLD: 'tempomate_motion_threshold',
+  LAST_RESULT: 'tempomate_last_result',
+  CORRESPONDENCE_GAMES: 'tempomate_correspondence_games',
+  NOTIFICATIONS_ENABLED: 'tempomate_notifications',
+  SAVED_GAME: 'tempomate_saved_game',
+});
+
+/** Arbiter interventions recorded with a game (see GameState.logIntervention) */
+export const ArbiterAction = Object.freeze({
+  BYO_RELOAD: 'byo-reload',           // Manual Canadian byo-yomi reload
+  INCREMENT_ADDED: 'increment-added', // Sudden death switched to increment or delay
+});
+
+/** Bonus values offered when the arbiter adds an increment (FIDE's 5 s first) */
+export const ARBITER_BONUS_CHOICES_MS = Object.freeze([5000, 10000, 30000]);
+
+/** Entries of a correspondence game history */
+export const CorrespondenceEvent = Object.freeze({
+  MOVE: 'move',
+  VACATION_START: 'vacation-start',
+  VACATION_END: 'vacation-end',
+  FLAG: 'flag',
+  END: 'end',
 });
@@ -16,3 +16,11 @@ self.addEventListener('activate', (e) => {
 self.addEventListener('fetch', (e) => {
   e.respondWith(caches.match(e.request).then((cached) => cached || fetch(e.request)));
 });
+
+// Clock notifications (see NotificationManager): bring the clock back to the front
+self.addEventListener('notificationclick', (e) => {
+  e.notification.close();
+  e.waitUntil(self.clients.matchAll({ type: 'window' }).then((clients) =>
+    clients.length > 0 ? clients[0].focus() : self.clients.openWindow('./index.html')
+  ));
+});
@@ -11,10 +11,10 @@ test.describe('Preset Selection', () => {
     await expect(page.locator('.settings-panel')).toBeVisible();
   });
 
-  test('shows all 26 preset cards', async ({ page }) => {
+  test('shows all 28 preset cards', async ({ page }) => {
     await page.click('#btn-settings');
     const cards = page.locator('.preset-card');
-    await expect(cards).toHaveCount(26);
+    await expect(cards).toHaveCount(28);
   });
 
   test('selects a different preset', async ({ page }) => {
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+import { App } from '../../src/js/app.js';
+import { TimerEngine } from '../../src/js/engine/TimerEngine.js';
+import { ManualClockSource } from '../../src/js/engine/ManualClockSource.js';
+import { TabSync } from '../../src/js/state/TabSync.js';
+import { StorageManager } from '../../src/js/storage/StorageManager.js';
+import { GameState } from '../../src/js/state/GameState.js';
+import { PeriodManager } from '../../src/js/engine/PeriodManager.js';
+import { getPreset } from '../../src/js/presets/presets.js';
+import { GameStatus, Player } from '../../src/js/utils/constants.js';
+
+const PAGE = readFileSync(new URL('../../src/index.html', import.meta.url), 'utf8');
+
+describe('App', () => {
+  let clock;
+  let app;
+
+  /**
+   * Start the app on a manual clock.
+   * @param {Function} [createChannel] - Channel to the other tabs (default: none, the only tab)
+   */
+  function startApp(createChannel = () => null) {
+    clock = new ManualClockSource(Date.now());
+    app = new App();
+    app.timerEngine = new TimerEngine(clock);
+    app.tabSync = new TabSync(createChannel);
+    app.soundManager.init = () => {};
+    app.init();
+  }
+
+  beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = PAGE.slice(PAGE.indexOf('<body>') + 6, PAGE.indexOf('<script'));
+    window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+    window.ResizeObserver = class { observe() {} disconnect() {} };
+  });
+
+  afterEach(() => {
+    app.destroy();
+  });
+
+  describe('saving the game', () => {
+    it('saves the time up to a pagehide while hidden, not up to the last tick', () => {
+      startApp();
+      app._handleSwitchTurn();
+      const side = app.gameState.activePlayer;
+      clock.advance(1000);
+      clock.setHidden(true);
+      clock.advance(20000); // Hidden: no frames, no event due
+
+      window.dispatchEvent(new Event('pagehide'));
+      const saved = StorageManager.loadSavedGame();
+      expect(saved.game.status).toBe(GameStatus.RUNNING);
+      expect(saved.game.players[side].timeMs).toBe(app.gameState.getPeriods(side)[0].timeMs - 21000);
+    });
+
+    it('saves every second without re-anchoring the running clock', () => {
+      startApp();
+      let syncs = 0;
+      const sync = app.timerEngine.sync.bind(app.timerEngine);
+      app.timerEngine.sync = () => {
+        syncs++;
+        sync();
+      };
+      app._handleSwitchTurn();
+      const side = app.gameState.activePlayer;
+      syncs = 0;
+      let now = Date.now();
+      const dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now);
+      for (let i = 0; i < 3; i++) {
+        now += 1000;
+        clock.advance(1000);
+      }
+      dateNow.mockRestore();
+
+      expect(syncs).toBe(0);
+      expect(StorageManager.loadSavedGame().game.players[side].timeMs).toBeLessThan(app.gameState.getPeriods(side)[0].timeMs - 1000);
+    });
+  });
+
+  describe('mirroring another tab', () => {
+    let channel;
+
+    /**
+     * Publish a game from the owner tab, as App._saveGame does.
+     * @param {GameState} gs
+     */
+    function publish(gs) {
+      const pm = new PeriodManager(gs);
+      pm.init();
+      const state = { savedAt: Date.now(), game: gs.snapshot(), periods: pm.getState() };
+      channel.onmessage({ data: JSON.parse(JSON.stringify({ type: 'state', id: 'owner', state })) });
+    }
+
+    beforeEach(() => {
+      channel = { onmessage: null, postMessage() {}, close() {} };
+      startApp(() => channel);
+    });
+
+    it('applies updates without setting up the option again', () => {
+      let selections = 0;
+      const selectOption = app._selectOption.bind(app);
+      app._selectOption = (...args) => {
+        selections++;
+        selectOption(...args);
+      };
+      const owner = new GameState();
+      owner.selectedOption = 2;
+      owner.initGame(getPreset(2));
+      owner.startGame(Player.LEFT);
+      publish(owner);
+      expect(app.tabSync.isMirror()).toBe(true);
+      expect(selections).toBe(1);
+
+      const side = owner.activePlayer;
+      owner.getPlayer(side).timeMs -= 500;
+      clock.advance(500, { frame: false }); // Update between two frames
+      publish(owner);
+      expect(selections).toBe(1);
+
+      // The frame after an update counts only the time since the update
+      clock.advance(1000);
+      const timeMs = app.gameState.getPlayer(side).timeMs;
+      expect(timeMs).toBeLessThanOrEqual(owner.getPlayer(side).timeMs - 1000);
+      expect(timeMs).toBeGreaterThan(owner.getPlayer(side).timeMs - 1100);
+    });
+
+    it('stops its clock when the owner switches to linked boards', () => {
+      const owner = new GameState();
+      owner.selectedOption = 2;
+      owner.initGame(getPreset(2));
+      owner.startGame(Player.LEFT);
+      publish(owner);
+      expect(app.timerEngine.isRunning()).toBe(true);
+
+      channel.onmessage({ data: { type: 'state', id: 'owner', state: null } });
+      expect(app.timerEngine.isRunning()).toBe(false);
+      expect(document.getElementById('app').classList.contains('owner-clock-hidden')).toBe(true);
+
+      publish(owner);
+      expect(document.getElementById('app').classList.contains('owner-clock-hidden')).toBe(false);
+    });
+  });
+});
@@ -65,4 +65,28 @@ describe('BronsteinDelayMethod', () => {
     expect(result.expired).toBe(true);
     expect(player.timeMs).toBe(0);
   });
+
+  describe('delay from move', () => {
+    let late;
+
+    beforeEach(() => {
+      late = new BronsteinDelayMethod({ timeMs: 1500000, delayMs: 10000, incrementFromMove: 61 });
+    });
+
+    it('does not compensate before the starting move', () => {
+      player.moves = 59;
+      late.onTurnStart(player);
+      late.onTick(3000, player);
+      late.onTurnEnd(player);
+      expect(player.timeMs).toBe(1497000);
+    });
+
+    it('compensates from the starting move on', () => {
+      player.moves = 60;
+      late.onTurnStart(player);
+      late.onTick(3000, player);
+      late.onTurnEnd(player);
+      expect(player.timeMs).toBe(1500000);
+    });
+  });
 });
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { BughouseMatch } from '../../src/js/engine/BughouseMatch.js';
+import { TimingMethodType, GameStatus, FlagState, Player } from '../../src/js/utils/constants.js';
+
+describe('BughouseMatch', () => {
+  let match;
+
+  beforeEach(() => {
+    match = new BughouseMatch();
+    match.init({
+      periods: [{ method: TimingMethodType.FISCHER, timeMs: 60000, delayMs: 2000 }],
+      freezeDefault: false,
+      soundDefault: false,
+      bughouse: true,
+    });
+  });
+
+  it('has four seats with partners on the same side', () => {
+    expect(match.getSeats()).toEqual(['a-left', 'a-right', 'b-left', 'b-right']);
+    expect(match.getTeam('a-left')).toBe(1);
+    expect(match.getTeam('b-left')).toBe(1);
+    expect(match.getTeam('a-right')).toBe(2);
+    expect(match.getTeam('b-right')).toBe(2);
+  });
+
+  it('gives partners opposite colours', () => {
+    expect(match.boards.a.gameState.left.color).toBe('white');
+    expect(match.boards.b.gameState.left.color).toBe('black');
+  });
+
+  it('starts both boards with White on move', () => {
+    const result = match.tap('b-right');
+    expect(result.started).toBe(true);
+    expect(match.getStatus()).toBe(GameStatus.RUNNING);
+    expect(match.boards.a.gameState.activePlayer).toBe(Player.LEFT);
+    expect(match.boards.b.gameState.activePlayer).toBe(Player.RIGHT);
+  });
+
+  it('ticks both running clocks', () => {
+    match.tap('a-left');
+    match.tick(1000);
+    expect(match.boards.a.gameState.left.timeMs).toBe(59000);
+    expect(match.boards.b.gameState.right.timeMs).toBe(59000);
+    expect(match.boards.a.gameState.right.timeMs).toBe(60000);
+  });
+
+  it('switches turns only on the tapped board', () => {
+    match.tap('a-left');
+    const result = match.tap('a-left');
+    expect(result.switched).toBe(true);
+    expect(match.boards.a.gameState.activePlayer).toBe(Player.RIGHT);
+    expect(match.boards.a.gameState.left.timeMs).toBe(62000);
+    expect(match.boards.b.gameState.activePlayer).toBe(Player.RIGHT);
+  });
+
+  it('ignores taps on a seat that is not on move', () => {
+    match.tap('a-left');
+    expect(match.tap('a-right').switched).toBe(false);
+    expect(match.boards.a.gameState.activePlayer).toBe(Player.LEFT);
+  });
+
+  it('freezes both boards when one player flags', () => {
+    match.tap('a-left');
+    match.boards.b.gameState.right.timeMs = 500;
+    const result = match.tick(1000);
+    expect(result.frozen).toBe(true);
+    expect(match.boards.a.gameState.status).toBe(GameStatus.FROZEN);
+    expect(match.boards.b.gameState.status).toBe(GameStatus.FROZEN);
+    expect(match.boards.b.gameState.right.flagState).toBe(FlagState.BLINKING);
+    expect(match.boards.a.gameState.left.flagState).toBe(FlagState.NONE);
+  });
+
+  it('pauses and resumes both boards together', () => {
+    match.tap('a-left');
+    match.togglePause();
+    expect(match.boards.a.gameState.status).toBe(GameStatus.PAUSED);
+    expect(match.boards.b.gameState.status).toBe(GameStatus.PAUSED);
+    match.tick(1000);
+    expect(match.boards.a.gameState.left.timeMs).toBe(60000);
+    match.togglePause();
+    expect(match.getStatus()).toBe(GameStatus.RUNNING);
+  });
+
+  it('resets both boards', () => {
+    match.tap('a-left');
+    match.tick(5000);
+    match.reset();
+    expect(match.getStatus()).toBe(GameStatus.IDLE);
+    expect(match.boards.b.gameState.right.timeMs).toBe(60000);
+    expect(match.boards.b.gameState.left.color).toBe('black');
+  });
+
+  it('records both boards in the result', () => {
+    match.tap('a-left');
+    const result = match.createResult();
+    expect(result.bughouse).toBe(true);
+    expect(result.boards.a.left.color).toBe('white');
+    expect(result.boards.b.right.color).toBe('white');
+  });
+});
@@ -52,6 +52,52 @@ describe('CanadianByoYomiMethod', () => {
     expect(player.timeMs).toBe(300000);
   });
 
+  describe('automatic block reload', () => {
+    let groupMethod;
+
+    beforeEach(() => {
+      groupMethod = new CanadianByoYomiMethod({ byoTimeMs: 300000, movesRequired: 10 });
+    });
+
+    it('counts down moves remaining in the block', () => {
+      expect(groupMethod.getMovesRemaining()).toBe(10);
+      groupMethod.onTurnEnd(player);
+      groupMethod.onTurnEnd(player);
+      expect(groupMethod.getMovesRemaining()).toBe(8);
+    });
+
+    it('reloads once the required moves are made within the block time', () => {
+      for (let i = 0; i < 9; i++) {
+        groupMethod.onTick(20000, player);
+        groupMethod.onTurnEnd(player);
+      }
+      expect(player.timeMs).toBe(120000);
+
+      groupMethod.onTick(20000, player);
+      groupMethod.onTurnEnd(player);
+      expect(player.timeMs).toBe(300000);
+      expect(groupMethod.getMovesRemaining()).toBe(10);
+    });
+
+    it('does not reload when the block time has run out', () => {
+      for (let i = 0; i < 9; i++) groupMethod.onTurnEnd(player);
+      groupMethod.onTick(400000, player);
+      groupMethod.onTurnEnd(player);
+      expect(player.timeMs).toBe(0);
+    });
+
+    it('has no moves remaining count without movesRequired', () => {
+      expect(method.getMovesRemaining()).toBeNull();
+    });
+  });
+
+  it('does not treat the move group as a move-based period', () => {
+    const groupMethod = new CanadianByoYomiMethod({ byoTimeMs: 300000, movesRequired: 10 });
+    player.moves = 10;
+    expect(groupMethod.hasMoveControl()).toBe(false);
+    expect(groupMethod.isPeriodCompleteByMoves(player)).toBe(false);
+  });
+
   it('caps time at 9:59 max', () => {
     const cappedMethod = new CanadianByoYomiMethod({ byoTimeMs: 999000 });
     expect(cappedMethod.byoTimeMs).toBe(599000);
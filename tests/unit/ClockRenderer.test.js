@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from '@jest/globals';
 import { GardeClockRenderer } from '../../src/js/ui/renderers/GardeClockRenderer.js';
 import { InsaClockRenderer } from '../../src/js/ui/renderers/InsaClockRenderer.js';
+import { DigitalClockRenderer } from '../../src/js/ui/renderers/DigitalClockRenderer.js';
 import { FlagState, TimingMethodType } from '../../src/js/utils/constants.js';
 import { StorageManager } from '../../src/js/storage/StorageManager.js';
 import { ClockFaceStyle } from '../../src/js/utils/constants.js';
@@ -243,6 +244,63 @@ describe('Renderer lifecycle', () => {
   });
 });
 
+describe('Byo-yomi info on every renderer', () => {
+  const baseState = {
+    timeMs: 120000,
+    isActive: true,
+    isPaused: false,
+    isFrozen: false,
+    color: 'white',
+    flagState: FlagState.NONE,
+    moves: 0,
+    showMoves: false,
+    method: TimingMethodType.CANADIAN_BYO,
+    gameStatus: 'running',
+  };
+
+  for (const Renderer of [DigitalClockRenderer, GardeClockRenderer, InsaClockRenderer]) {
+    it(`${Renderer.name} shows Canadian moves remaining / block time`, () => {
+      const container = document.createElement('div');
+      const renderer = new Renderer();
+      renderer.build(container, 'left');
+
+      renderer.update({ ...baseState, byoMoveGroup: { movesRemaining: 7, blockTimeMs: 300000 } });
+      expect(container.textContent).toContain('7 / 5:00');
+
+      renderer.update({ ...baseState, byoMoveGroup: null, byoMoments: 3 });
+      expect(container.textContent).toContain('\u00D73');
+    });
+
+    it(`${Renderer.name} shows the in-move stopwatch for minute rounding`, () => {
+      const container = document.createElement('div');
+      const renderer = new Renderer();
+      renderer.build(container, 'left');
+
+      renderer.update({ ...baseState, method: TimingMethodType.JP_ROUNDING, moveElapsedMs: 75000 });
+      expect(container.textContent).toContain('\u23F1 1:15');
+    });
+
+    it(`${Renderer.name} shows the per-move countdown next to the method info`, () => {
+      const container = document.createElement('div');
+      const renderer = new Renderer();
+      renderer.build(container, 'left');
+
+      renderer.update({ ...baseState, method: TimingMethodType.BYO_YOMI, byoMoments: 3, moveLimitMs: 12000 });
+      expect(container.textContent).toContain('\u23F3 0:12.0');
+      expect(container.textContent).toContain('\u00D73');
+    });
+
+    it(`${Renderer.name} shows the overtime penalty`, () => {
+      const container = document.createElement('div');
+      const renderer = new Renderer();
+      renderer.build(container, 'left');
+
+      renderer.update({ ...baseState, method: TimingMethodType.UPCOUNT, penaltyPoints: 20 });
+      expect(container.textContent).toContain('\u221220 pts');
+    });
+  }
+});
+
 describe('StorageManager clock face', () => {
   beforeEach(() => {
     localStorage.clear();
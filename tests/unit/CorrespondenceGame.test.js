@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { CorrespondenceGame, DAY_MS } from '../../src/js/engine/CorrespondenceGame.js';
+import { CorrespondenceEvent } from '../../src/js/utils/constants.js';
+
+describe('CorrespondenceGame', () => {
+  const T0 = Date.UTC(2026, 0, 1);
+  const HOUR_MS = 3600000;
+  let game;
+
+  beforeEach(() => {
+    game = CorrespondenceGame.create({
+      name: 'Ladder',
+      whiteName: 'Ann',
+      blackName: 'Ben',
+      daysPerMove: 3,
+      maxDays: 30,
+      vacationDays: 10,
+    }, T0);
+  });
+
+  it('starts with White to move and one move of time each', () => {
+    expect(game.toMove).toBe('white');
+    expect(game.getRemainingMs('white', T0)).toBe(3 * DAY_MS);
+    expect(game.getRemainingMs('black', T0)).toBe(3 * DAY_MS);
+  });
+
+  it('rejects a bank smaller than the time per move', () => {
+    expect(() => CorrespondenceGame.create({ daysPerMove: 3, maxDays: 2 }, T0)).toThrow();
+    expect(() => CorrespondenceGame.create({ daysPerMove: 0, maxDays: 2 }, T0)).toThrow();
+    expect(() => CorrespondenceGame.create({ daysPerMove: 1, maxDays: 2, vacationDays: -1 }, T0)).toThrow();
+  });
+
+  it('counts the time to move from the wall clock', () => {
+    expect(game.getRemainingMs('white', T0 + DAY_MS)).toBe(2 * DAY_MS);
+    expect(game.getRemainingMs('black', T0 + DAY_MS)).toBe(3 * DAY_MS);
+  });
+
+  it('adds the time per move to the bank', () => {
+    game.makeMove(T0 + DAY_MS);
+    expect(game.players.white.bankMs).toBe(5 * DAY_MS);
+    expect(game.toMove).toBe('black');
+    expect(game.getRemainingMs('black', T0 + 2 * DAY_MS)).toBe(2 * DAY_MS);
+  });
+
+  it('caps the bank', () => {
+    let t = T0;
+    for (let i = 0; i < 30; i++) {
+      t += HOUR_MS;
+      game.makeMove(t);
+    }
+    expect(game.players.white.bankMs).toBe(30 * DAY_MS);
+  });
+
+  it('dates every move in the history', () => {
+    game.makeMove(T0 + HOUR_MS);
+    game.makeMove(T0 + 2 * HOUR_MS);
+    expect(game.history).toEqual([
+      { type: CorrespondenceEvent.MOVE, color: 'white', number: 1, at: T0 + HOUR_MS, usedMs: HOUR_MS, bankMs: 3 * DAY_MS - HOUR_MS + 3 * DAY_MS },
+      { type: CorrespondenceEvent.MOVE, color: 'black', number: 1, at: T0 + 2 * HOUR_MS, usedMs: HOUR_MS, bankMs: 3 * DAY_MS - HOUR_MS + 3 * DAY_MS },
+    ]);
+  });
+
+  it('detects the flag with the time it fell', () => {
+    expect(game.update(T0 + 5 * DAY_MS)).toBe(true);
+    expect(game.result).toEqual({ reason: CorrespondenceEvent.FLAG, loser: 'white', at: T0 + 3 * DAY_MS });
+    expect(game.makeMove(T0 + 5 * DAY_MS)).toBe(false);
+    expect(game.history.at(-1)).toEqual({ type: CorrespondenceEvent.FLAG, color: 'white', at: T0 + 3 * DAY_MS });
+  });
+
+  it('stops the clock of a player on vacation', () => {
+    game.startVacation('white', T0 + DAY_MS);
+    expect(game.getRemainingMs('white', T0 + 5 * DAY_MS)).toBe(2 * DAY_MS);
+    expect(game.getDeadline(T0 + 5 * DAY_MS)).toBe(T0 + 11 * DAY_MS + 2 * DAY_MS);
+
+    game.endVacation('white', T0 + 5 * DAY_MS);
+    expect(game.getVacationLeftMs('white', T0 + 5 * DAY_MS)).toBe(6 * DAY_MS);
+    expect(game.getRemainingMs('white', T0 + 6 * DAY_MS)).toBe(DAY_MS);
+  });
+
+  it('uses vacation days on the opponent\'s turn without stopping their clock', () => {
+    game.startVacation('black', T0);
+    expect(game.getRemainingMs('white', T0 + DAY_MS)).toBe(2 * DAY_MS);
+    expect(game.getVacationLeftMs('black', T0 + DAY_MS)).toBe(9 * DAY_MS);
+
+    // Black's turn starts while on vacation
+    game.makeMove(T0 + DAY_MS);
+    expect(game.getRemainingMs('black', T0 + 3 * DAY_MS)).toBe(3 * DAY_MS);
+  });
+
+  it('ends a vacation when its days run out', () => {
+    game.startVacation('white', T0);
+    game.update(T0 + 12 * DAY_MS);
+    expect(game.isOnVacation('white', T0 + 12 * DAY_MS)).toBe(false);
+    expect(game.players.white.vacationLeftMs).toBe(0);
+    expect(game.getRemainingMs('white', T0 + 12 * DAY_MS)).toBe(DAY_MS);
+    expect(game.startVacation('white', T0 + 12 * DAY_MS)).toBe(false);
+  });
+
+  it('ends a vacation when the player moves', () => {
+    game.startVacation('white', T0);
+    game.makeMove(T0 + 2 * DAY_MS);
+    expect(game.players.white.vacationSince).toBeNull();
+    expect(game.players.white.bankMs).toBe(6 * DAY_MS);
+    expect(game.players.white.vacationLeftMs).toBe(8 * DAY_MS);
+  });
+
+  it('survives a save and load round trip', () => {
+    game.makeMove(T0 + DAY_MS);
+    game.startVacation('black', T0 + DAY_MS);
+    const restored = new CorrespondenceGame(JSON.parse(JSON.stringify(game.toJSON())));
+    expect(restored.toJSON()).toEqual(game.toJSON());
+    expect(restored.getRemainingMs('black', T0 + 4 * DAY_MS)).toBe(3 * DAY_MS);
+  });
+
+  it('can be ended by hand', () => {
+    expect(game.end(T0 + HOUR_MS)).toBe(true);
+    expect(game.result).toEqual({ reason: CorrespondenceEvent.END, at: T0 + HOUR_MS });
+    expect(game.end(T0 + HOUR_MS)).toBe(false);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { DelayIncrementMethod } from '../../src/js/engine/methods/DelayIncrementMethod.js';
+import { PlayerState } from '../../src/js/state/PlayerState.js';
+import { TimingMethodType } from '../../src/js/utils/constants.js';
+
+describe('DelayIncrementMethod', () => {
+  let method;
+  let player;
+
+  beforeEach(() => {
+    method = new DelayIncrementMethod({ timeMs: 3600000, delayMs: 5000, incrementMs: 5000 }); // G/60; d5 +5
+    player = new PlayerState('left');
+    player.init({ timeMs: 3600000 });
+  });
+
+  it('returns correct type', () => {
+    expect(method.getType()).toBe(TimingMethodType.DELAY_INCREMENT);
+  });
+
+  it('burns the delay before main time', () => {
+    method.onTurnStart(player);
+    method.onTick(3000, player);
+    expect(player.inDelay).toBe(true);
+    expect(player.delayRemainingMs).toBe(2000);
+    expect(player.timeMs).toBe(3600000);
+  });
+
+  it('adds the bonus after a move within the delay', () => {
+    method.onTurnStart(player);
+    method.onTick(3000, player);
+    method.onTurnEnd(player);
+    expect(player.timeMs).toBe(3605000);
+    expect(player.inDelay).toBe(false);
+    expect(player.delayRemainingMs).toBe(0);
+  });
+
+  it('adds the bonus after the delay has run out', () => {
+    method.onTurnStart(player);
+    method.onTick(8000, player); // 5s delay + 3s main time
+    method.onTurnEnd(player);
+    expect(player.timeMs).toBe(3600000 - 3000 + 5000);
+  });
+
+  it('adds no bonus once expired', () => {
+    player.timeMs = 1000;
+    method.onTurnStart(player);
+    const result = method.onTick(7000, player);
+    expect(result.expired).toBe(true);
+    method.onTurnEnd(player);
+    expect(player.timeMs).toBe(0);
+  });
+});
@@ -43,6 +43,38 @@ describe('FischerMethod', () => {
     expect(player.timeMs).toBe(0);
   });
 
+  describe('capped increment', () => {
+    let capped;
+
+    beforeEach(() => {
+      capped = new FischerMethod({ timeMs: 180000, delayMs: 2000, capMs: 180000 });
+    });
+
+    it('adds the full bonus while below the cap', () => {
+      player.timeMs = 170000;
+      capped.onTurnEnd(player);
+      expect(player.timeMs).toBe(172000);
+    });
+
+    it('clamps the bonus at the cap', () => {
+      capped.onTick(500, player);
+      capped.onTurnEnd(player);
+      expect(player.timeMs).toBe(180000); // not 181500
+    });
+
+    it('never takes away time already above the cap', () => {
+      player.timeMs = 200000;
+      capped.onTurnEnd(player);
+      expect(player.timeMs).toBe(200000);
+    });
+
+    it('does not cap when capMs is 0', () => {
+      method.onTick(500, player);
+      method.onTurnEnd(player);
+      expect(player.timeMs).toBe(181500);
+    });
+  });
+
   describe('move-based period transitions', () => {
     it('reports period complete by moves when threshold reached', () => {
       const methodWithMoves = new FischerMethod({
@@ -63,4 +95,25 @@ describe('FischerMethod', () => {
       expect(method.isPeriodCompleteByMoves(player)).toBe(false);
     });
   });
+
+  describe('increment from move', () => {
+    let late;
+
+    beforeEach(() => {
+      late = new FischerMethod({ timeMs: 5400000, delayMs: 30000, incrementFromMove: 41 });
+      player.init({ timeMs: 5400000 });
+    });
+
+    it('adds no bonus before the starting move', () => {
+      player.moves = 39; // completing move 40
+      late.onTurnEnd(player);
+      expect(player.timeMs).toBe(5400000);
+    });
+
+    it('adds the bonus from the starting move on', () => {
+      player.moves = 40; // completing move 41
+      late.onTurnEnd(player);
+      expect(player.timeMs).toBe(5430000);
+    });
+  });
 });
@@ -0,0 +1,70 @@
+import { describe, it, expect } from '@jest/globals';
+import { GameSimulator } from '../../src/js/engine/GameSimulator.js';
+import { FlagState, GameStatus, Player, TimingMethodType } from '../../src/js/utils/constants.js';
+
+describe('GameSimulator', () => {
+  const T0 = Date.UTC(2026, 0, 1);
+
+  const classical = {
+    periods: [
+      { method: TimingMethodType.TIME, timeMs: 7200000, movesRequired: 40 },
+      { method: TimingMethodType.TIME, timeMs: 3600000 },
+    ],
+    freezeDefault: true,
+    soundDefault: false,
+  };
+
+  it('charges a press to the exact millisecond', () => {
+    const sim = new GameSimulator(classical);
+    sim.press(Player.LEFT);
+    const state = sim.run([{ at: 12300, press: Player.RIGHT }, { advance: 700 }]);
+
+    expect(state[0].players.right.timeMs).toBe(7200000 - 12300);
+    expect(state[0].activePlayer).toBe(Player.LEFT);
+    expect(state[1].players.left.timeMs).toBe(7200000 - 700);
+  });
+
+  it('ignores presses by the player who is not to move', () => {
+    const sim = new GameSimulator(classical);
+    sim.press(Player.LEFT);
+    sim.advance(1000);
+    expect(sim.press(Player.LEFT).activePlayer).toBe(Player.RIGHT);
+  });
+
+  it('adds the next period after 40 moves', () => {
+    const sim = new GameSimulator(classical);
+    sim.press(Player.LEFT);
+    const state = sim.playMoves(80, 60000);
+
+    expect(state.players.right.moves).toBe(40);
+    expect(state.players.right.currentPeriod).toBe(1);
+    expect(state.players.right.timeMs).toBe(7200000 - 40 * 60000 + 3600000);
+    expect(state.players.left.currentPeriod).toBe(1);
+  });
+
+  it('freezes at the flag and dates it exactly', () => {
+    const sim = new GameSimulator({
+      periods: [{ method: TimingMethodType.FISCHER, timeMs: 60000, delayMs: 2000 }],
+      freezeDefault: true,
+    }, { wallStartMs: T0 });
+    sim.press(Player.LEFT);
+    sim.playMoves(2, 10000);
+    const state = sim.advance(600000);
+
+    expect(state.status).toBe(GameStatus.FROZEN);
+    expect(state.players.right.flagState).toBe(FlagState.BLINKING);
+    expect(state.players.right.flagSetTime).toBe(T0 + 20000 + 52000);
+    expect(state.players.left.timeMs).toBe(52000);
+  });
+
+  it('stops the clock during a pause', () => {
+    const sim = new GameSimulator(classical);
+    sim.press(Player.LEFT);
+    sim.advance(5000);
+    sim.pause();
+    sim.advance(60000);
+    const state = sim.resume();
+    expect(state.players.right.timeMs).toBe(7200000 - 5000);
+    expect(sim.advance(1000).players.right.timeMs).toBe(7200000 - 6000);
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from '@jest/globals';
 import { GameState } from '../../src/js/state/GameState.js';
-import { GameStatus, Player, FlagState, TimingMethodType } from '../../src/js/utils/constants.js';
+import { GameStatus, Player, FlagState, TimingMethodType, ArbiterAction } from '../../src/js/utils/constants.js';
+import { createArmageddonConfig, validateArmageddonBid, createHandicapConfig, getPreset } from '../../src/js/presets/presets.js';
 
 describe('GameState', () => {
   let gs;
@@ -123,6 +124,64 @@ describe('GameState', () => {
       gs.freeze();
       expect(gs.status).toBe(GameStatus.FROZEN);
     });
+
+    it('holds both clocks for a challenge without pausing', () => {
+      gs.startGame(Player.LEFT);
+      gs.startChallengeHold();
+      expect(gs.status).toBe(GameStatus.CHALLENGE);
+
+      gs.enterCorrectionMode();
+      expect(gs.status).toBe(GameStatus.CHALLENGE); // Not a pause
+
+      gs.endChallengeHold();
+      expect(gs.status).toBe(GameStatus.RUNNING);
+      expect(gs.activePlayer).toBe(Player.RIGHT);
+    });
+
+    it('ignores a challenge hold when not running', () => {
+      gs.startChallengeHold();
+      expect(gs.status).toBe(GameStatus.IDLE);
+    });
+
+    it('uses a separate period list per player', () => {
+      gs.initGame({
+        ...basicConfig,
+        rightPeriods: [
+          { method: TimingMethodType.FISCHER, timeMs: 600000, delayMs: 5000 },
+          { method: TimingMethodType.BYO_YOMI, byoTimeMs: 30000, byoMoments: 3 },
+        ],
+      });
+      expect(gs.left.timeMs).toBe(300000);
+      expect(gs.right.timeMs).toBe(600000);
+      expect(gs.getPeriods(Player.LEFT)).toBe(basicConfig.periods);
+      expect(gs.isInFinalPeriod(Player.LEFT)).toBe(true);
+      expect(gs.isInFinalPeriod(Player.RIGHT)).toBe(false);
+      expect(gs.getCurrentPeriodConfig(Player.RIGHT).method).toBe(TimingMethodType.FISCHER);
+    });
+
+    it('rejects an empty per-player period list', () => {
+      expect(() => gs.initGame({ ...basicConfig, leftPeriods: [] })).toThrow();
+    });
+
+    it('repeats periods only for a valid repeat marker', () => {
+      gs.initGame({ ...basicConfig, repeatFromPeriod: 1 });
+      expect(gs.getRepeatStartIndex(Player.LEFT)).toBe(0);
+      expect(gs.isInFinalPeriod(Player.LEFT)).toBe(false);
+
+      gs.initGame({ ...basicConfig, repeatFromPeriod: 2 });
+      expect(gs.getRepeatStartIndex(Player.LEFT)).toBe(-1);
+      expect(gs.isInFinalPeriod(Player.LEFT)).toBe(true);
+    });
+
+    it('creates a result with the final times', () => {
+      gs.startGame(Player.LEFT);
+      gs.left.timeMs = 12000;
+      gs.right.moves = 3;
+      const result = gs.createResult();
+      expect(result.left.timeMs).toBe(12000);
+      expect(result.right.moves).toBe(3);
+      expect(result.left.color).toBe('white');
+    });
   });
 
   describe('correction mode', () => {
@@ -148,6 +207,50 @@ describe('GameState', () => {
       gs.enterCorrectionMode();
       expect(gs.status).toBe(GameStatus.RUNNING); // Unchanged
     });
+
+    it('stores arbiter interventions with the result until a reset', () => {
+      expect(gs.createResult().interventions).toBeUndefined();
+      gs.logIntervention(ArbiterAction.INCREMENT_ADDED, { method: TimingMethodType.FISCHER, bonusMs: 5000 });
+      const [entry] = gs.createResult().interventions;
+      expect(entry).toMatchObject({ type: ArbiterAction.INCREMENT_ADDED, method: TimingMethodType.FISCHER, bonusMs: 5000 });
+      expect(typeof entry.at).toBe('number');
+
+      gs.reset();
+      expect(gs.interventions).toEqual([]);
+    });
+  });
+
+  describe('snapshot and restore', () => {
+    it('restores a game in progress into a fresh state', () => {
+      gs.initGame(basicConfig);
+      gs.selectedOption = 7;
+      gs.startGame(Player.LEFT);
+      gs.switchTurn();
+      gs.left.timeMs = 250000;
+      gs.logIntervention(ArbiterAction.INCREMENT_ADDED, { bonusMs: 5000 });
+      gs.pause();
+
+      const restored = new GameState();
+      restored.restore(JSON.parse(JSON.stringify(gs.snapshot())));
+      expect(restored.selectedOption).toBe(7);
+      expect(restored.status).toBe(GameStatus.PAUSED);
+      expect(restored.activePlayer).toBe(gs.activePlayer);
+      expect(restored.hasBeenStarted).toBe(true);
+      expect(restored.left.timeMs).toBe(250000);
+      expect(restored.right.moves).toBe(gs.right.moves);
+      expect(restored.interventions).toHaveLength(1);
+    });
+
+    it('comes back from correction mode in the status from before', () => {
+      gs.initGame(basicConfig);
+      gs.startGame(Player.LEFT);
+      gs.pause();
+      gs.enterCorrectionMode();
+
+      const restored = new GameState();
+      restored.restore(gs.snapshot());
+      expect(restored.status).toBe(GameStatus.PAUSED);
+    });
   });
 
   describe('reset', () => {
@@ -252,4 +355,185 @@ describe('GameState', () => {
       expect(gs.isInFinalPeriod(Player.LEFT)).toBe(false);
     });
   });
+
+  describe('armageddon', () => {
+    it('gives Black with the bid time to the lower bid', () => {
+      const config = createArmageddonConfig({ whiteTimeMs: 300000, leftBidMs: 250000, rightBidMs: 200000 });
+      expect(config.blackSide).toBe(Player.RIGHT);
+      expect(config.leftTimeMs).toBe(300000);
+      expect(config.rightTimeMs).toBe(200000);
+      expect(config.periods[0].method).toBe(TimingMethodType.TIME);
+    });
+
+    it('rejects bids of no time or above the base time', () => {
+      expect(validateArmageddonBid(0, 300000)).not.toBeNull();
+      expect(validateArmageddonBid(300001, 300000)).not.toBeNull();
+      expect(validateArmageddonBid(300000, 300000)).toBeNull();
+      expect(() => createArmageddonConfig({ whiteTimeMs: 300000, leftBidMs: 400000, rightBidMs: 200000 })).toThrow();
+      expect(() => createArmageddonConfig({ whiteTimeMs: 300000, leftBidMs: 200000, rightBidMs: 0 })).toThrow();
+      expect(() => createArmageddonConfig({ whiteTimeMs: 0, leftBidMs: 0, rightBidMs: 0 })).toThrow();
+    });
+
+    it('breaks ties', () => {
+      const config = createArmageddonConfig({
+        whiteTimeMs: 300000, leftBidMs: 300000, rightBidMs: 300000, incrementMs: 2000, tieBreak: Player.LEFT,
+      });
+      expect(config.bids).toEqual({ left: 300000, right: 300000 });
+      expect(config.blackSide).toBe(Player.LEFT);
+      expect(config.periods[0]).toEqual({ method: TimingMethodType.FISCHER, timeMs: 300000, delayMs: 2000 });
+    });
+
+    it('fixes colours and starts Black\'s clock whoever taps', () => {
+      gs.initGame(createArmageddonConfig({ whiteTimeMs: 300000, leftBidMs: 180000, rightBidMs: 240000 }));
+      expect(gs.left.color).toBe('black');
+      expect(gs.right.color).toBe('white');
+      expect(gs.left.timeMs).toBe(180000);
+
+      gs.startGame(Player.LEFT);
+      expect(gs.activePlayer).toBe(Player.LEFT);
+      expect(gs.left.color).toBe('black');
+    });
+
+    it('records the draw odds side in the result', () => {
+      gs.initGame(basicConfig);
+      expect(gs.getDrawOddsSide()).toBeNull();
+      expect(gs.createResult().drawOddsSide).toBeNull();
+
+      gs.initGame(createArmageddonConfig({ whiteTimeMs: 300000, leftBidMs: 240000, rightBidMs: 180000 }));
+      expect(gs.getDrawOddsSide()).toBe(Player.RIGHT);
+      expect(gs.createResult().drawOddsSide).toBe(Player.RIGHT);
+    });
+  });
+
+  describe('rating handicap', () => {
+    it('reduces the stronger player\'s time by a ratio per 100 points', () => {
+      const config = createHandicapConfig({
+        preset: getPreset(1), leftRating: 2000, rightRating: 1800, ratioPer100: 0.2,
+      });
+      expect(config.leftTimeMs).toBe(192000); // 300s * 0.8^2
+      expect(config.rightTimeMs).toBe(300000);
+
+      gs.initGame(config);
+      expect(gs.left.timeMs).toBe(192000);
+      expect(gs.right.timeMs).toBe(300000);
+    });
+
+    it('never goes below the minimum time', () => {
+      const config = createHandicapConfig({
+        preset: getPreset(1), leftRating: 1200, rightRating: 2400, ratioPer100: 0.5, minTimeMs: 90000,
+      });
+      expect(config.leftTimeMs).toBe(300000);
+      expect(config.rightTimeMs).toBe(90000);
+    });
+
+    it('keeps equal times for equal ratings and leaves the preset untouched', () => {
+      const config = createHandicapConfig({ preset: getPreset(1), leftRating: 1600, rightRating: 1600 });
+      expect(config.leftTimeMs).toBe(300000);
+      expect(config.rightTimeMs).toBe(300000);
+      expect(config.id).toBeUndefined();
+      expect(getPreset(1).name).toBe('5 min');
+    });
+  });
+
+  describe('berserk', () => {
+    const arenaConfig = { ...basicConfig, berserk: true };
+
+    it('is only available when the option allows it', () => {
+      gs.initGame(basicConfig);
+      expect(gs.canToggleBerserk(Player.LEFT)).toBe(false);
+      expect(gs.toggleBerserk(Player.LEFT)).toBe(false);
+      expect(gs.left.timeMs).toBe(300000);
+    });
+
+    it('halves the time of one player and can be undone', () => {
+      gs.initGame(arenaConfig);
+      expect(gs.toggleBerserk(Player.RIGHT)).toBe(true);
+      expect(gs.right.berserk).toBe(true);
+      expect(gs.right.timeMs).toBe(150000);
+      expect(gs.left.timeMs).toBe(300000);
+
+      gs.toggleBerserk(Player.RIGHT);
+      expect(gs.right.berserk).toBe(false);
+      expect(gs.right.timeMs).toBe(300000);
+    });
+
+    it('gives back only the time it took off', () => {
+      gs.initGame({ ...arenaConfig, periods: [{ method: TimingMethodType.TIME, timeMs: 180000 }] });
+      gs.startGame(Player.LEFT); // Right (black) to move
+      gs.right.timeMs -= 120000; // Thinks 2 minutes of 3
+
+      gs.toggleBerserk(Player.RIGHT);
+      expect(gs.right.timeMs).toBe(0);
+      gs.toggleBerserk(Player.RIGHT);
+      expect(gs.right.berserk).toBe(false);
+      expect(gs.right.timeMs).toBe(60000);
+    });
+
+    it('stays available until the player completes a move', () => {
+      gs.initGame(arenaConfig);
+      gs.startGame(Player.LEFT); // Right (black) to move
+      expect(gs.canToggleBerserk(Player.RIGHT)).toBe(true);
+      gs.switchTurn();
+      expect(gs.right.hasStarted).toBe(true);
+      expect(gs.canToggleBerserk(Player.RIGHT)).toBe(false);
+      expect(gs.canToggleBerserk(Player.LEFT)).toBe(true);
+    });
+
+    it('records berserk in the result', () => {
+      gs.initGame(arenaConfig);
+      gs.toggleBerserk(Player.LEFT);
+      const result = gs.createResult();
+      expect(result.left.berserk).toBe(true);
+      expect(result.right.berserk).toBe(false);
+    });
+  });
+
+  describe('three and four players', () => {
+    it('keeps two players by default', () => {
+      gs.initGame(basicConfig);
+      expect(gs.getSides()).toEqual([Player.LEFT, Player.RIGHT]);
+      expect(gs.getPlayerCount()).toBe(2);
+    });
+
+    it('seats players around the table in clockwise turn order', () => {
+      gs.initGame({ ...basicConfig, playerCount: 4 });
+      expect(gs.getSides()).toEqual([Player.BOTTOM, Player.LEFT, Player.TOP, Player.RIGHT]);
+      expect(gs.bottom.timeMs).toBe(300000);
+      expect(gs.top.color).toBe('none');
+
+      gs.startGame(Player.RIGHT); // Right taps: bottom moves first
+      expect(gs.activePlayer).toBe(Player.BOTTOM);
+      gs.switchTurn();
+      expect(gs.activePlayer).toBe(Player.LEFT);
+      gs.switchTurn();
+      gs.switchTurn();
+      expect(gs.activePlayer).toBe(Player.RIGHT);
+      gs.switchTurn();
+      expect(gs.activePlayer).toBe(Player.BOTTOM);
+    });
+
+    it('follows a configured turn order', () => {
+      gs.initGame({ ...basicConfig, turnOrder: [Player.LEFT, Player.RIGHT, Player.TOP] });
+      expect(gs.getPlayerCount()).toBe(3);
+      gs.startGame(Player.TOP);
+      expect(gs.activePlayer).toBe(Player.LEFT);
+      gs.switchTurn();
+      expect(gs.activePlayer).toBe(Player.RIGHT);
+      expect(gs.getOpponent(Player.RIGHT)).toBe(gs.top);
+    });
+
+    it('rejects invalid player counts and turn orders', () => {
+      expect(() => gs.initGame({ ...basicConfig, playerCount: 5 })).toThrow();
+      expect(() => gs.initGame({ ...basicConfig, turnOrder: [Player.LEFT, Player.LEFT, Player.TOP] })).toThrow();
+      expect(() => gs.initGame({ ...basicConfig, turnOrder: [Player.LEFT, Player.BOTTOM, Player.TOP] })).toThrow();
+    });
+
+    it('records every seat in the result', () => {
+      gs.initGame({ ...basicConfig, playerCount: 3, topTimeMs: 200000 });
+      const result = gs.createResult();
+      expect(result.turnOrder).toEqual([Player.LEFT, Player.TOP, Player.RIGHT]);
+      expect(result.top.timeMs).toBe(200000);
+      expect(result.bottom).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { HourglassMethod } from '../../src/js/engine/methods/HourglassMethod.js';
+import { PlayerState } from '../../src/js/state/PlayerState.js';
+import { TimingMethodType } from '../../src/js/utils/constants.js';
+
+describe('HourglassMethod', () => {
+  let method;
+  let player;
+
+  beforeEach(() => {
+    method = new HourglassMethod({ timeMs: 60000 }); // 1 min
+    player = new PlayerState('left');
+    player.init({ timeMs: 60000 });
+  });
+
+  it('returns correct type', () => {
+    expect(method.getType()).toBe(TimingMethodType.HOURGLASS);
+  });
+
+  it('counts down and reports the time spent for transfer', () => {
+    const result = method.onTick(1000, player);
+    expect(player.timeMs).toBe(59000);
+    expect(result.expired).toBe(false);
+    expect(result.transferMs).toBe(1000);
+  });
+
+  it('only transfers the time the player actually had', () => {
+    player.timeMs = 300;
+    const result = method.onTick(1000, player);
+    expect(result.expired).toBe(true);
+    expect(player.timeMs).toBe(0);
+    expect(result.transferMs).toBe(300);
+  });
+
+  it('does nothing on turn start or end', () => {
+    const timeBefore = player.timeMs;
+    method.onTurnStart(player);
+    method.onTurnEnd(player);
+    expect(player.timeMs).toBe(timeBefore);
+  });
+
+  it('isExpired returns true at zero', () => {
+    player.timeMs = 0;
+    expect(method.isExpired(player)).toBe(true);
+  });
+});
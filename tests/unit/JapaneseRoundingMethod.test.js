@@ -0,0 +1,63 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { JapaneseRoundingMethod } from '../../src/js/engine/methods/JapaneseRoundingMethod.js';
+import { PlayerState } from '../../src/js/state/PlayerState.js';
+import { TimingMethodType } from '../../src/js/utils/constants.js';
+
+describe('JapaneseRoundingMethod', () => {
+  let method;
+  let player;
+
+  beforeEach(() => {
+    method = new JapaneseRoundingMethod({ timeMs: 600000 }); // 10 min
+    player = new PlayerState('left');
+    player.init({ timeMs: 600000 });
+  });
+
+  it('returns correct type', () => {
+    expect(method.getType()).toBe(TimingMethodType.JP_ROUNDING);
+  });
+
+  it('does not charge a move shorter than one minute', () => {
+    method.onTurnStart(player);
+    method.onTick(59000, player);
+    method.onTurnEnd(player);
+    expect(player.timeMs).toBe(600000);
+  });
+
+  it('charges longer moves in whole minutes, rounded down', () => {
+    method.onTurnStart(player);
+    method.onTick(150000, player); // 2m30s
+    method.onTurnEnd(player);
+    expect(player.timeMs).toBe(480000);
+  });
+
+  it('shows remaining minutes and the stopwatch during a move', () => {
+    method.onTurnStart(player);
+    method.onTick(70000, player);
+    expect(method.getDisplayTime(player)).toBe(540000);
+    expect(method.getMoveElapsedMs()).toBe(70000);
+  });
+
+  it('has no stopwatch between moves', () => {
+    expect(method.getMoveElapsedMs()).toBeNull();
+    method.onTurnStart(player);
+    method.onTurnEnd(player);
+    expect(method.getMoveElapsedMs()).toBeNull();
+  });
+
+  it('starts the move on the first tick if no turn start was seen', () => {
+    method.onTick(30000, player);
+    method.onTurnEnd(player);
+    expect(player.timeMs).toBe(600000);
+  });
+
+  it('expires when the main time is used up', () => {
+    method.onTurnStart(player);
+    const result = method.onTick(600000, player);
+    expect(result.expired).toBe(true);
+    expect(player.timeMs).toBe(0);
+    method.onTurnEnd(player);
+    expect(player.timeMs).toBe(0);
+    expect(method.isExpired(player)).toBe(true);
+  });
+});
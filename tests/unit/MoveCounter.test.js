@@ -47,4 +47,15 @@ describe('MoveCounter', () => {
     expect(mc.getChessMoveNumber('left')).toBe(10);
     expect(mc.getChessMoveNumber('right')).toBe(9);
   });
+
+  it('gets the round number of a multi-player game', () => {
+    expect(mc.getRoundNumber()).toBe(0);
+    mc.recordMove('bottom');
+    mc.recordMove('left');
+    mc.recordMove('top');
+    expect(mc.getRoundNumber()).toBe(1);
+    mc.recordMove('right');
+    mc.recordMove('bottom');
+    expect(mc.getRoundNumber()).toBe(2);
+  });
 });
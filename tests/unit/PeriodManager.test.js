@@ -1,11 +1,15 @@
 import { describe, it, expect, beforeEach } from '@jest/globals';
 import { PeriodManager } from '../../src/js/engine/PeriodManager.js';
 import { GameState } from '../../src/js/state/GameState.js';
+import { getPreset, withMoveLimit } from '../../src/js/presets/presets.js';
 import { TimingMethodType, Player, FlagState } from '../../src/js/utils/constants.js';
 import { TimeMethod } from '../../src/js/engine/methods/TimeMethod.js';
 import { FischerMethod } from '../../src/js/engine/methods/FischerMethod.js';
 import { ByoYomiMethod } from '../../src/js/engine/methods/ByoYomiMethod.js';
 import { UpcountMethod } from '../../src/js/engine/methods/UpcountMethod.js';
+import { HourglassMethod } from '../../src/js/engine/methods/HourglassMethod.js';
+import { DelayIncrementMethod } from '../../src/js/engine/methods/DelayIncrementMethod.js';
+import { JapaneseRoundingMethod } from '../../src/js/engine/methods/JapaneseRoundingMethod.js';
 
 describe('PeriodManager', () => {
   let gs;
@@ -87,6 +91,355 @@ describe('PeriodManager', () => {
     });
   });
 
+  describe('move-based transitions (40 moves in 2h, then 1h)', () => {
+    const setup = (method) => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [
+          { method, timeMs: 7200000, delayMs: 30000, movesRequired: 40 },
+          { method: TimingMethodType.TIME, timeMs: 3600000 },
+        ],
+        freezeDefault: false,
+        soundDefault: false,
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    };
+
+    for (const method of [TimingMethodType.TIME, TimingMethodType.DELAY, TimingMethodType.US_DELAY, TimingMethodType.FISCHER]) {
+      it(`adds the next period's time when move 40 is completed (${method})`, () => {
+        setup(method);
+        gs.left.moves = 39;
+        expect(pm.onMoveCompleted('left').periodTransition).toBe(false);
+
+        const timeBefore = gs.left.timeMs;
+        gs.left.moves = 40;
+        const result = pm.onMoveCompleted('left');
+        expect(result.periodTransition).toBe(true);
+        expect(gs.left.currentPeriod).toBe(1);
+        expect(gs.left.timeMs).toBe(timeBefore + 3600000);
+        expect(gs.left.flagState).toBe(FlagState.NONE);
+      });
+    }
+
+    it('transitions each player independently', () => {
+      setup(TimingMethodType.TIME);
+      gs.left.moves = 40;
+      pm.onMoveCompleted('left');
+      expect(gs.left.currentPeriod).toBe(1);
+      expect(gs.right.currentPeriod).toBe(0);
+    });
+
+    it('counts down moves to the time control', () => {
+      setup(TimingMethodType.DELAY);
+      expect(pm.getMovesToTimeControl('left')).toBe(40);
+      gs.left.moves = 25;
+      expect(pm.getMovesToTimeControl('left')).toBe(15);
+      gs.left.moves = 40;
+      pm.onMoveCompleted('left');
+      expect(pm.getMovesToTimeControl('left')).toBe(0);
+    });
+
+    it('never flags a player for completing moves in the final period', () => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [{ method: TimingMethodType.FISCHER, timeMs: 180000, delayMs: 2000, movesRequired: 40 }],
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+      gs.left.moves = 40;
+      const result = pm.onMoveCompleted('left');
+      expect(result.expired).toBe(false);
+      expect(result.periodTransition).toBe(false);
+      expect(gs.left.flagState).toBe(FlagState.NONE);
+      expect(pm.getMovesToTimeControl('left')).toBe(0);
+    });
+  });
+
+  describe('Canadian byo-yomi move group', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [{ method: TimingMethodType.CANADIAN_BYO, byoTimeMs: 300000, movesRequired: 25 }],
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    });
+
+    it('reports moves remaining and block time', () => {
+      pm.onTurnEnd('left');
+      expect(pm.getByoMoveGroup('left')).toEqual({ movesRemaining: 24, blockTimeMs: 300000 });
+    });
+
+    it('returns null for other methods', () => {
+      pm.activeMethods.set('left', PeriodManager.createMethod({ method: TimingMethodType.TIME, timeMs: 1000 }));
+      expect(pm.getByoMoveGroup('left')).toBeNull();
+    });
+
+    it('keeps the manual reload as an override', () => {
+      gs.left.timeMs = 0;
+      gs.left.setFlag(FlagState.BLINKING);
+      expect(pm.reloadCanadianByo('left')).toBe(true);
+      expect(gs.left.timeMs).toBe(300000);
+      expect(gs.left.flagState).toBe(FlagState.NONE);
+    });
+  });
+
+  describe('upcount penalty', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [
+          { method: TimingMethodType.TIME, timeMs: 60000 },
+          { method: TimingMethodType.UPCOUNT, penaltyPoints: 10, penaltyUnitMs: 60000 },
+        ],
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    });
+
+    it('has no penalty before overtime', () => {
+      expect(pm.getPenaltyPoints('left')).toBeNull();
+    });
+
+    it('counts penalty points in overtime', () => {
+      pm.onTick(60000, 'left');
+      expect(pm.getMethodType('left')).toBe(TimingMethodType.UPCOUNT);
+      pm.onTick(90000, 'left');
+      expect(pm.getPenaltyPoints('left')).toBe(20);
+    });
+  });
+
+  describe('separate period lists per player', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [{ method: TimingMethodType.TIME, timeMs: 300000 }],
+        rightPeriods: [
+          { method: TimingMethodType.FISCHER, timeMs: 60000, delayMs: 5000 },
+          { method: TimingMethodType.BYO_YOMI, byoTimeMs: 30000, byoMoments: 3 },
+        ],
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    });
+
+    it('creates each player\'s own first method', () => {
+      expect(pm.getMethodType('left')).toBe(TimingMethodType.TIME);
+      expect(pm.getMethodType('right')).toBe(TimingMethodType.FISCHER);
+    });
+
+    it('moves only the player with a next period on', () => {
+      const result = pm.onTick(60000, 'right');
+      expect(result.periodTransition).toBe(true);
+      expect(pm.getMethodType('right')).toBe(TimingMethodType.BYO_YOMI);
+      expect(gs.right.timeMs).toBe(30000);
+      expect(gs.left.currentPeriod).toBe(0);
+      expect(gs.left.timeMs).toBe(300000);
+    });
+
+    it('flags the player at the end of their own list', () => {
+      const result = pm.onTick(300000, 'left');
+      expect(result.expired).toBe(true);
+      expect(gs.left.flagState).toBe(FlagState.BLINKING);
+    });
+  });
+
+  describe('repeating periods (40/2h, then 20/1h repeating)', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [
+          { method: TimingMethodType.TIME, timeMs: 7200000, movesRequired: 40 },
+          { method: TimingMethodType.TIME, timeMs: 3600000, movesRequired: 20 },
+        ],
+        repeatFromPeriod: 2,
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    });
+
+    const completeMoves = (count) => {
+      for (let i = 0; i < count; i++) {
+        gs.left.moves++;
+        pm.onMoveCompleted('left');
+      }
+    };
+
+    it('is never in the final period', () => {
+      completeMoves(40);
+      expect(gs.left.currentPeriod).toBe(1);
+      expect(gs.isInFinalPeriod('left')).toBe(false);
+    });
+
+    it('restarts the cycle after the last period', () => {
+      completeMoves(60);
+      expect(gs.left.currentPeriod).toBe(1);
+      expect(gs.left.periodRepeat).toBe(1);
+      expect(gs.left.timeMs).toBe(7200000 + 3600000 + 3600000);
+
+      completeMoves(20);
+      expect(gs.left.periodRepeat).toBe(2);
+      expect(pm.getMovesToTimeControl('left')).toBe(20);
+    });
+
+    it('repeats on time expiry for both players in the same cycle', () => {
+      completeMoves(40);
+      gs.right.moves = 40;
+      pm.onMoveCompleted('right');
+      gs.left.timeMs = 100;
+      gs.right.timeMs = 5000;
+
+      const result = pm.onTick(100, 'left');
+      expect(result.periodTransition).toBe(true);
+      expect(gs.left.periodRepeat).toBe(1);
+      expect(gs.right.periodRepeat).toBe(1);
+      expect(gs.right.timeMs).toBe(5000 + 3600000);
+    });
+  });
+
+  describe('flag fall time', () => {
+    const T0 = Date.UTC(2026, 0, 1);
+
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [
+          { method: TimingMethodType.TIME, timeMs: 300000 },
+          { method: TimingMethodType.BYO_YOMI, byoTimeMs: 30000, byoMoments: 1 },
+        ],
+        moveLimitMs: 600000,
+        freezeDefault: false,
+        soundDefault: false,
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+      pm.onTurnStart('left');
+    });
+
+    it('dates the flag to the moment the time ran out within the tick', () => {
+      gs.left.timeMs = 100;
+      pm.onTick(900, 'left', T0 + 900);
+      expect(gs.left.flagState).toBe(FlagState.NON_BLINKING);
+      expect(gs.left.flagSetTime).toBe(T0 + 100);
+    });
+
+    it('charges the rest of the tick to the next period', () => {
+      gs.left.timeMs = 100;
+      pm.onTick(900, 'left', T0 + 900);
+      expect(gs.left.timeMs).toBe(30000 - 800);
+    });
+
+    it('runs through a period that a long tick used up', () => {
+      gs.left.timeMs = 100;
+      const result = pm.onTick(40100, 'left', T0 + 40100);
+      expect(result).toEqual({ expired: true, periodTransition: true });
+      expect(gs.left.timeMs).toBe(0);
+      expect(gs.left.flagState).toBe(FlagState.BLINKING);
+      expect(gs.left.flagSetTime).toBe(T0 + 30100);
+    });
+
+    it('keeps the time of the first flag while the clock runs on at zero', () => {
+      gs.left.currentPeriod = 1;
+      gs.left.timeMs = 100;
+      pm.activeMethods.set('left', PeriodManager.createMethod({ method: TimingMethodType.TIME, timeMs: 0 }));
+      pm.onTick(200, 'left', T0 + 200);
+      pm.onTick(500, 'left', T0 + 700);
+      expect(gs.left.flagSetTime).toBe(T0 + 100);
+    });
+
+    it('dates a move limit flag to the moment the limit was reached', () => {
+      gs.left.timeMs = 3600000;
+      pm.onTick(599000, 'left', T0 + 599000);
+      pm.onTick(2000, 'left', T0 + 601000);
+      expect(gs.left.flagSetTime).toBe(T0 + 600000);
+    });
+  });
+
+  describe('time until an event', () => {
+    it('reports when the running clock reaches a time', () => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [
+          { method: TimingMethodType.TIME, timeMs: 60000 },
+          { method: TimingMethodType.BYO_YOMI, byoTimeMs: 30000, byoMoments: 3 },
+        ],
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+      pm.onTurnStart('left');
+      expect(pm.getMsUntil('left', 10000)).toBe(50000);
+
+      pm.onTick(60000, 'left');
+      expect(pm.getMsUntil('left', 0)).toBe(30000);
+      const result = pm.onTick(30000, 'left');
+      expect(result.momentExpired).toBe(true);
+      expect(pm.getMsUntil('left', 0)).toBe(30000);
+    });
+  });
+
+  describe('per-move limit', () => {
+    const setup = (periods) => {
+      gs = new GameState();
+      gs.initGame({ periods, moveLimitMs: 30000 });
+      pm = new PeriodManager(gs);
+      pm.init();
+    };
+
+    for (const period of [
+      { method: TimingMethodType.TIME, timeMs: 300000 },
+      { method: TimingMethodType.FISCHER, timeMs: 300000, delayMs: 2000 },
+      { method: TimingMethodType.DELAY, timeMs: 300000, delayMs: 5000 },
+      { method: TimingMethodType.BYO_YOMI, byoTimeMs: 60000, byoMoments: 3 },
+    ]) {
+      it(`flags a move that takes too long (${period.method})`, () => {
+        setup([period]);
+        pm.onTurnStart('left');
+        expect(pm.onTick(29000, 'left').expired).toBe(false);
+        expect(pm.getMoveLimitRemainingMs('left')).toBe(1000);
+
+        const result = pm.onTick(1000, 'left');
+        expect(result.expired).toBe(true);
+        expect(result.moveLimitExpired).toBe(true);
+        expect(gs.left.flagState).toBe(FlagState.BLINKING);
+      });
+    }
+
+    it('restarts the countdown on every move', () => {
+      setup([{ method: TimingMethodType.TIME, timeMs: 300000 }]);
+      pm.onTurnStart('left');
+      pm.onTick(25000, 'left');
+      pm.onTurnEnd('left');
+      pm.onTurnStart('left');
+      expect(pm.getMoveLimitRemainingMs('left')).toBe(30000);
+      expect(pm.onTick(25000, 'left').expired).toBe(false);
+    });
+
+    it('reports the flag only once per move', () => {
+      setup([{ method: TimingMethodType.TIME, timeMs: 300000 }]);
+      pm.onTurnStart('left');
+      pm.onTick(30000, 'left');
+      expect(pm.onTick(1000, 'left').expired).toBe(false);
+    });
+
+    it('is off without a limit', () => {
+      setup([{ method: TimingMethodType.TIME, timeMs: 300000 }]);
+      gs.optionConfig.moveLimitMs = 0;
+      expect(pm.getMoveLimitRemainingMs('left')).toBeNull();
+    });
+
+    it('applies a limit added to a preset', () => {
+      gs = new GameState();
+      gs.initGame(withMoveLimit(getPreset(1), 20000));
+      pm = new PeriodManager(gs);
+      pm.init();
+      pm.onTurnStart('left');
+      expect(pm.getMoveLimitRemainingMs('left')).toBe(20000);
+      expect(getPreset(1).moveLimitMs).toBeUndefined();
+      expect(withMoveLimit(getPreset(1), 0)).toBe(getPreset(1));
+    });
+  });
+
   describe('createMethod factory', () => {
     it('creates TimeMethod', () => {
       const m = PeriodManager.createMethod({ method: TimingMethodType.TIME, timeMs: 300000 });
@@ -107,6 +460,92 @@ describe('PeriodManager', () => {
       const m = PeriodManager.createMethod({ method: TimingMethodType.UPCOUNT });
       expect(m).toBeInstanceOf(UpcountMethod);
     });
+
+    it('creates DelayIncrementMethod', () => {
+      const m = PeriodManager.createMethod({
+        method: TimingMethodType.DELAY_INCREMENT, timeMs: 3600000, delayMs: 5000, incrementMs: 5000,
+      });
+      expect(m).toBeInstanceOf(DelayIncrementMethod);
+    });
+
+    it('creates HourglassMethod', () => {
+      const m = PeriodManager.createMethod({ method: TimingMethodType.HOURGLASS, timeMs: 60000 });
+      expect(m).toBeInstanceOf(HourglassMethod);
+    });
+
+    it('creates JapaneseRoundingMethod', () => {
+      const m = PeriodManager.createMethod({ method: TimingMethodType.JP_ROUNDING, timeMs: 600000 });
+      expect(m).toBeInstanceOf(JapaneseRoundingMethod);
+    });
+  });
+
+  describe('minute rounding then byo-yomi', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [
+          { method: TimingMethodType.JP_ROUNDING, timeMs: 120000 },
+          { method: TimingMethodType.BYO_YOMI, byoTimeMs: 60000, byoMoments: 3 },
+        ],
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    });
+
+    it('displays remaining minutes and the in-move stopwatch', () => {
+      pm.onTurnStart('left');
+      pm.onTick(65000, 'left');
+      expect(pm.getDisplayTime('left')).toBe(60000);
+      expect(pm.getMoveElapsedMs('left')).toBe(65000);
+      expect(pm.getMoveElapsedMs('right')).toBeNull();
+    });
+
+    it('restores a move in progress from saved state', () => {
+      pm.onTurnStart('left');
+      pm.onTick(65000, 'left');
+      const state = JSON.parse(JSON.stringify(pm.getState()));
+
+      const restored = new PeriodManager(gs);
+      restored.restoreState(state);
+      expect(restored.getMoveElapsedMs('left')).toBe(65000);
+      restored.onTick(10000, 'left');
+      restored.onTurnEnd('left');
+      expect(gs.left.timeMs).toBe(60000); // One whole minute charged
+    });
+
+    it('enters byo-yomi when the main time runs out', () => {
+      pm.onTurnStart('left');
+      pm.onTick(120000, 'left');
+      expect(pm.getMethodType('left')).toBe(TimingMethodType.BYO_YOMI);
+      expect(pm.getMoveElapsedMs('left')).toBeNull();
+    });
+  });
+
+  describe('hourglass', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [{ method: TimingMethodType.HOURGLASS, timeMs: 60000 }],
+        freezeDefault: true,
+        soundDefault: false,
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    });
+
+    it('moves time spent by the active player to the opponent', () => {
+      pm.onTick(5000, 'left');
+      expect(gs.left.timeMs).toBe(55000);
+      expect(gs.right.timeMs).toBe(65000);
+    });
+
+    it('keeps the total time constant up to expiry', () => {
+      pm.onTick(59000, 'left');
+      const result = pm.onTick(5000, 'left');
+      expect(result.expired).toBe(true);
+      expect(gs.left.timeMs).toBe(0);
+      expect(gs.right.timeMs).toBe(120000);
+    });
   });
 
   describe('turn start/end delegation', () => {
@@ -133,4 +572,140 @@ describe('PeriodManager', () => {
       expect(gs.left.timeMs).toBe(180000 - 5000 + 2000);
     });
   });
+
+  describe('berserk', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [{ method: TimingMethodType.FISCHER, timeMs: 180000, delayMs: 2000 }],
+        berserk: true,
+        freezeDefault: false,
+        soundDefault: false,
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    });
+
+    it('drops the increment for the berserk player only', () => {
+      gs.toggleBerserk(Player.LEFT);
+      pm.applyBerserk(Player.LEFT);
+      expect(gs.left.timeMs).toBe(90000);
+
+      pm.onTurnStart('left');
+      gs.left.timeMs -= 5000;
+      pm.onTurnEnd('left');
+      expect(gs.left.timeMs).toBe(85000);
+
+      pm.onTurnStart('right');
+      gs.right.timeMs -= 5000;
+      pm.onTurnEnd('right');
+      expect(gs.right.timeMs).toBe(177000);
+    });
+
+    it('keeps the increment off after a correction rebuilds the method', () => {
+      gs.toggleBerserk(Player.LEFT);
+      pm.applyBerserk(Player.LEFT);
+      gs.left.timeMs = 60000;
+      pm.rebuildMethod(Player.LEFT);
+
+      pm.onTurnStart('left');
+      gs.left.timeMs -= 5000;
+      pm.onTurnEnd('left');
+      expect(gs.left.timeMs).toBe(55000);
+    });
+
+    it('restores the increment when berserk is undone', () => {
+      gs.toggleBerserk(Player.LEFT);
+      pm.applyBerserk(Player.LEFT);
+      gs.toggleBerserk(Player.LEFT);
+      pm.applyBerserk(Player.LEFT);
+      expect(gs.left.timeMs).toBe(180000);
+
+      pm.onTurnStart('left');
+      pm.onTurnEnd('left');
+      expect(gs.left.timeMs).toBe(182000);
+    });
+  });
+
+  describe('arbiter adds an increment', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [
+          { method: TimingMethodType.TIME, timeMs: 600000, movesRequired: 40 },
+          { method: TimingMethodType.TIME, timeMs: 300000 },
+        ],
+        freezeDefault: true,
+        soundDefault: false,
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+      gs.left.timeMs = 42000;
+    });
+
+    it('switches the current period of both players and keeps their times', () => {
+      expect(pm.canAddIncrement()).toBe(true);
+      pm.addIncrement(TimingMethodType.FISCHER, 5000);
+
+      expect(pm.getMethod('left')).toBeInstanceOf(FischerMethod);
+      expect(pm.getMethod('right')).toBeInstanceOf(FischerMethod);
+      expect(gs.left.timeMs).toBe(42000);
+      expect(pm.canAddIncrement()).toBe(false);
+
+      pm.onTurnStart('left');
+      pm.onTurnEnd('left');
+      expect(gs.left.timeMs).toBe(47000);
+    });
+
+    it('keeps the move control and leaves later periods alone', () => {
+      pm.addIncrement(TimingMethodType.FISCHER, 5000);
+      expect(pm.getMovesToTimeControl('left')).toBe(40);
+      expect(gs.getPeriods('left')[1]).toEqual({ method: TimingMethodType.TIME, timeMs: 300000 });
+    });
+
+    it('survives re-creating the method from the period config (correction save)', () => {
+      pm.addIncrement(TimingMethodType.US_DELAY, 10000);
+      expect(PeriodManager.createMethod(gs.getCurrentPeriodConfig('right')).getType()).toBe(TimingMethodType.US_DELAY);
+    });
+
+    it('is undone by a reset', () => {
+      pm.addIncrement(TimingMethodType.FISCHER, 5000);
+      gs.reset();
+      pm.init();
+      expect(pm.getMethod('left')).toBeInstanceOf(TimeMethod);
+    });
+  });
+
+  describe('four players', () => {
+    beforeEach(() => {
+      gs = new GameState();
+      gs.initGame({
+        periods: [
+          { method: TimingMethodType.TIME, timeMs: 60000 },
+          { method: TimingMethodType.TIME, timeMs: 30000 },
+        ],
+        playerCount: 4,
+        freezeDefault: false,
+        soundDefault: false,
+      });
+      pm = new PeriodManager(gs);
+      pm.init();
+    });
+
+    it('creates a method for every seat', () => {
+      for (const side of gs.getSides()) {
+        expect(pm.getMethod(side)).toBeInstanceOf(TimeMethod);
+      }
+    });
+
+    it('moves all players to the next period on a time-based transition', () => {
+      gs.top.timeMs = 100;
+      const result = pm.onTick(200, 'top');
+      expect(result.periodTransition).toBe(true);
+      for (const side of gs.getSides()) {
+        expect(gs.getPlayer(side).currentPeriod).toBe(1);
+      }
+      expect(gs.left.timeMs).toBe(90000);
+    });
+  });
 });
@@ -0,0 +1,97 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { RoundScheduler } from '../../src/js/engine/RoundScheduler.js';
+import { GameState } from '../../src/js/state/GameState.js';
+import { GameStatus, Player, RoundPhase, TimingMethodType } from '../../src/js/utils/constants.js';
+
+describe('RoundScheduler', () => {
+  let gs;
+  let rounds;
+
+  beforeEach(() => {
+    gs = new GameState();
+    gs.initGame({
+      periods: [{ method: TimingMethodType.TIME, timeMs: 600000 }],
+      freezeDefault: false,
+      soundDefault: false,
+    });
+    rounds = new RoundScheduler(gs);
+    rounds.configure({ count: 2, roundMs: 10000, breakMs: 3000 });
+    gs.startGame(Player.LEFT);
+    rounds.start();
+  });
+
+  it('is off without a schedule', () => {
+    rounds.configure(null);
+    expect(rounds.isEnabled()).toBe(false);
+    expect(rounds.getStatus()).toBeNull();
+    expect(rounds.onTick(60000)).toEqual({ bell: false, phaseChanged: false });
+  });
+
+  it('rejects schedules without rounds or round length', () => {
+    expect(() => rounds.configure({ count: 0, roundMs: 10000 })).toThrow();
+    expect(() => rounds.configure({ count: 2, roundMs: 0 })).toThrow();
+    expect(() => rounds.configure({ count: 2, roundMs: 10000, breakMs: -1 })).toThrow();
+  });
+
+  it('counts the round down only while the clock runs', () => {
+    rounds.onTick(4000);
+    gs.pause();
+    rounds.onTick(4000);
+    expect(rounds.getStatus()).toEqual({ phase: RoundPhase.ROUND, round: 1, count: 2, remainingMs: 6000 });
+  });
+
+  it('rings the bell and pauses the clock for the break', () => {
+    const result = rounds.onTick(10000);
+    expect(result).toEqual({ bell: true, phaseChanged: true });
+    expect(rounds.isInBreak()).toBe(true);
+    expect(gs.status).toBe(GameStatus.PAUSED);
+  });
+
+  it('carries the overshoot into the break', () => {
+    rounds.onTick(10500);
+    expect(rounds.remainingMs).toBe(2500);
+  });
+
+  it('splits a tick at the bell between the clock and the break', () => {
+    rounds.onTick(9000);
+    expect(rounds.splitTick(1500)).toEqual({ beforeMs: 1000, afterMs: 0 });
+    rounds.onTick(1500);
+    expect(rounds.remainingMs).toBe(2500);
+
+    expect(rounds.splitTick(2000)).toEqual({ beforeMs: 0, afterMs: 0 });
+    expect(rounds.splitTick(3000)).toEqual({ beforeMs: 0, afterMs: 500 });
+  });
+
+  it('restores the clock state after the break', () => {
+    gs.right.timeMs = 590000;
+    rounds.onTick(10000);
+
+    // Anything done to the clock during the break is undone
+    gs.right.timeMs = 1000;
+    gs.activePlayer = Player.LEFT;
+    expect(rounds.onTick(2000).phaseChanged).toBe(false);
+
+    const result = rounds.onTick(1000);
+    expect(result).toEqual({ bell: true, phaseChanged: true });
+    expect(gs.status).toBe(GameStatus.RUNNING);
+    expect(gs.activePlayer).toBe(Player.RIGHT);
+    expect(gs.right.timeMs).toBe(590000);
+    expect(rounds.getStatus()).toEqual({ phase: RoundPhase.ROUND, round: 2, count: 2, remainingMs: 10000 });
+  });
+
+  it('stays paused after the last round', () => {
+    rounds.onTick(10000);
+    rounds.onTick(3000);
+    const result = rounds.onTick(10000);
+    expect(result.bell).toBe(true);
+    expect(rounds.phase).toBe(RoundPhase.DONE);
+    expect(gs.status).toBe(GameStatus.PAUSED);
+    expect(rounds.onTick(60000).bell).toBe(false);
+  });
+
+  it('goes back before the first round on reset', () => {
+    rounds.onTick(10000);
+    rounds.reset();
+    expect(rounds.getStatus()).toEqual({ phase: RoundPhase.IDLE, round: 0, count: 2, remainingMs: 10000 });
+  });
+});
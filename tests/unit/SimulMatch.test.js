@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import { SimulMatch, SIMUL_MASTER_SIDE, SIMUL_OPPONENT_SIDE } from '../../src/js/engine/SimulMatch.js';
+import { TimingMethodType, GameStatus, FlagState } from '../../src/js/utils/constants.js';
+
+describe('SimulMatch', () => {
+  let match;
+
+  const config = (freezeDefault = true) => ({
+    periods: [{ method: TimingMethodType.TIME, timeMs: 600000 }],
+    freezeDefault,
+    soundDefault: false,
+    simulBoards: 3,
+  });
+
+  beforeEach(() => {
+    match = new SimulMatch(3);
+    match.init(config());
+  });
+
+  it('numbers the boards from 1', () => {
+    expect(match.getBoardIds()).toEqual(['1', '2', '3']);
+  });
+
+  it('rejects board counts outside 2-30', () => {
+    expect(() => new SimulMatch(1)).toThrow();
+    expect(() => new SimulMatch(31)).toThrow();
+    expect(() => new SimulMatch(30)).not.toThrow();
+  });
+
+  it('gives the master White on every board', () => {
+    for (const { gameState } of Object.values(match.boards)) {
+      expect(gameState.getPlayer(SIMUL_MASTER_SIDE).color).toBe('white');
+      expect(gameState.getPlayer(SIMUL_OPPONENT_SIDE).color).toBe('black');
+    }
+  });
+
+  it('starts every board with the master to move, at the tapped board', () => {
+    expect(match.tap('2').started).toBe(true);
+    for (const { gameState } of Object.values(match.boards)) {
+      expect(gameState.status).toBe(GameStatus.RUNNING);
+      expect(gameState.activePlayer).toBe(SIMUL_MASTER_SIDE);
+    }
+    expect(match.masterBoard).toBe('2');
+  });
+
+  it('runs only the master clock of the board the master is at', () => {
+    match.tap('2');
+    match.tick(1000);
+    expect(match.isClockRunning('2')).toBe(true);
+    expect(match.isClockRunning('1')).toBe(false);
+    expect(match.boards['2'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs).toBe(599000);
+    expect(match.boards['1'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs).toBe(600000);
+    expect(match.boards['3'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs).toBe(600000);
+  });
+
+  it('takes the master to a tapped board waiting for the master', () => {
+    match.tap('1');
+    const result = match.tap('3');
+    expect(result.switched).toBe(false);
+    expect(match.masterBoard).toBe('3');
+    expect(match.boards['3'].gameState.activePlayer).toBe(SIMUL_MASTER_SIDE);
+
+    match.tick(1000);
+    expect(match.boards['1'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs).toBe(600000);
+    expect(match.boards['3'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs).toBe(599000);
+  });
+
+  it('switches only the tapped board', () => {
+    match.tap('1');
+    match.tap('2');
+    expect(match.tap('2').switched).toBe(true);
+    expect(match.boards['2'].gameState.activePlayer).toBe(SIMUL_OPPONENT_SIDE);
+    expect(match.boards['1'].gameState.activePlayer).toBe(SIMUL_MASTER_SIDE);
+
+    // The next tap on the same board ends the opponent's turn
+    match.tap('2');
+    expect(match.boards['2'].gameState.activePlayer).toBe(SIMUL_MASTER_SIDE);
+  });
+
+  it('runs the opponent clocks while the master is at another board', () => {
+    match.tap('1');
+    match.tap('1');
+    match.tap('3');
+    match.tap('3');
+    match.tick(1000);
+    expect(match.masterBoard).toBe('3');
+    expect(match.boards['1'].gameState.getPlayer(SIMUL_OPPONENT_SIDE).timeMs).toBe(599000);
+    expect(match.boards['3'].gameState.getPlayer(SIMUL_OPPONENT_SIDE).timeMs).toBe(599000);
+    expect(match.boards['2'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs).toBe(600000);
+
+    // The opponent at board 1 replies: that board waits for the master
+    match.tap('1');
+    match.tick(1000);
+    expect(match.boards['1'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs).toBe(600000);
+    expect(match.masterBoard).toBe('3');
+  });
+
+  it('freezes only the flagged board', () => {
+    match.tap('2');
+    match.boards['2'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs = 500;
+    const result = match.tick(1000);
+
+    expect(result.frozen).toBe(true);
+    expect(match.boards['2'].gameState.status).toBe(GameStatus.FROZEN);
+    expect(match.boards['2'].gameState.getPlayer(SIMUL_MASTER_SIDE).flagState).toBe(FlagState.BLINKING);
+    expect(match.boards['1'].gameState.status).toBe(GameStatus.RUNNING);
+    expect(match.getStatus()).toBe(GameStatus.RUNNING);
+  });
+
+  it('keeps a flagged board running without freeze', () => {
+    match.init(config(false));
+    match.tap('2');
+    match.boards['2'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs = 500;
+    const result = match.tick(1000);
+
+    expect(result.frozen).toBe(false);
+    expect(match.boards['2'].gameState.status).toBe(GameStatus.RUNNING);
+    expect(match.boards['2'].gameState.getPlayer(SIMUL_MASTER_SIDE).flagState).toBe(FlagState.BLINKING);
+  });
+
+  it('ends once every board is finished', () => {
+    match.tap('1');
+    expect(match.finishBoard('1')).toBe(true);
+    expect(match.finishBoard('1')).toBe(false);
+    match.finishBoard('2');
+    expect(match.getStatus()).toBe(GameStatus.RUNNING);
+    match.finishBoard('3');
+    expect(match.getStatus()).toBe(GameStatus.FROZEN);
+  });
+
+  it('pauses and resumes every board, leaving finished boards alone', () => {
+    match.tap('1');
+    match.finishBoard('3');
+    match.togglePause();
+    expect(match.boards['1'].gameState.status).toBe(GameStatus.PAUSED);
+    expect(match.boards['3'].gameState.status).toBe(GameStatus.FROZEN);
+    expect(match.getStatus()).toBe(GameStatus.PAUSED);
+    match.togglePause();
+    expect(match.boards['2'].gameState.status).toBe(GameStatus.RUNNING);
+  });
+
+  it('summarises the remaining times', () => {
+    match.tap('2');
+    match.tap('2');
+    match.boards['1'].gameState.getPlayer(SIMUL_MASTER_SIDE).timeMs = 120000;
+    match.boards['2'].gameState.getPlayer(SIMUL_OPPONENT_SIDE).timeMs = 300000;
+    match.finishBoard('3');
+
+    const summary = match.getSummary();
+    expect(summary.masterBoard).toBe('2');
+    expect(summary.boardCount).toBe(3);
+    expect(summary.playing).toBe(2);
+    expect(summary.finished).toBe(1);
+    expect(summary.flagged).toBe(0);
+    expect(summary.masterTotalMs).toBe(120000 + 600000 + 600000);
+    expect(summary.masterLowest).toEqual({ board: '1', timeMs: 120000 });
+    expect(summary.opponentLowest).toEqual({ board: '2', timeMs: 300000 });
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect, beforeEach } from '@jest/globals';
 import { StorageManager } from '../../src/js/storage/StorageManager.js';
-import { TimingMethodType } from '../../src/js/utils/constants.js';
+import { TimingMethodType, StorageKeys, Limits } from '../../src/js/utils/constants.js';
 
 describe('StorageManager', () => {
   beforeEach(() => {
@@ -65,6 +65,73 @@ describe('StorageManager', () => {
       StorageManager.saveLastOption(0);
       expect(StorageManager.loadLastOption()).toBe(1); // Fallback
     });
+
+    it('keeps the custom slot of a last option stored before the renumbering', () => {
+      localStorage.setItem(StorageKeys.LAST_OPTION_V1, '27');
+      expect(StorageManager.loadLastOption()).toBe(Limits.MANUAL_OPTION_START);
+      expect(localStorage.getItem(StorageKeys.LAST_OPTION_V1)).toBeNull();
+    });
+
+    it('moves every stored custom slot past presets 27 and 28', () => {
+      localStorage.setItem(StorageKeys.LAST_OPTION_V1, '28');
+      expect(StorageManager.loadLastOption()).toBe(30);
+
+      localStorage.clear();
+      localStorage.setItem(StorageKeys.LAST_OPTION_V1, '31');
+      expect(StorageManager.loadLastOption()).toBe(33);
+    });
+
+    it('keeps the preset number of a last option stored before the renumbering', () => {
+      localStorage.setItem(StorageKeys.LAST_OPTION_V1, '26');
+      expect(StorageManager.loadLastOption()).toBe(26);
+    });
+  });
+
+  describe('last result', () => {
+    it('defaults to null', () => {
+      expect(StorageManager.loadLastResult()).toBeNull();
+    });
+
+    it('saves and loads', () => {
+      const result = {
+        optionNumber: 21,
+        left: { timeMs: 61000, penaltyPoints: 20 },
+        right: { timeMs: 5000, penaltyPoints: 0 },
+      };
+      StorageManager.saveLastResult(result);
+      expect(StorageManager.loadLastResult()).toEqual(result);
+    });
+  });
+
+  describe('saved game', () => {
+    it('defaults to null', () => {
+      expect(StorageManager.loadSavedGame()).toBeNull();
+    });
+
+    it('saves, loads and clears', () => {
+      const saved = { savedAt: 1000, game: { optionConfig: { periods: [] }, status: 'running' }, periods: { methods: {} } };
+      StorageManager.saveGame(saved);
+      expect(StorageManager.loadSavedGame()).toEqual(saved);
+      StorageManager.clearSavedGame();
+      expect(StorageManager.loadSavedGame()).toBeNull();
+    });
+
+    it('ignores an incomplete save', () => {
+      StorageManager.saveGame({ savedAt: 1000 });
+      expect(StorageManager.loadSavedGame()).toBeNull();
+    });
+  });
+
+  describe('correspondence games', () => {
+    it('defaults to none', () => {
+      expect(StorageManager.loadCorrespondenceGames()).toEqual([]);
+    });
+
+    it('saves and loads, dropping invalid entries', () => {
+      const game = { id: 'g1', players: { white: {}, black: {} }, history: [] };
+      StorageManager.saveCorrespondenceGames([game, { id: 'broken' }]);
+      expect(StorageManager.loadCorrespondenceGames()).toEqual([game]);
+    });
   });
 
   describe('theme', () => {
@@ -92,6 +159,20 @@ describe('StorageManager', () => {
     });
   });
 
+  describe('preset move limit', () => {
+    it('defaults to none', () => {
+      expect(StorageManager.loadPresetMoveLimit()).toBe(0);
+    });
+
+    it('saves and loads', () => {
+      StorageManager.savePresetMoveLimit(30000);
+      expect(StorageManager.loadPresetMoveLimit()).toBe(30000);
+
+      StorageManager.savePresetMoveLimit(0);
+      expect(StorageManager.loadPresetMoveLimit()).toBe(0);
+    });
+  });
+
   describe('clearAll', () => {
     it('clears all stored data', () => {
       StorageManager.saveLastOption(10);
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { TabSync } from '../../src/js/state/TabSync.js';
+import { TabRole, Limits } from '../../src/js/utils/constants.js';
+
+/**
+ * In-memory stand-in for BroadcastChannel: every channel from the same hub
+ * receives what the others post, as tabs of one origin do.
+ */
+function createHub() {
+  const channels = [];
+  return () => {
+    const channel = {
+      onmessage: null,
+      postMessage(data) {
+        for (const other of [...channels]) {
+          if (other !== channel && other.onmessage) other.onmessage({ data: JSON.parse(JSON.stringify(data)) });
+        }
+      },
+      close() {
+        channels.splice(channels.indexOf(channel), 1);
+      },
+    };
+    channels.push(channel);
+    return channel;
+  };
+}
+
+describe('TabSync', () => {
+  let createChannel;
+  let tabs;
+
+  /** Open a tab and record its role changes and the states it receives */
+  function openTab() {
+    const tab = new TabSync(createChannel);
+    tab.roles = [];
+    tab.states = [];
+    tab.setCallbacks((role) => tab.roles.push(role), (state) => tab.states.push(state));
+    tab.start();
+    tabs.push(tab);
+    return tab;
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    createChannel = createHub();
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach((tab) => tab.destroy());
+    jest.useRealTimers();
+  });
+
+  it('owns the clock right away without BroadcastChannel', () => {
+    createChannel = () => null;
+    const tab = openTab();
+    expect(tab.isOwner()).toBe(true);
+    expect(tab.roles).toEqual([TabRole.OWNER]);
+  });
+
+  it('owns the clock when no other tab answers', () => {
+    const tab = openTab();
+    expect(tab.getRole()).toBe(TabRole.PENDING);
+    jest.advanceTimersByTime(Limits.TAB_CLAIM_WAIT_MS);
+    expect(tab.isOwner()).toBe(true);
+  });
+
+  it('mirrors an open owner and gets its last state', () => {
+    const owner = openTab();
+    jest.advanceTimersByTime(Limits.TAB_CLAIM_WAIT_MS);
+    owner.publish({ savedAt: 1 });
+
+    const mirror = openTab();
+    expect(mirror.isMirror()).toBe(true);
+    expect(mirror.states).toEqual([{ savedAt: 1 }]);
+
+    owner.publish({ savedAt: 2 });
+    mirror.publish({ savedAt: 3 }); // Ignored: mirrors do not publish
+    expect(mirror.states.at(-1)).toEqual({ savedAt: 2 });
+    jest.advanceTimersByTime(Limits.TAB_CLAIM_WAIT_MS);
+    expect(mirror.isMirror()).toBe(true);
+  });
+
+  it('hands the clock to a tab that takes over', () => {
+    const owner = openTab();
+    jest.advanceTimersByTime(Limits.TAB_CLAIM_WAIT_MS);
+    const mirror = openTab();
+
+    mirror.takeOver();
+    expect(mirror.isOwner()).toBe(true);
+    expect(owner.isMirror()).toBe(true);
+    expect(owner.roles).toEqual([TabRole.OWNER, TabRole.MIRROR]);
+  });
+
+  it('lets a mirror claim the clock when the owner goes away', () => {
+    const owner = openTab();
+    jest.advanceTimersByTime(Limits.TAB_CLAIM_WAIT_MS);
+    const mirror = openTab();
+
+    owner.release();
+    expect(mirror.isOwner()).toBe(false);
+    jest.advanceTimersByTime(Limits.TAB_CLAIM_WAIT_MS);
+    expect(mirror.isOwner()).toBe(true);
+  });
+
+  it('makes only one owner of tabs that start together', () => {
+    const started = [openTab(), openTab(), openTab()];
+    jest.advanceTimersByTime(Limits.TAB_CLAIM_WAIT_MS);
+    expect(started.filter((tab) => tab.isOwner())).toHaveLength(1);
+    expect(started.filter((tab) => tab.isMirror())).toHaveLength(2);
+  });
+});
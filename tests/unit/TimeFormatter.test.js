@@ -1,5 +1,5 @@
 import { describe, it, expect } from '@jest/globals';
-import { formatTime, formatTimeFull, parseTime, formatTimeShort } from '../../src/js/utils/TimeFormatter.js';
+import { formatTime, formatTimeFull, parseTime, formatTimeShort, formatDays } from '../../src/js/utils/TimeFormatter.js';
 
 describe('formatTime', () => {
   it('formats hours correctly', () => {
@@ -73,3 +73,13 @@ describe('formatTimeShort', () => {
     expect(formatTimeShort(3661000)).toBe('1h 1m');
   });
 });
+
+describe('formatDays', () => {
+  it('formats days and hours, or hours and minutes under a day', () => {
+    expect(formatDays(3 * 86400000)).toBe('3d 00h');
+    expect(formatDays(12 * 86400000 + 4 * 3600000 + 59000)).toBe('12d 04h');
+    expect(formatDays(5 * 3600000 + 7 * 60000)).toBe('5h 07m');
+    expect(formatDays(6 * 86400000 - 5)).toBe('6d 00h');
+    expect(formatDays(-1000)).toBe('0h 00m');
+  });
+});
@@ -36,6 +36,7 @@ describe('TimeMethod', () => {
     const result = method.onTick(1000, player);
     expect(player.timeMs).toBe(0);
     expect(result.expired).toBe(true);
+    expect(result.overshootMs).toBe(500);
   });
 
   it('does nothing on turn start or end', () => {
@@ -50,6 +51,13 @@ describe('TimeMethod', () => {
     expect(method.isExpired(player)).toBe(true);
   });
 
+  it('reports period complete by moves when movesRequired is set', () => {
+    const moveMethod = new TimeMethod({ timeMs: 7200000, movesRequired: 40 });
+    player.moves = 45;
+    expect(moveMethod.isPeriodCompleteByMoves(player, 10)).toBe(false);
+    expect(moveMethod.isPeriodCompleteByMoves(player, 5)).toBe(true);
+  });
+
   it('isExpired returns false with time remaining', () => {
     expect(method.isExpired(player)).toBe(false);
   });
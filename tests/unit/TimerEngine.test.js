@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { TimerEngine } from '../../src/js/engine/TimerEngine.js';
+import { ManualClockSource } from '../../src/js/engine/ManualClockSource.js';
+
+describe('TimerEngine', () => {
+  const T0 = Date.UTC(2026, 0, 1);
+  let clock;
+  let engine;
+  let ticks;
+
+  beforeEach(() => {
+    clock = new ManualClockSource(T0);
+    ticks = [];
+    engine = new TimerEngine(clock);
+    engine.setTickCallback((deltaMs, tickAtMs) => ticks.push([deltaMs, tickAtMs]));
+    engine.start();
+  });
+
+  afterEach(() => {
+    engine.destroy();
+  });
+
+  it('delivers the time since the last frame with its wall-clock end', () => {
+    clock.advance(16);
+    clock.advance(17);
+    expect(ticks).toEqual([[16, T0 + 16], [17, T0 + 33]]);
+  });
+
+  it('delivers a long stall in full', () => {
+    clock.advance(16);
+    clock.advance(5000);
+    expect(ticks.at(-1)).toEqual([5000, T0 + 5016]);
+  });
+
+  it('delivers the time up to a sync right away', () => {
+    clock.advance(16);
+    clock.advance(5, { frame: false });
+    engine.sync();
+    clock.advance(10);
+    expect(ticks).toEqual([[16, T0 + 16], [5, T0 + 21], [10, T0 + 31]]);
+  });
+
+  it('counts time while the tab was suspended', () => {
+    clock.advance(16);
+    clock.setHidden(true);
+
+    // performance.now() stood still for most of the time away
+    clock.advance(1000);
+    clock.suspend(59000);
+    clock.setHidden(false);
+    expect(ticks.at(-1)).toEqual([60000, T0 + 60016]);
+
+    clock.advance(16);
+    expect(ticks.at(-1)).toEqual([16, T0 + 60032]);
+  });
+
+  it('wakes up for the next event while the tab is hidden', () => {
+    engine.setNextEventCallback(() => (ticks.length < 2 ? 3000 : null));
+    clock.advance(16);
+    clock.setHidden(true);
+
+    clock.advance(5000);
+    expect(ticks).toEqual([[16, T0 + 16], [3000, T0 + 3016]]);
+
+    // Nothing due any more: no further wake-ups
+    clock.advance(60000);
+    expect(ticks).toHaveLength(2);
+  });
+
+  it('delivers nothing once stopped', () => {
+    engine.stop();
+    clock.advance(16);
+    engine.sync();
+    expect(ticks).toEqual([]);
+  });
+});
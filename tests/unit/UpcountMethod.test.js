@@ -30,10 +30,36 @@ describe('UpcountMethod', () => {
 
     const result = method.onTick(1000, player);
     expect(result.expired).toBe(false);
+    expect(method.getMsUntil(player, 0)).toBeNull();
   });
 
   it('returns actual time for display', () => {
     player.timeMs = 12345;
     expect(method.getDisplayTime(player)).toBe(12345);
   });
+
+  it('has no penalty without penalty rules', () => {
+    player.timeMs = 120000;
+    expect(method.hasPenalty()).toBe(false);
+    expect(method.getPenaltyPoints(player)).toBe(0);
+  });
+
+  it('charges every started minute (WESPA)', () => {
+    method = new UpcountMethod({ penaltyPoints: 10, penaltyUnitMs: 60000 });
+    expect(method.getPenaltyPoints(player)).toBe(0);
+    player.timeMs = 1;
+    expect(method.getPenaltyPoints(player)).toBe(10);
+    player.timeMs = 60000;
+    expect(method.getPenaltyPoints(player)).toBe(10);
+    player.timeMs = 60001;
+    expect(method.getPenaltyPoints(player)).toBe(20);
+  });
+
+  it('caps the penalty at the maximum number of blocks (Ing)', () => {
+    method = new UpcountMethod({ penaltyPoints: 2, penaltyUnitMs: 1200000, penaltyMaxUnits: 3 });
+    player.timeMs = 1500000; // 25 min = 2 started blocks
+    expect(method.getPenaltyPoints(player)).toBe(4);
+    player.timeMs = 6000000; // 100 min
+    expect(method.getPenaltyPoints(player)).toBe(6);
+  });
 });
@@ -71,6 +71,14 @@ describe('UsDelayMethod', () => {
     expect(player.timeMs).toBe(0);
   });
 
+  it('counts the delay left into the time until the flag', () => {
+    method.onTurnStart(player);
+    method.onTick(2000, player);
+    expect(method.getMsUntil(player, 0)).toBe(303000);
+    expect(method.getMsUntil(player, 10000)).toBe(293000);
+    expect(method.getMsUntil(player, 400000)).toBeNull();
+  });
+
   it('resets delay for each new turn', () => {
     method.onTurnStart(player);
     method.onTick(3000, player);
@@ -81,4 +89,28 @@ describe('UsDelayMethod', () => {
     expect(player.delayRemainingMs).toBe(5000);
     expect(player.inDelay).toBe(true);
   });
+
+  describe('delay from move', () => {
+    let late;
+
+    beforeEach(() => {
+      late = new UsDelayMethod({ timeMs: 300000, delayMs: 5000, incrementFromMove: 41 });
+    });
+
+    it('runs main time immediately before the starting move', () => {
+      player.moves = 39;
+      late.onTurnStart(player);
+      expect(player.inDelay).toBe(false);
+      late.onTick(2000, player);
+      expect(player.timeMs).toBe(298000);
+    });
+
+    it('runs the delay from the starting move on', () => {
+      player.moves = 40;
+      late.onTurnStart(player);
+      expect(player.inDelay).toBe(true);
+      late.onTick(2000, player);
+      expect(player.timeMs).toBe(300000);
+    });
+  });
 });